@@ -23,7 +23,9 @@ const bundler = new ThemesBundler({
     ],
     patterns: [cwd + '/demo/components/**/*', cwd + '/demo/pages/**/*'],
     minify: mode === 'production',
-    commonThemePath: basePath + '/common'
+    commonThemePath: basePath + '/common',
+    // Serves the demo and hot-swaps the theme stylesheets on change, e.g. `node ./demo/bundle.js --serve`.
+    devServer: argv.serve ? { root: cwd + '/demo', port: 8080 } : false
 });
 
 // We wait until the bundler is ready.
@@ -0,0 +1,17 @@
+/**
+ * Sample config file for the style-bun command line interface.
+ * E.g. `npx style-bun build --config demo/style-bun.config.js --mode=production`.
+ */
+const cwd = process.cwd();
+const basePath = cwd + '/demo/themes';
+
+export default {
+    themes: [
+        { path: basePath + '/default' },
+        { path: basePath + '/mobile' },
+        { path: basePath + '/desktop' },
+        { path: basePath + '/dark' }
+    ],
+    patterns: [cwd + '/demo/components/**/*', cwd + '/demo/pages/**/*'],
+    commonThemePath: basePath + '/common'
+};
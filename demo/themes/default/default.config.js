@@ -2,7 +2,6 @@ export default {
     includes: [
         'vars/colors',
         'vars/easing',
-        'vars/layout',
         'vars/screen',
         'vars/typography',
         'vars/animations',
@@ -10,7 +9,6 @@ export default {
         'main/fonts',
         'main/main',
         'components/headings',
-        'components/lists',
         'components/scrollbar',
         'components/summary',
         'components/link',
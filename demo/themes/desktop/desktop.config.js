@@ -1,4 +1,4 @@
 export default {
     extension: 'css',
-    includes: ['desktop']
+    media: 'screen and (min-width: 701px)'
 };
@@ -1,4 +1,4 @@
 export default {
     extension: 'css',
-    includes: ['mobile']
+    media: 'screen and (max-width: 700px)'
 };
@@ -7,6 +7,8 @@ module.exports = {
     transform: {
         '^.+\\.m?js$': ['babel-jest', { presets: [['@babel/preset-env', { targets: { node: 'current' } }]] }]
     },
-    transformIgnorePatterns: ['node_modules/(?!(chokidar|readdirp|glob|lightningcss|yargs)/)'],
+    transformIgnorePatterns: [
+        'node_modules/(?!(chokidar|readdirp|glob|lightningcss|yargs|css-select|css-what|htmlparser2|domhandler|domutils|domelementtype|dom-serializer|entities|boolbase|nth-check)/)'
+    ],
     fakeTimers: { enableGlobally: false }
 };
@@ -0,0 +1,181 @@
+/**
+ * @typedef {import('./assets.types.js').CSSURLType} CSSURLType
+ * @typedef {import('./assets.types.js').URLReplacerType} URLReplacerType
+ */
+import fs from 'fs';
+import PATH from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Matches comments, which are skipped, and `url()` references with or without quotes.
+ */
+const URL_TOKEN = /\/\*[\s\S]*?\*\/|(?<![\w-])url\(\s*(?:(['"])(.*?)\1|([^'"()\s]*))\s*\)/gi;
+
+/**
+ * URLs which don't refer to a local file, e.g. 'data:…', 'https://…', '/images/logo.svg', '#gradient',
+ * or which are interpolated by a preprocessor, e.g. '#{$path}/logo.svg'.
+ */
+const NON_LOCAL_URL = /^([a-z][\w+.-]*:|\/|#)|[#@]\{|\$/i;
+
+/**
+ * The directory of the exported assets which are not in the theme directory.
+ */
+export const ASSETS_DIR = 'assets';
+
+/**
+ * The media types of the assets which can be inlined as data URIs.
+ * @type {Record<string, string>}
+ */
+export const MIME_TYPES = {
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf'
+};
+
+/**
+ * Returns the `url()` references of a stylesheet, leaving out those in comments and `@import` statements.
+ * @param {string} css
+ * @returns {CSSURLType[]}
+ */
+export function findURLs(css) {
+    /** @type {CSSURLType[]} */
+    const rv = [];
+    for (const match of css.matchAll(URL_TOKEN)) {
+        const [token, quote = '', quoted, unquoted] = match;
+        const start = match.index ?? 0;
+        if (token.startsWith('/*') || /@import\s*$/i.test(css.slice(Math.max(0, start - 20), start))) {
+            continue;
+        }
+        rv.push({ url: (quoted ?? unquoted).trim(), quote, start, end: start + token.length });
+    }
+    return rv;
+}
+
+/**
+ * Tells whether a URL refers to a local file, relative to the stylesheet.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isLocalURL(url) {
+    return Boolean(url) && !NON_LOCAL_URL.test(url);
+}
+
+/**
+ * Splits a URL into its path and its query and fragment, e.g. 'font.woff2?#iefix' into 'font.woff2' and '?#iefix'.
+ * @param {string} url
+ * @returns {[string, string]}
+ */
+export function splitURL(url) {
+    const index = url.search(/[?#]/);
+    return index === -1 ? [url, ''] : [url.slice(0, index), url.slice(index)];
+}
+
+/**
+ * Resolves a local URL against a directory, returning the file and the query and fragment of the URL.
+ * @param {string} url
+ * @param {string} dir
+ * @returns {{ file: string, suffix: string }}
+ */
+export function resolveURL(url, dir) {
+    const [path, suffix] = splitURL(url);
+    let decodedPath = path;
+    try {
+        decodedPath = decodeURI(path);
+    } catch {
+        // Malformed escape sequences are resolved as they are.
+    }
+    return { file: PATH.resolve(dir, decodedPath), suffix };
+}
+
+/**
+ * Replaces the local `url()` references of a stylesheet.
+ * @param {string} css
+ * @param {URLReplacerType} replacer - Returns the new URL, or undefined to keep the reference as it is.
+ * @returns {string}
+ */
+export function replaceURLs(css, replacer) {
+    let rv = '';
+    let index = 0;
+    findURLs(css)
+        .filter(reference => isLocalURL(reference.url))
+        .forEach(reference => {
+            const url = replacer(reference.url, reference);
+            if (typeof url !== 'string') return;
+            const quote = reference.quote || (/[\s'"()]/.test(url) ? '"' : '');
+            rv += css.slice(index, reference.start) + `url(${quote}${url}${quote})`;
+            index = reference.end;
+        });
+    return rv + css.slice(index);
+}
+
+/**
+ * Returns a file path as a URL path, relative to a directory.
+ * @param {string} dir
+ * @param {string} file
+ * @returns {string}
+ */
+export function getRelativeURL(dir, file) {
+    return PATH.relative(dir, file).split(PATH.sep).join('/');
+}
+
+/**
+ * Returns the path of an exported asset, relative to the export directory of the theme.
+ * Assets in the theme directory keep their path, e.g. 'fonts/inter.woff2', others are moved to the assets directory.
+ * With a hash length, the content hash is added to the file name, e.g. 'fonts/inter.3f9a1c2b.woff2'.
+ * @param {string} file
+ * @param {string} themePath
+ * @param {number} [hashLength]
+ * @returns {string}
+ */
+export function getAssetPath(file, themePath, hashLength = 0) {
+    const isOutside = (/** @type {string} */ path) => path.startsWith('..') || PATH.isAbsolute(path);
+    let path = PATH.relative(themePath, file);
+    if (isOutside(path)) {
+        const cwdPath = PATH.relative(process.cwd(), file);
+        path = PATH.join(ASSETS_DIR, isOutside(cwdPath) ? PATH.basename(file) : cwdPath);
+    }
+    if (hashLength) {
+        const hash = createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, hashLength);
+        const { dir, name, ext } = PATH.parse(path);
+        path = PATH.join(dir, `${name}.${hash}${ext}`);
+    }
+    return path;
+}
+
+/**
+ * Returns an SVG as a URL-encoded data URI, which is smaller than base64.
+ * Whitespace is collapsed, quotes and parentheses are encoded so the URI needs no escaping in url().
+ * @param {string} svg
+ * @returns {string}
+ */
+export function getSVGDataURI(svg) {
+    const encoded = encodeURIComponent(svg.trim().replace(/\s+/g, ' '))
+        .replace(/%20/g, ' ')
+        .replace(/%3D/g, '=')
+        .replace(/%3A/g, ':')
+        .replace(/%2F/g, '/')
+        .replace(/['()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `data:image/svg+xml,${encoded}`;
+}
+
+/**
+ * Returns the contents of an asset as a data URI, SVGs are URL-encoded and other assets base64-encoded.
+ * @param {string} file
+ * @returns {string | undefined} - Undefined if the media type of the asset is unknown, refer to MIME_TYPES.
+ */
+export function getDataURI(file) {
+    const ext = PATH.extname(file).toLowerCase();
+    const mimeType = MIME_TYPES[ext];
+    if (!mimeType) return undefined;
+    if (ext === '.svg') return getSVGDataURI(fs.readFileSync(file, 'utf8'));
+    return `data:${mimeType};base64,${fs.readFileSync(file).toString('base64')}`;
+}
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import { tmpdir } from 'os';
+import PATH from 'path';
+import {
+    findURLs,
+    getAssetPath,
+    getDataURI,
+    getRelativeURL,
+    getSVGDataURI,
+    isLocalURL,
+    replaceURLs,
+    resolveURL
+} from './assets.mjs';
+
+describe('Assets', () => {
+    it('finds the url() references outside comments and imports', () => {
+        const css = [
+            '@import url("./theme.css");',
+            '/* background: url(./old.png); */',
+            ".icon { background: url( './icons/star.svg' ) no-repeat, url(bg.png); }",
+            '.mask { mask: myurl(mask.svg); }'
+        ].join('\n');
+        expect(findURLs(css).map(({ url, quote }) => [url, quote])).toEqual([
+            ['./icons/star.svg', "'"],
+            ['bg.png', '']
+        ]);
+    });
+
+    it('tells local URLs from data URIs, external and interpolated URLs', () => {
+        expect(isLocalURL('../fonts/inter.woff2')).toBe(true);
+        expect(isLocalURL('icons/star.svg#filled')).toBe(true);
+        [
+            'data:image/png;base64,AA==',
+            'https://cdn.test/a.png',
+            '/images/a.png',
+            '#gradient',
+            '#{$path}/a.png'
+        ].forEach(url => expect(isLocalURL(url)).toBe(false));
+    });
+
+    it('replaces local URLs, keeping their quotes and quoting paths with spaces', () => {
+        const css = ".a { background: url('a.png'), url(b.png), url(data:image/png;base64,AA==); }";
+        const replaced = replaceURLs(css, url => (url === 'b.png' ? 'my images/b.png' : `../${url}`));
+        expect(replaced).toBe(
+            '.a { background: url(\'../a.png\'), url("my images/b.png"), url(data:image/png;base64,AA==); }'
+        );
+        expect(replaceURLs(css, () => undefined)).toBe(css);
+    });
+
+    it('resolves URLs against a directory, keeping their query and fragment', () => {
+        expect(resolveURL('../fonts/inter%20var.woff2?#iefix', '/themes/dark/components')).toEqual({
+            file: PATH.resolve('/themes/dark/fonts/inter var.woff2'),
+            suffix: '?#iefix'
+        });
+        expect(getRelativeURL('/themes/dark', PATH.resolve('/themes/dark/fonts/inter.woff2'))).toBe(
+            'fonts/inter.woff2'
+        );
+    });
+
+    it('returns the exported path of an asset, with an optional content hash', () => {
+        const dir = fs.mkdtempSync(PATH.join(tmpdir(), 'style-bun-assets-'));
+        const file = PATH.join(dir, 'fonts', 'inter.woff2');
+        fs.mkdirSync(PATH.dirname(file));
+        fs.writeFileSync(file, 'font');
+        expect(getAssetPath(file, dir)).toBe(PATH.join('fonts', 'inter.woff2'));
+        expect(getAssetPath(file, dir, 8)).toMatch(/^fonts[\\/]inter\.[0-9a-f]{8}\.woff2$/);
+        expect(getAssetPath(file, PATH.join(dir, 'theme'))).toBe(PATH.join('assets', 'inter.woff2'));
+        const cwdFile = PATH.resolve('demo/components/button/button.css');
+        expect(getAssetPath(cwdFile, PATH.join(dir, 'theme'))).toBe(
+            PATH.join('assets', 'demo', 'components', 'button', 'button.css')
+        );
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('encodes SVGs as URL-encoded data URIs and other assets in base64', () => {
+        const svg =
+            '<svg xmlns="http://www.w3.org/2000/svg">\n    <path fill="#000" d="M0 0h1v1H0z"/>\n</svg>';
+        expect(getSVGDataURI(svg)).toBe(
+            'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22%3E %3Cpath fill=%22%23000%22 d=%22M0 0h1v1H0z%22/%3E %3C/svg%3E'
+        );
+        expect(getSVGDataURI("<svg><text>it's (1)</text></svg>")).not.toMatch(/['()]/);
+        const dir = fs.mkdtempSync(PATH.join(tmpdir(), 'style-bun-assets-'));
+        fs.writeFileSync(PATH.join(dir, 'dot.png'), Buffer.from([137, 80, 78, 71]));
+        fs.writeFileSync(PATH.join(dir, 'notes.txt'), 'notes');
+        expect(getDataURI(PATH.join(dir, 'dot.png'))).toBe('data:image/png;base64,iVBORw==');
+        expect(getDataURI(PATH.join(dir, 'notes.txt'))).toBeUndefined();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
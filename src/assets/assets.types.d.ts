@@ -0,0 +1,49 @@
+/**
+ * A `url()` reference in a stylesheet.
+ */
+export type CSSURLType = {
+    /**
+     * @property {string} url - The URL without quotes, e.g. '../fonts/inter.woff2?v=2#iefix'.
+     */
+    url: string;
+
+    /**
+     * @property {string} quote - The quote around the URL, an empty string if it is not quoted.
+     */
+    quote: string;
+
+    /**
+     * @property {number} start - The index of the `url(` token in the stylesheet.
+     */
+    start: number;
+
+    /**
+     * @property {number} end - The index after the closing parenthesis.
+     */
+    end: number;
+};
+
+/**
+ * Returns the new URL of a reference, or undefined to keep it.
+ */
+export type URLReplacerType = (url: string, reference: CSSURLType) => string | undefined;
+
+/**
+ * An asset inlined as a data URI, refer to the inlineAssetLimit option.
+ */
+export type InlinedAssetType = {
+    /**
+     * @property {string} file - The path of the asset.
+     */
+    file: string;
+
+    /**
+     * @property {number} size - The size of the asset in bytes.
+     */
+    size: number;
+
+    /**
+     * @property {number} references - The number of url() references replaced, each holds a copy of the data URI.
+     */
+    references: number;
+};
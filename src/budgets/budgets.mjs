@@ -0,0 +1,80 @@
+/**
+ * @typedef {import('./budgets.types.js').SizeType} SizeType
+ * @typedef {import('./budgets.types.js').BudgetsConfigType} BudgetsConfigType
+ * @typedef {import('./budgets.types.js').BudgetsType} BudgetsType
+ * @typedef {import('./budgets.types.js').BudgetViolationType} BudgetViolationType
+ * @typedef {import('../compression/compression.types.js').CompressedSizesType} CompressedSizesType
+ */
+
+/** @type {Record<string, number>} */
+const UNITS = { b: 1, kb: 1000, mb: 1000 * 1000 };
+
+/** @type {(keyof CompressedSizesType)[]} */
+export const BUDGETS = ['raw', 'gzip', 'brotli'];
+
+/**
+ * Parses a size to bytes.
+ * @param {SizeType} size - A number of bytes or a string with a unit, e.g. '20 kB'.
+ * @returns {number}
+ * @throws {Error} - If the size is not a positive number or has an unknown unit.
+ */
+export function parseSize(size) {
+    const match = String(size)
+        .trim()
+        .match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+    const unit = UNITS[match?.[2].toLowerCase() || 'b'];
+    if (!match || !unit) {
+        throw new Error(`Invalid size: "${size}", expected a number of bytes or a size such as '20 kB'`);
+    }
+    return Math.round(Number(match[1]) * unit);
+}
+
+/**
+ * Parses the budgets config to bytes.
+ * @param {BudgetsConfigType} budgets
+ * @returns {BudgetsType}
+ * @throws {Error} - If a budget is invalid.
+ */
+export function parseBudgets(budgets) {
+    /** @type {BudgetsType} */
+    const rv = {};
+    BUDGETS.forEach(compression => {
+        const budget = budgets[compression];
+        if (typeof budget !== 'undefined') rv[compression] = parseSize(budget);
+    });
+    return rv;
+}
+
+/**
+ * Returns the budgets exceeded by the sizes of a file.
+ * @param {CompressedSizesType} sizes
+ * @param {BudgetsType} budgets
+ * @returns {BudgetViolationType[]}
+ */
+export function checkBudgets(sizes, budgets) {
+    return BUDGETS.flatMap(compression => {
+        const limit = budgets[compression];
+        const size = sizes[compression];
+        return typeof limit === 'number' && size > limit ? [{ compression, size, limit }] : [];
+    });
+}
+
+/**
+ * Formats a size in bytes, e.g. '12.34 kB'.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+    if (bytes < UNITS.kb) return `${bytes} B`;
+    if (bytes < UNITS.mb) return `${(bytes / UNITS.kb).toFixed(2)} kB`;
+    return `${(bytes / UNITS.mb).toFixed(2)} MB`;
+}
+
+/**
+ * Formats the sizes of a file, e.g. '12.34 kB, 3.21 kB gzip, 2.87 kB brotli'.
+ * @param {CompressedSizesType} sizes
+ * @returns {string}
+ */
+export function formatSizes({ raw, gzip, brotli }) {
+    return `${formatSize(raw)}, ${formatSize(gzip)} gzip, ${formatSize(brotli)} brotli`;
+}
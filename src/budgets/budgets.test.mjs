@@ -0,0 +1,33 @@
+/**
+ * @jest-environment node
+ */
+import { checkBudgets, formatSize, formatSizes, parseBudgets, parseSize } from './budgets.mjs';
+
+describe('Budgets', () => {
+    it('parses sizes with units', () => {
+        expect(parseSize(1500)).toBe(1500);
+        expect(parseSize('20 kB')).toBe(20000);
+        expect(parseSize('1.5MB')).toBe(1500000);
+        expect(parseSize('300b')).toBe(300);
+        expect(() => parseSize('20 GB')).toThrow('Invalid size: "20 GB"');
+        expect(() => parseSize('-1')).toThrow();
+    });
+
+    it('returns the exceeded budgets', () => {
+        const budgets = parseBudgets({ raw: '10 kB', gzip: 2000 });
+        expect(budgets).toEqual({ raw: 10000, gzip: 2000 });
+        expect(checkBudgets({ raw: 9000, gzip: 2500, brotli: 2100 }, budgets)).toEqual([
+            { compression: 'gzip', size: 2500, limit: 2000 }
+        ]);
+        expect(checkBudgets({ raw: 10000, gzip: 2000, brotli: 1900 }, budgets)).toEqual([]);
+    });
+
+    it('formats sizes', () => {
+        expect(formatSize(512)).toBe('512 B');
+        expect(formatSize(12345)).toBe('12.35 kB');
+        expect(formatSize(2500000)).toBe('2.50 MB');
+        expect(formatSizes({ raw: 12345, gzip: 3210, brotli: 2870 })).toBe(
+            '12.35 kB, 3.21 kB gzip, 2.87 kB brotli'
+        );
+    });
+});
@@ -0,0 +1,46 @@
+import { CompressedSizesType } from '../compression/compression.types.js';
+
+/**
+ * A size in bytes, or a string with a unit, e.g. '20 kB' or '1.5MB'.
+ */
+export type SizeType = number | string;
+
+/**
+ * The maximum sizes of the minified file of a theme.
+ */
+export type BudgetsConfigType = {
+    /**
+     * @property {SizeType} raw - The maximum size of the uncompressed file.
+     */
+    raw?: SizeType;
+
+    /**
+     * @property {SizeType} gzip - The maximum size of the file compressed with gzip.
+     */
+    gzip?: SizeType;
+
+    /**
+     * @property {SizeType} brotli - The maximum size of the file compressed with brotli.
+     */
+    brotli?: SizeType;
+};
+
+/**
+ * The budgets parsed to bytes.
+ */
+export type BudgetsType = Partial<CompressedSizesType>;
+
+export type BudgetViolationType = {
+    themeName?: string;
+    compression: keyof CompressedSizesType;
+
+    /**
+     * @property {number} size - The size of the file, in bytes.
+     */
+    size: number;
+
+    /**
+     * @property {number} limit - The budget, in bytes.
+     */
+    limit: number;
+};
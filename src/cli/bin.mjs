@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+import { hideBin } from 'yargs/helpers';
+import { runCli } from './cli.mjs';
+import { createReporter } from '../reporter/reporter.mjs';
+
+runCli(hideBin(process.argv))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        const message = error instanceof Error ? error.message : String(error);
+        createReporter().report({ severity: 'error', code: 'cli-error', message });
+        process.exitCode = 1;
+    });
@@ -0,0 +1,376 @@
+/**
+ * @typedef {import('./cli.types.js').CliArgsType} CliArgsType
+ * @typedef {import('./cli.types.js').CliCommandType} CliCommandType
+ * @typedef {import('./cli.types.js').StyleBunConfigType} StyleBunConfigType
+ * @typedef {import('../themesBundler/themesBundler.types.js').ThemesBundlerConfigType} ThemesBundlerConfigType
+ * @typedef {import('../reporter/reporter.types.js').ReportMessageType} ReportMessageType
+ */
+import PATH from 'path';
+import fs from 'fs';
+import yargs from 'yargs';
+import ThemesBundler from '../themesBundler/themesBundler.mjs';
+import { CollectingReporter, REPORTERS, createReporter } from '../reporter/reporter.mjs';
+import { formatSize, formatSizes } from '../budgets/budgets.mjs';
+import { formatCoverage } from '../customProperties/customProperties.mjs';
+
+/** @type {CliCommandType[]} */
+export const COMMANDS = ['build', 'watch', 'clean', 'critical', 'coverage'];
+export const CONFIG_FILES = ['style-bun.config.js', 'style-bun.config.mjs'];
+
+////////////////////////////
+// #region Arguments
+////////////////////////////
+
+/**
+ * Parses the command line arguments.
+ * @param {string[]} args - The arguments without the node executable and script path.
+ * @returns {CliArgsType}
+ */
+export function parseArgs(args) {
+    const argv = yargs(args)
+        .scriptName('style-bun')
+        .usage('$0 <command> [options]')
+        .command('build', 'Cleans and bundles all themes')
+        .command('watch', 'Bundles all themes and re-bundles them on change')
+        .command('clean', 'Removes all bundled files')
+        .command('critical', 'Extracts the critical CSS of the themes for HTML pages')
+        .command('coverage', 'Reports where the custom properties of the themes are defined and used')
+        .option('config', {
+            alias: 'c',
+            type: 'string',
+            description: `Path to the config file, defaults to ${CONFIG_FILES.join(' or ')} in the cwd`
+        })
+        .option('mode', {
+            type: 'string',
+            choices: ['development', 'production'],
+            description: 'Defaults to the mode of the config file, or development'
+        })
+        .option('theme', {
+            alias: 't',
+            type: 'string',
+            array: true,
+            description: 'Only bundle the given themes, can be used multiple times'
+        })
+        .option('minify', { type: 'boolean', description: 'Defaults to true in production mode' })
+        .option('verbose', { type: 'boolean' })
+        .option('serve', { type: 'boolean', description: 'Starts the dev server in watch mode' })
+        .option('port', { type: 'number', description: 'The port of the dev server' })
+        .option('page', {
+            alias: 'p',
+            type: 'string',
+            array: true,
+            description: 'The HTML pages to extract the critical CSS for, can be used multiple times'
+        })
+        .option('inline', {
+            type: 'boolean',
+            description: 'Inlines the critical CSS of the first --theme in the pages, or of the first theme'
+        })
+        .option('out-dir', {
+            type: 'string',
+            description: 'Where the critical CSS files are written, defaults to the directory of each page'
+        })
+        .option('json', { type: 'boolean', description: 'Writes the coverage report as JSON' })
+        .option('reporter', {
+            type: 'string',
+            choices: REPORTERS,
+            description: 'How errors and warnings are reported, json writes one JSON object per line'
+        })
+        .demandCommand(1)
+        .strict()
+        .help()
+        .parseSync();
+    return {
+        command: /** @type {CliCommandType} */ (String(argv._[0])),
+        config: argv.config,
+        mode: /** @type {CliArgsType['mode']} */ (argv.mode),
+        theme: argv.theme ?? [],
+        minify: argv.minify,
+        verbose: argv.verbose,
+        serve: argv.serve,
+        port: argv.port,
+        page: argv.page ?? [],
+        inline: argv.inline,
+        outDir: argv.outDir,
+        json: argv.json,
+        reporter: /** @type {CliArgsType['reporter']} */ (argv.reporter)
+    };
+}
+
+// #endregion Arguments
+
+////////////////////////////
+// #region Config
+////////////////////////////
+
+/**
+ * Returns the absolute path to the config file.
+ * @param {string} [configFile]
+ * @param {string} [cwd]
+ * @returns {string | undefined}
+ */
+export function getConfigFile(configFile, cwd = process.cwd()) {
+    if (configFile) {
+        return PATH.resolve(cwd, configFile);
+    }
+    return CONFIG_FILES.map(file => PATH.join(cwd, file)).find(file => fs.existsSync(file));
+}
+
+/**
+ * Loads the project config file, which can export a config object or a function returning one.
+ * @param {CliArgsType} args
+ * @returns {Promise<ThemesBundlerConfigType>}
+ * @throws {Error} - If the config file cannot be found or does not export an object.
+ */
+export async function loadConfig(args) {
+    const configFile = getConfigFile(args.config);
+    if (!configFile || !fs.existsSync(configFile)) {
+        throw new Error(`Config file not found: ${configFile ?? CONFIG_FILES.join(', ')}`);
+    }
+    const configModule = await import(configFile);
+    /** @type {StyleBunConfigType} */
+    const exported = configModule.default ?? configModule;
+    const config = typeof exported === 'function' ? await exported(args) : exported;
+    if (!config || typeof config !== 'object') {
+        throw new Error(`Config file must export a config object: ${configFile}`);
+    }
+    return config;
+}
+
+/**
+ * Applies the command line arguments on top of the config file.
+ * The mode is resolved from --mode, then the config file, and defaults to development.
+ * @param {ThemesBundlerConfigType} config
+ * @param {CliArgsType} args
+ * @returns {ThemesBundlerConfigType}
+ */
+export function applyArgs(config, args) {
+    const mode = args.mode ?? config.mode ?? 'development';
+    const rv = { ...config, mode };
+    rv.minify = args.minify ?? config.minify ?? mode === 'production';
+    if (typeof args.verbose === 'boolean') {
+        rv.verbose = args.verbose;
+    }
+    if (args.serve || args.port) {
+        const devServer = typeof config.devServer === 'object' ? config.devServer : {};
+        rv.devServer = { ...devServer, ...(args.port ? { port: args.port } : {}) };
+    }
+    if (args.reporter) {
+        rv.reporter = args.reporter;
+    }
+    return rv;
+}
+
+// #endregion Config
+
+////////////////////////////
+// #region Commands
+////////////////////////////
+
+/**
+ * Creates the bundler and narrows it down to the requested themes.
+ * The reported errors are collected, so the build fails if any of them relates to a bundled theme, refer to build.
+ * @param {ThemesBundlerConfigType} config
+ * @param {CliArgsType} args
+ * @returns {Promise<ThemesBundler>}
+ * @throws {Error} - If a theme fails to initialize or a requested theme does not exist.
+ */
+export async function createBundler(config, args) {
+    const bundler = new ThemesBundler({ ...config, reporter: new CollectingReporter(config.reporter) });
+    const { value = [] } = (await bundler.promise) ?? {};
+    const failed = value.filter(result => result.status === 'rejected');
+    if (failed.length) {
+        throw new Error(`${failed.length} theme(s) failed to initialize`);
+    }
+    const unknown = bundler.selectThemes(args.theme);
+    if (unknown.length) {
+        throw new Error(`Unknown theme(s): ${unknown.join(', ')}`);
+    }
+    return bundler;
+}
+
+/**
+ * Cleans and bundles all themes.
+ * The build fails if an error was reported for the bundler or one of the bundled themes since it was created,
+ * e.g. a missing include or a failing SCSS compile, and in production mode if a theme exceeds its size budgets.
+ * @param {ThemesBundler} bundler
+ * @param {ThemesBundlerConfigType['mode']} [mode]
+ * @returns {Promise<number>} - The exit code.
+ */
+export async function build(bundler, mode = 'development') {
+    await bundler.cleanup();
+    try {
+        await bundler.bundle();
+    } catch (error) {
+        bundler.report({
+            severity: 'error',
+            code: 'bundle-failed',
+            message: 'Failed to bundle themes',
+            error
+        });
+        return 1;
+    }
+    const message = `✅ Bundled themes: ${bundler.getThemeNames().join(', ')}`;
+    bundler.report({ severity: 'info', code: 'bundle-complete', message });
+    reportSizes(bundler);
+    reportInlinedAssets(bundler);
+    const failed = getReportedErrors(bundler).length > 0;
+    return failed || (mode === 'production' && bundler.getBudgetViolations().length) ? 1 : 0;
+}
+
+/**
+ * Returns the errors reported for the bundler and its selected themes, refer to createBundler.
+ * @param {ThemesBundler} bundler
+ * @returns {ReportMessageType[]}
+ */
+export function getReportedErrors(bundler) {
+    const reporter = bundler.getReporter();
+    if (!(reporter instanceof CollectingReporter)) return [];
+    const themeNames = [bundler.commonTheme, ...bundler.themes].map(theme => theme?.getName());
+    return reporter.messages.filter(({ themeName }) => !themeName || themeNames.includes(themeName));
+}
+
+/**
+ * Reports the sizes of the minified file of each theme.
+ * @param {ThemesBundler} bundler
+ */
+export function reportSizes(bundler) {
+    bundler.themes.forEach(theme => {
+        const sizes = theme.getSizes();
+        if (!sizes) return;
+        const themeName = theme.getName();
+        const message = `📦 ${themeName}: ${formatSizes(sizes)}`;
+        bundler.report({ severity: 'info', code: 'bundle-size', themeName, message });
+    });
+}
+
+/**
+ * Reports the assets each theme inlined as data URIs, refer to the inlineAssetLimit option.
+ * @param {ThemesBundler} bundler
+ */
+export function reportInlinedAssets(bundler) {
+    bundler.themes.forEach(theme => {
+        const assets = theme.getInlinedAssets();
+        if (!assets.length) return;
+        const themeName = theme.getName();
+        const list = assets
+            .map(({ file, size, references }) => {
+                const count = references > 1 ? ` x${references}` : '';
+                return `${PATH.relative(process.cwd(), file)} (${formatSize(size)}${count})`;
+            })
+            .join(', ');
+        const message = `🖼️ ${themeName} inlined: ${list}`;
+        bundler.report({ severity: 'info', code: 'assets-inlined', themeName, message });
+    });
+}
+
+/**
+ * Extracts the critical CSS of the themes for the pages given with --page.
+ * @param {ThemesBundler} bundler
+ * @param {CliArgsType} args
+ * @param {boolean} [minify]
+ * @returns {Promise<number>} - The exit code.
+ */
+export async function critical(bundler, args, minify = false) {
+    if (!args.page.length) {
+        bundler.report({ severity: 'error', code: 'cli-error', message: 'No pages given, use --page' });
+        return 1;
+    }
+    const pages = args.page.map(page => PATH.resolve(page));
+    const outDir = args.outDir && PATH.resolve(args.outDir);
+    try {
+        const results = await bundler.extractCritical(pages, {
+            inline: args.inline,
+            inlineTheme: args.theme[0],
+            outDir,
+            minify
+        });
+        results.forEach(({ themeName, file }) => {
+            const message = `✂️  ${themeName}: ${PATH.relative(process.cwd(), file)}`;
+            bundler.report({ severity: 'info', code: 'critical-complete', themeName, file, message });
+        });
+    } catch (error) {
+        bundler.report({
+            severity: 'error',
+            code: 'critical-failed',
+            message: 'Failed to extract critical CSS',
+            error
+        });
+        return 1;
+    }
+    return 0;
+}
+
+/**
+ * Reports the custom property coverage of the themes as a table, or writes it as JSON with --json.
+ * @param {ThemesBundler} bundler
+ * @param {CliArgsType} args
+ * @returns {Promise<number>} - The exit code.
+ */
+export async function coverage(bundler, args) {
+    try {
+        const report = await bundler.getCustomPropertyCoverage();
+        if (args.json) {
+            process.stdout.write(JSON.stringify(report, null, 4) + '\n');
+            return 0;
+        }
+        bundler.report({
+            severity: 'info',
+            code: 'custom-property-coverage',
+            message: formatCoverage(report)
+        });
+    } catch (error) {
+        bundler.report({
+            severity: 'error',
+            code: 'coverage-failed',
+            message: 'Failed to analyze the custom properties',
+            error
+        });
+        return 1;
+    }
+    return 0;
+}
+
+/**
+ * Runs the style-bun command line interface.
+ * @param {string[]} argv - The arguments without the node executable and script path.
+ * @returns {Promise<number>} - The exit code.
+ */
+export async function runCli(argv) {
+    const args = parseArgs(argv);
+    let bundler;
+    let config;
+    try {
+        config = applyArgs(await loadConfig(args), args);
+        bundler = await createBundler(config, args);
+    } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        createReporter(args.reporter).report({ severity: 'error', code: 'cli-error', message });
+        return 1;
+    }
+
+    if (args.command === 'clean') {
+        await bundler.cleanup();
+        return 0;
+    }
+
+    if (args.command === 'critical') {
+        return critical(bundler, args, config.minify);
+    }
+
+    if (args.command === 'coverage') {
+        return coverage(bundler, args);
+    }
+
+    const code = await build(bundler, config.mode);
+    if (args.command === 'watch') {
+        await bundler.watch();
+        bundler.report({
+            severity: 'info',
+            code: 'watch-start',
+            message: '👀 Watching themes for changes...'
+        });
+    }
+    return code;
+}
+
+// #endregion Commands
@@ -0,0 +1,321 @@
+/**
+ * @jest-environment node
+ */
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { jest } from '@jest/globals';
+import {
+    applyArgs,
+    build,
+    getConfigFile,
+    loadConfig,
+    parseArgs,
+    reportInlinedAssets,
+    runCli
+} from './cli.mjs';
+import ThemesBundler from '../themesBundler/themesBundler.mjs';
+
+const cwd = process.cwd();
+const configFile = path.join('demo', 'style-bun.config.js');
+const themesDir = path.join(cwd, 'demo', 'themes');
+
+describe('CLI', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('parseArgs', () => {
+        it('parses the command and options', () => {
+            const args = parseArgs([
+                'build',
+                '--mode=production',
+                '-t',
+                'dark',
+                '-t',
+                'default',
+                '--verbose'
+            ]);
+            expect(args.command).toBe('build');
+            expect(args.mode).toBe('production');
+            expect(args.theme).toEqual(['dark', 'default']);
+            expect(args.verbose).toBe(true);
+            expect(args.minify).toBeUndefined();
+            expect(args.reporter).toBeUndefined();
+        });
+
+        it('sets the reporter', () => {
+            const args = parseArgs(['build', '--reporter', 'json']);
+            expect(args.reporter).toBe('json');
+            expect(applyArgs({ reporter: 'pretty' }, args).reporter).toBe('json');
+        });
+
+        it('defaults to the mode of the config file, or development mode', () => {
+            const args = parseArgs(['watch']);
+            expect(args.mode).toBeUndefined();
+            expect(applyArgs({}, args).mode).toBe('development');
+            expect(applyArgs({ mode: 'production' }, args)).toEqual(
+                expect.objectContaining({ mode: 'production', minify: true })
+            );
+            expect(applyArgs({ mode: 'production' }, parseArgs(['watch', '--mode=development'])).mode).toBe(
+                'development'
+            );
+            expect(args.theme).toEqual([]);
+        });
+    });
+
+    describe('Config', () => {
+        it('resolves the config file', () => {
+            expect(getConfigFile(configFile)).toBe(path.join(cwd, configFile));
+            expect(getConfigFile(undefined, path.join(cwd, 'demo'))).toBe(path.join(cwd, configFile));
+            expect(getConfigFile(undefined, themesDir)).toBeUndefined();
+        });
+
+        it('loads the config file', async () => {
+            const config = await loadConfig(parseArgs(['build', '-c', configFile]));
+            expect(config.themes?.length).toBe(4);
+            expect(config.commonThemePath).toBe(path.join(themesDir, 'common'));
+        });
+
+        it('minifies in production mode unless told otherwise', () => {
+            expect(applyArgs({}, parseArgs(['build', '--mode=production'])).minify).toBe(true);
+            expect(applyArgs({}, parseArgs(['build', '--mode=production', '--no-minify'])).minify).toBe(
+                false
+            );
+            expect(applyArgs({}, parseArgs(['build'])).minify).toBe(false);
+            expect(applyArgs({ minify: true }, parseArgs(['build'])).minify).toBe(true);
+        });
+    });
+
+    describe('runCli', () => {
+        it('builds and cleans the selected themes', async () => {
+            const target = path.join(themesDir, 'dark', 'dark.bundled.css');
+            const skipped = path.join(themesDir, 'mobile', 'mobile.bundled.css');
+            expect(await runCli(['clean', '-c', configFile])).toBe(0);
+            expect(await runCli(['build', '-c', configFile, '--theme', 'dark'])).toBe(0);
+            expect(existsSync(target)).toBe(true);
+            expect(existsSync(skipped)).toBe(false);
+
+            expect(await runCli(['clean', '-c', configFile])).toBe(0);
+            expect(existsSync(target)).toBe(false);
+        });
+
+        it('exits with a non-zero code for an unknown theme', async () => {
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            expect(await runCli(['build', '-c', configFile, '--theme', 'nope'])).toBe(1);
+            expect(errorSpy).toHaveBeenCalledWith('🚫 Unknown theme(s): nope');
+        });
+
+        it('writes JSON lines with the json reporter', async () => {
+            const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+            expect(await runCli(['build', '-c', configFile, '--theme', 'nope', '--reporter', 'json'])).toBe(
+                1
+            );
+            const output = writeSpy.mock.calls.map(([line]) => String(line));
+            const lines = output.filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+            expect(lines).toContainEqual({
+                severity: 'error',
+                code: 'cli-error',
+                message: 'Unknown theme(s): nope'
+            });
+            lines.forEach(line => expect(line).toEqual(expect.objectContaining({ severity: 'error' })));
+        });
+
+        it('exits with a non-zero code when the config file does not exist', async () => {
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            expect(await runCli(['build', '-c', 'missing.config.js'])).toBe(1);
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('🚫 Config file not found'));
+        });
+
+        it('exits with a non-zero code when a theme fails to bundle', async () => {
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const { default: ThemeBundler } = await import('../themeBundler/themeBundler.mjs');
+            jest.spyOn(ThemeBundler.prototype, 'writeStyles').mockRejectedValue(new Error('Disk full'));
+            expect(await runCli(['build', '-c', configFile, '--theme', 'dark'])).toBe(1);
+            expect(errorSpy).toHaveBeenCalledWith('🚫 Failed to bundle themes:', expect.any(Error));
+        });
+
+        it('prints the help of the command line interface', () => {
+            const bin = path.join(cwd, 'src', 'cli', 'bin.mjs');
+            const help = spawnSync(process.execPath, [bin, '--help'], { encoding: 'utf8' });
+            expect(help.status).toBe(0);
+            expect(help.stdout).toContain('style-bun <command> [options]');
+            expect(help.stdout).toContain('Cleans and bundles all themes');
+
+            const buildHelp = spawnSync(process.execPath, [bin, 'build', '--help'], { encoding: 'utf8' });
+            expect(buildHelp.status).toBe(0);
+            expect(buildHelp.stdout).toContain('--mode');
+        });
+
+        it('reports an error and exits with a non-zero code when the command line interface fails', () => {
+            const dir = path.join(cwd, 'test', 'output', 'cli-rejected');
+            const rejectedConfigFile = path.join(dir, 'style-bun.config.js');
+            mkdirSync(dir, { recursive: true });
+            writeFileSync(
+                rejectedConfigFile,
+                `export default {
+                    themes: [{ path: ${JSON.stringify(path.join(themesDir, 'dark'))} }],
+                    reporter: { report: ({ severity }) => { if (severity === 'info') throw new Error('Reporter failed'); } }
+                };`
+            );
+            const bin = path.join(cwd, 'src', 'cli', 'bin.mjs');
+            const build = spawnSync(process.execPath, [bin, 'build', '-c', rejectedConfigFile], {
+                encoding: 'utf8'
+            });
+            const clean = spawnSync(process.execPath, [bin, 'clean', '-c', rejectedConfigFile], {
+                encoding: 'utf8'
+            });
+            rmSync(dir, { recursive: true, force: true });
+            expect(build.status).toBe(1);
+            expect(clean.status).toBe(0);
+            expect(build.stderr).toBe('🚫 Reporter failed\n');
+        });
+
+        it('minifies and fails on exceeded budgets with --mode production', async () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const dir = path.join(cwd, 'test', 'output', 'cli-production');
+            const budgetsConfigFile = path.join(dir, 'style-bun.config.js');
+            const minifiedFile = path.join(themesDir, 'dark', 'dark.min.css');
+            mkdirSync(dir, { recursive: true });
+            writeFileSync(
+                budgetsConfigFile,
+                `export default { themes: [{ path: ${JSON.stringify(path.join(themesDir, 'dark'))} }], budgets: { gzip: 100 } };`
+            );
+            expect(await runCli(['build', '-c', budgetsConfigFile])).toBe(0);
+            expect(existsSync(minifiedFile)).toBe(false);
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining("'dark' exceeds its gzip budget"));
+
+            expect(await runCli(['build', '-c', budgetsConfigFile, '--mode', 'production'])).toBe(1);
+            expect(existsSync(minifiedFile)).toBe(true);
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("'dark' exceeds its gzip budget"));
+            expect(await runCli(['clean', '-c', budgetsConfigFile])).toBe(0);
+            rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('builds in the mode of the config file without --mode', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const dir = path.join(cwd, 'test', 'output', 'cli-config-mode');
+            const modeConfigFile = path.join(dir, 'style-bun.config.js');
+            const minifiedFile = path.join(themesDir, 'dark', 'dark.min.css');
+            mkdirSync(dir, { recursive: true });
+            writeFileSync(
+                modeConfigFile,
+                `export default { mode: 'production', themes: [{ path: ${JSON.stringify(path.join(themesDir, 'dark'))} }], budgets: { gzip: 100 } };`
+            );
+            expect(await runCli(['build', '-c', modeConfigFile])).toBe(1);
+            expect(existsSync(minifiedFile)).toBe(true);
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("'dark' exceeds its gzip budget"));
+            expect(await runCli(['clean', '-c', modeConfigFile])).toBe(0);
+            rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('exits with a non-zero code when a theme reports an error', async () => {
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const dir = path.join(cwd, 'test', 'output', 'cli-broken');
+            const themeDir = path.join(dir, 'broken');
+            const brokenConfigFile = path.join(dir, 'style-bun.config.js');
+            mkdirSync(themeDir, { recursive: true });
+            writeFileSync(
+                path.join(themeDir, 'broken.config.js'),
+                "export default { includes: ['main', 'missing'] };"
+            );
+            writeFileSync(path.join(themeDir, 'main.css'), '.main { color: red; }');
+            writeFileSync(
+                brokenConfigFile,
+                `export default { themes: [{ path: ${JSON.stringify(themeDir)} }] };`
+            );
+            expect(await runCli(['build', '-c', brokenConfigFile])).toBe(1);
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('includes[1]'));
+            expect(existsSync(path.join(themeDir, 'broken.bundled.css'))).toBe(true);
+            rmSync(dir, { recursive: true, force: true });
+        });
+    });
+
+    describe('critical', () => {
+        it('extracts the critical CSS of the selected themes for the pages', async () => {
+            const pagesDir = path.join(cwd, 'test', 'output', 'cli-critical');
+            const page = path.join(pagesDir, 'index.html');
+            mkdirSync(pagesDir, { recursive: true });
+            writeFileSync(page, '<html><head></head><body><blockquote></blockquote></body></html>');
+            const args = ['critical', '-c', configFile, '--theme', 'dark', '--page', page];
+            expect(parseArgs([...args, '--inline']).page).toEqual([page]);
+            expect(await runCli(args)).toBe(0);
+            expect(readFileSync(path.join(pagesDir, 'index.dark.critical.css'), 'utf8')).toContain(
+                'blockquote'
+            );
+
+            expect(await runCli([...args, '--inline', '--minify'])).toBe(0);
+            expect(readFileSync(page, 'utf8')).toMatch(/<style data-critical="dark">\n[^\n]*blockquote\{/);
+            rmSync(pagesDir, { recursive: true, force: true });
+        });
+
+        it('exits with a non-zero code without pages', async () => {
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            expect(await runCli(['critical', '-c', configFile, '--theme', 'dark'])).toBe(1);
+            expect(errorSpy).toHaveBeenCalledWith('🚫 No pages given, use --page');
+        });
+    });
+
+    describe('coverage', () => {
+        it('reports the custom property coverage as a table or as JSON', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const infoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+            const args = ['coverage', '-c', configFile, '--theme', 'default', '--theme', 'dark'];
+            expect(await runCli(args)).toBe(0);
+            const [[table]] = infoSpy.mock.calls;
+            expect(table).toMatch(/^🧮 \d+ custom properties in 2 themes/);
+            expect(table).toMatch(/\n--color-background +undefined +defined/);
+
+            const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+            expect(await runCli([...args, '--json'])).toBe(0);
+            const [json] = writeSpy.mock.calls
+                .map(([output]) => String(output))
+                .filter(output => output.startsWith('{'));
+            const report = JSON.parse(json);
+            expect(report.themes).toEqual(['default', 'dark']);
+            expect(report.properties['--color-background'].dark.status).toBe('defined');
+        });
+    });
+
+    describe('build', () => {
+        it('reports the sizes and fails in production mode when a budget is exceeded', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const infoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+            const bundler = new ThemesBundler({
+                themes: [{ path: path.join(themesDir, 'dark') }],
+                commonThemePath: path.join(themesDir, 'common'),
+                minify: true,
+                budgets: { gzip: 100 }
+            });
+            await bundler.promise;
+            expect(await build(bundler, 'development')).toBe(0);
+            expect(infoSpy).toHaveBeenCalledWith(
+                expect.stringMatching(/^📦 dark: [\d.]+ k?B, [\d.]+ k?B gzip, [\d.]+ k?B brotli$/)
+            );
+            expect(await build(bundler, 'production')).toBe(1);
+            expect(bundler.getBudgetViolations()).toEqual([
+                expect.objectContaining({ themeName: 'dark', compression: 'gzip' })
+            ]);
+            await bundler.cleanup();
+        });
+
+        it('reports the inlined assets of each theme', async () => {
+            const infoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+            const bundler = new ThemesBundler({ themes: [{ path: path.join(themesDir, 'dark') }] });
+            await bundler.promise;
+            const [theme] = bundler.themes;
+            const file = path.join(cwd, 'demo', 'components', 'button', 'icon.svg');
+            jest.spyOn(theme, 'getInlinedAssets').mockReturnValue([{ file, size: 412, references: 2 }]);
+            reportInlinedAssets(bundler);
+            expect(infoSpy).toHaveBeenCalledWith(
+                `🖼️ dark inlined: ${path.join('demo', 'components', 'button', 'icon.svg')} (412 B x2)`
+            );
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import { ThemesBundlerConfigType } from '../themesBundler/themesBundler.types.js';
+import { ReporterNameType } from '../reporter/reporter.types.js';
+
+export type CliCommandType = 'build' | 'watch' | 'clean' | 'critical' | 'coverage';
+
+/**
+ * The parsed arguments of the style-bun command line interface.
+ */
+export type CliArgsType = {
+    /**
+     * @property {CliCommandType} command - The command to run.
+     */
+    command: CliCommandType;
+
+    /**
+     * @property {string} config - Path to the config file, relative to the working directory.
+     */
+    config?: string;
+
+    /**
+     * @property {'development' | 'production'} mode - The build mode, production enables minification by default.
+     * If not given, the mode of the config file is used.
+     */
+    mode?: 'development' | 'production';
+
+    /**
+     * @property {string[]} theme - The names of the themes to bundle, all themes are bundled if empty.
+     */
+    theme: string[];
+    minify?: boolean;
+    verbose?: boolean;
+
+    /**
+     * @property {boolean} serve - Starts the dev server when watching, refer to ThemesBundlerConfigType devServer.
+     */
+    serve?: boolean;
+    port?: number;
+
+    /**
+     * @property {string[]} page - The HTML pages of the critical command, relative to the working directory.
+     */
+    page: string[];
+
+    /**
+     * @property {boolean} inline - Inlines the critical CSS of the first theme given with --theme in the pages, or of the first theme.
+     * The other themes are written to [page].[themeName].critical.css files.
+     */
+    inline?: boolean;
+    outDir?: string;
+
+    /**
+     * @property {boolean} json - Writes the report of the coverage command as JSON instead of a table.
+     */
+    json?: boolean;
+
+    /**
+     * @property {ReporterNameType} reporter - Overrides the reporter of the config, refer to ThemesBundlerConfigType reporter.
+     */
+    reporter?: ReporterNameType;
+};
+
+/**
+ * The default export of a style-bun.config.js file.
+ * It can be a config object or a function that receives the parsed arguments and returns one.
+ */
+export type StyleBunConfigType =
+    | ThemesBundlerConfigType
+    | ((args: CliArgsType) => ThemesBundlerConfigType | Promise<ThemesBundlerConfigType>);
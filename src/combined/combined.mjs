@@ -0,0 +1,116 @@
+/**
+ * @typedef {import('lightningcss').Selector} SelectorType
+ */
+import { Features, transform } from 'lightningcss';
+
+export const DEFAULT_SELECTOR = '[data-theme="{themeName}"]';
+
+/**
+ * The components a scope may start with to be combined with the root element, e.g. `:root[data-theme="dark"]`.
+ */
+const COMPOUND_COMPONENTS = ['attribute', 'class', 'id', 'pseudo-class'];
+
+/**
+ * At-rules which are only valid at the top level of a stylesheet, so they are not wrapped in a media query.
+ */
+const TOP_LEVEL_RULES = ['import', 'namespace', 'property'];
+
+/**
+ * Returns the selector of a theme, replacing {themeName} in the template.
+ * @param {string} template
+ * @param {string} themeName
+ * @returns {string}
+ */
+export function getThemeSelector(template, themeName) {
+    return template.replaceAll('{themeName}', themeName);
+}
+
+/**
+ * Parses a selector with lightningcss, e.g. the scope of a theme.
+ * @param {string} selector
+ * @returns {SelectorType | undefined}
+ */
+function parseSelector(selector) {
+    /** @type {SelectorType[]} */
+    const selectors = [];
+    transform({
+        code: Buffer.from(`${selector} {}`),
+        filename: 'scope.css',
+        errorRecovery: true,
+        visitor: { Selector: item => void selectors.push(item) }
+    });
+    return selectors[0];
+}
+
+/**
+ * Scopes a selector, e.g. `.button` with `.dark` becomes `.dark .button`.
+ * Selectors of the root element are combined with the scope when it starts with an attribute, class, id or pseudo-class,
+ * e.g. `:root` with `.dark` becomes `:root.dark`.
+ * @param {SelectorType} selector
+ * @param {SelectorType} scope
+ * @returns {SelectorType}
+ */
+function scopeSelector(selector, scope) {
+    const [first, ...rest] = selector;
+    const isCompound = COMPOUND_COMPONENTS.includes(scope[0]?.type);
+    const isRoot =
+        (first?.type === 'pseudo-class' && first.kind === 'root') ||
+        (first?.type === 'type' && first.name === 'html');
+    if (isCompound && isRoot) return [first, ...scope, ...rest];
+    return [...scope, { type: 'combinator', value: 'descendant' }, ...selector];
+}
+
+/**
+ * Scopes the rules of a stylesheet under a selector, including those in group rules such as `@media`.
+ * Nesting is compiled first. Other at-rules, e.g. `@font-face` or `@keyframes`, are kept as they are.
+ * @param {string} css
+ * @param {string} scope
+ * @returns {string}
+ */
+export function scopeCSS(css, scope) {
+    const filename = 'scope.css';
+    const parsedScope = parseSelector(scope);
+    const flat = transform({
+        code: Buffer.from(css),
+        filename,
+        include: Features.Nesting,
+        errorRecovery: true
+    });
+    if (!parsedScope) return flat.code.toString();
+    return transform({
+        code: flat.code,
+        filename,
+        errorRecovery: true,
+        visitor: { Selector: selector => scopeSelector(selector, parsedScope) }
+    }).code.toString();
+}
+
+/**
+ * Wraps a stylesheet in a media query, at-rules which must stay at the top level are moved before it.
+ * @param {string} css
+ * @param {string} media
+ * @returns {string}
+ */
+export function wrapInMedia(css, media) {
+    /**
+     * Prints the rules of the stylesheet which must, or must not, stay at the top level.
+     * @param {boolean} isTopLevel
+     * @returns {string}
+     */
+    const printRules = isTopLevel =>
+        transform({
+            code: Buffer.from(css),
+            filename: 'media.css',
+            errorRecovery: true,
+            visitor: {
+                Rule(rule) {
+                    if (TOP_LEVEL_RULES.includes(rule.type) !== isTopLevel) return [];
+                }
+            }
+        })
+            .code.toString()
+            .trim();
+    const rules = printRules(false);
+    const wrapped = rules ? `@media ${media} {\n${rules}\n}` : '';
+    return [printRules(true), wrapped].filter(Boolean).join('\n');
+}
@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+import { getThemeSelector, scopeCSS, wrapInMedia } from './combined.mjs';
+
+describe('Combined stylesheet', () => {
+    it('scopes selectors, adding the scope to the root element', () => {
+        const scope = getThemeSelector('[data-theme="{themeName}"]', 'dark');
+        expect(scope).toBe('[data-theme="dark"]');
+        expect(scopeCSS('.button, a:hover { top: 0; }', scope)).toContain(
+            '[data-theme="dark"] .button, [data-theme="dark"] a:hover {'
+        );
+        expect(scopeCSS(':root, html > body { top: 0; }', scope)).toContain(
+            ':root[data-theme="dark"], html[data-theme="dark"] > body {'
+        );
+        expect(scopeCSS(':root { top: 0; }', 'body.dark')).toContain('body.dark :root {');
+        expect(scopeCSS('.html-content { top: 0; }', '.dark')).toContain('.dark .html-content {');
+        expect(scopeCSS('.a:not(.b, :has(> .c)) { top: 0; }', '.dark')).toContain(
+            '.dark .a:not(.b, :has( > .c)) {'
+        );
+    });
+
+    it('scopes the rules of a stylesheet, including nested and grouped rules', () => {
+        const css = [
+            ':root { --color: white; }',
+            '.card { color: var(--color); .title { font-weight: bold; } }',
+            '@media (max-width: 700px) { .card { padding: 0; } }',
+            '@keyframes fade { from { opacity: 0; } to { opacity: 1; } }'
+        ].join('\n');
+        const scoped = scopeCSS(css, '.dark');
+        expect(scoped).toContain(':root.dark {');
+        expect(scoped).toContain('.dark .card {');
+        expect(scoped).toContain('.dark .card .title {');
+        expect(scoped).toMatch(/@media \(width <= 700px\) {\n\s*\.dark \.card {/);
+        expect(scoped).toContain('from {');
+        expect(scoped).not.toContain('.dark from');
+    });
+
+    it('wraps a stylesheet in a media query, keeping top level at-rules out of it', () => {
+        const css =
+            '@property --angle { syntax: "<angle>"; inherits: false; initial-value: 0deg; }\n.a { color: red; }';
+        const wrapped = wrapInMedia(css, '(prefers-color-scheme: dark)');
+        expect(wrapped.indexOf('@property --angle')).toBe(0);
+        expect(wrapped).toContain('@media (prefers-color-scheme: dark) {\n.a {\n  color: red;\n}\n}');
+        expect(wrapInMedia('', 'print')).toBe('');
+    });
+});
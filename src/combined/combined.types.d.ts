@@ -0,0 +1,27 @@
+/**
+ * Options of the combined stylesheet, which merges several themes into one file.
+ */
+export type CombinedConfigType = {
+    /**
+     * @property {string} fileName - The name of the files written to the export path, the default is 'themes'.
+     * The bundled styles are written to [fileName].bundled.css, and to [fileName].min.css when minifying.
+     */
+    fileName?: string;
+
+    /**
+     * @property {string[]} themes - The themes to merge, in order, defaults to all themes.
+     */
+    themes?: string[];
+
+    /**
+     * @property {string} defaultTheme - The theme whose rules are not scoped, defaults to the first theme.
+     * It is the only theme including the common theme.
+     */
+    defaultTheme?: string;
+
+    /**
+     * @property {string} selector - The selector scoping the rules of the other themes, the default is '[data-theme="{themeName}"]'.
+     * A theme can set its own selector, or a media query to wrap its rules in instead, refer to ThemeBundlerConfigType.
+     */
+    selector?: string;
+};
@@ -1,5 +1,5 @@
 export type BundleThemeArgsType = Record<string, any> & {
     watch?: boolean;
     mode?: 'development' | 'production';
-    verbose?: boolean;
+    verbose?: boolean | 'true' | 'false';
 };
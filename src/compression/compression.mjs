@@ -0,0 +1,45 @@
+/**
+ * @typedef {import('./compression.types.js').CompressionType} CompressionType
+ * @typedef {import('./compression.types.js').CompressedSizesType} CompressedSizesType
+ */
+import zlib from 'zlib';
+
+/** @type {CompressionType[]} */
+export const COMPRESSIONS = ['gzip', 'brotli'];
+
+/**
+ * The file extension of each compression, appended to the compressed file name.
+ * @type {Record<CompressionType, string>}
+ */
+export const COMPRESSION_EXTENSIONS = { gzip: '.gz', brotli: '.br' };
+
+/**
+ * Compresses content with the highest compression level, as used for static assets.
+ * @param {string | Buffer} content
+ * @param {CompressionType} compression
+ * @returns {Buffer}
+ */
+export function compress(content, compression) {
+    if (compression === 'brotli') {
+        return zlib.brotliCompressSync(content, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+                [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY
+            }
+        });
+    }
+    return zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION });
+}
+
+/**
+ * Returns the raw, gzip and brotli sizes of content.
+ * @param {string | Buffer} content
+ * @returns {CompressedSizesType}
+ */
+export function getCompressedSizes(content) {
+    return {
+        raw: Buffer.byteLength(content),
+        gzip: compress(content, 'gzip').length,
+        brotli: compress(content, 'brotli').length
+    };
+}
@@ -0,0 +1,22 @@
+/**
+ * @jest-environment node
+ */
+import zlib from 'zlib';
+import { compress, getCompressedSizes } from './compression.mjs';
+
+const css = '.button { color: red; }\n'.repeat(100);
+
+describe('Compression', () => {
+    it('compresses content with gzip and brotli', () => {
+        expect(zlib.gunzipSync(compress(css, 'gzip')).toString()).toBe(css);
+        expect(zlib.brotliDecompressSync(compress(css, 'brotli')).toString()).toBe(css);
+    });
+
+    it('returns the raw, gzip and brotli sizes', () => {
+        const sizes = getCompressedSizes(css);
+        expect(sizes.raw).toBe(css.length);
+        expect(sizes.gzip).toBe(compress(css, 'gzip').length);
+        expect(sizes.brotli).toBeLessThan(sizes.raw);
+        expect(getCompressedSizes(Buffer.from('ü')).raw).toBe(2);
+    });
+});
@@ -0,0 +1,10 @@
+export type CompressionType = 'gzip' | 'brotli';
+
+/**
+ * The sizes of a file in bytes, uncompressed and compressed.
+ */
+export type CompressedSizesType = {
+    raw: number;
+    gzip: number;
+    brotli: number;
+};
@@ -0,0 +1,334 @@
+/**
+ * @typedef {import('./configSchema.types.js').ConfigSchemaType} ConfigSchemaType
+ * @typedef {import('./configSchema.types.js').SchemaPropertyType} SchemaPropertyType
+ * @typedef {import('./configSchema.types.js').SchemaValueType} SchemaValueType
+ * @typedef {import('./configSchema.types.js').ConfigErrorType} ConfigErrorType
+ */
+import fs from 'fs';
+import { REPORTERS } from '../reporter/reporter.mjs';
+import { COMPRESSIONS } from '../compression/compression.mjs';
+
+/**
+ * The value types an enum applies to, values of other types such as objects are only checked against the type.
+ * @type {SchemaValueType[]}
+ */
+const ENUM_TYPES = ['string', 'number', 'boolean'];
+
+/** @type {SchemaPropertyType} */
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
+
+/** @type {SchemaPropertyType} */
+const REPORTER = { type: ['string', 'object'], enum: REPORTERS };
+
+/** @type {SchemaPropertyType} */
+const TARGETS = { type: ['string', 'array', 'object', 'boolean'] };
+
+/** @type {SchemaPropertyType} */
+const DRAFTS = { type: 'object', properties: { customMedia: { type: 'boolean' } } };
+
+/** @type {SchemaPropertyType} */
+const POSTCSS = { type: 'object', properties: { plugins: { type: 'array' }, options: { type: 'object' } } };
+
+/** @type {SchemaPropertyType} */
+const SASS = {
+    type: 'object',
+    properties: {
+        loadPaths: STRING_ARRAY,
+        pkgImporter: { type: ['boolean', 'string'] },
+        importers: { type: 'array' },
+        functions: { type: 'object' },
+        style: { type: 'string', enum: ['expanded', 'compressed'] },
+        quietDeps: { type: 'boolean' },
+        silenceDeprecations: STRING_ARRAY,
+        fatalDeprecations: STRING_ARRAY,
+        futureDeprecations: STRING_ARRAY
+    }
+};
+
+/** @type {SchemaPropertyType} */
+const SIZE = { type: ['number', 'string'] };
+
+/** @type {SchemaPropertyType} */
+const BUDGETS = { type: 'object', properties: { raw: SIZE, gzip: SIZE, brotli: SIZE } };
+
+/** @type {SchemaPropertyType} */
+const THEME_SWITCHER = {
+    type: ['boolean', 'object'],
+    properties: {
+        fileName: { type: 'string' },
+        themes: STRING_ARRAY,
+        defaultTheme: { type: 'string' },
+        storageKey: { type: 'string' },
+        colorSchemes: { type: 'object', properties: { light: { type: 'string' }, dark: { type: 'string' } } }
+    }
+};
+
+/** @type {SchemaPropertyType} */
+const NON_STANDARD = { type: 'object', properties: { deepSelectorCombinator: { type: 'boolean' } } };
+
+/**
+ * The schema of a theme config, passed to the ThemeBundler or exported by a [themeName].config.js file.
+ * @type {ConfigSchemaType}
+ */
+export const THEME_CONFIG_SCHEMA = {
+    path: { type: 'string' },
+    includes: STRING_ARRAY,
+    extension: { type: 'string', enum: ['css', 'scss'] },
+    baseTheme: { type: 'string' },
+    commonThemeFile: { type: 'string' },
+    configFile: { type: 'string', path: 'file' },
+    target: { type: 'string' },
+    minifiedTarget: { type: 'string' },
+    patterns: STRING_ARRAY,
+    verbose: { type: 'boolean' },
+    mode: { type: 'string', enum: ['development', 'production'] },
+    sourceMap: { type: 'boolean' },
+    exportPath: { type: 'string' },
+    hash: { type: ['boolean', 'number'] },
+    strict: { type: 'boolean' },
+    reporter: REPORTER,
+    targets: TARGETS,
+    drafts: DRAFTS,
+    nonStandard: NON_STANDARD,
+    unusedSymbols: STRING_ARRAY,
+    plugins: { type: 'array', items: { type: 'object' } },
+    postcss: POSTCSS,
+    sass: SASS,
+    budgets: BUDGETS,
+    compress: { type: ['boolean', 'array'], items: { type: 'string', enum: COMPRESSIONS } },
+    inlineAssetLimit: { type: 'number' },
+    tokens: { type: ['string', 'array'], items: { type: 'string' } },
+    selector: { type: 'string' },
+    media: { type: 'string' }
+};
+
+/**
+ * The schema of the ThemesBundler config.
+ * Each theme config is validated by its ThemeBundler.
+ * @type {ConfigSchemaType}
+ */
+export const THEMES_BUNDLER_CONFIG_SCHEMA = {
+    themesPath: { type: 'string', path: 'directory' },
+    themes: { type: 'array', items: { type: 'object' } },
+    patterns: STRING_ARRAY,
+    minify: { type: 'boolean' },
+    commonThemePath: { type: 'string', path: 'directory' },
+    watchPaths: STRING_ARRAY,
+    verbose: { type: 'boolean' },
+    mode: { type: 'string', enum: ['development', 'production'] },
+    sourceMap: { type: 'boolean' },
+    exportPath: { type: 'string' },
+    hash: { type: ['boolean', 'number'] },
+    devServer: {
+        type: ['boolean', 'object'],
+        properties: {
+            root: { type: 'string', path: 'directory' },
+            port: { type: 'number' },
+            host: { type: 'string' },
+            injectClient: { type: 'boolean' }
+        }
+    },
+    watchCallback: { type: 'function' },
+    strict: { type: 'boolean' },
+    reporter: REPORTER,
+    targets: TARGETS,
+    drafts: DRAFTS,
+    nonStandard: NON_STANDARD,
+    unusedSymbols: STRING_ARRAY,
+    plugins: { type: 'array', items: { type: 'object' } },
+    postcss: POSTCSS,
+    sass: SASS,
+    budgets: BUDGETS,
+    compress: { type: ['boolean', 'array'], items: { type: 'string', enum: COMPRESSIONS } },
+    inlineAssetLimit: { type: 'number' },
+    themeSwitcher: THEME_SWITCHER,
+    combined: {
+        type: ['boolean', 'object'],
+        properties: {
+            fileName: { type: 'string' },
+            themes: STRING_ARRAY,
+            defaultTheme: { type: 'string' },
+            selector: { type: 'string' }
+        }
+    }
+};
+
+/**
+ * Thrown in strict mode when a config is invalid.
+ */
+export class ConfigValidationError extends Error {
+    /**
+     * @param {ConfigErrorType[]} errors
+     */
+    constructor(errors) {
+        super(`Invalid config:\n${errors.map(error => `  - ${formatConfigError(error)}`).join('\n')}`);
+        this.name = 'ConfigValidationError';
+        /** @type {ConfigErrorType[]} */
+        this.errors = errors;
+    }
+}
+
+////////////////////////////
+// #region Validation
+////////////////////////////
+
+/**
+ * Returns the schema type of a value.
+ * @param {unknown} value
+ * @returns {SchemaValueType | 'null' | 'undefined' | 'bigint' | 'symbol'}
+ */
+export function getValueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Returns a readable description of the values accepted by a schema property, e.g. 'string[]'.
+ * @param {SchemaPropertyType} property
+ * @returns {string}
+ */
+export function describeProperty(property) {
+    const types = Array.isArray(property.type) ? property.type : [property.type];
+    if (property.enum) {
+        const values = property.enum.map(value => JSON.stringify(value).replace(/"/g, "'"));
+        return [...values, ...types.filter(type => !ENUM_TYPES.includes(type))].join(' | ');
+    }
+    return types
+        .map(type => (type === 'array' && property.items ? `${describeProperty(property.items)}[]` : type))
+        .join(' | ');
+}
+
+/**
+ * Validates a value against a schema property.
+ * @param {unknown} value
+ * @param {SchemaPropertyType} property
+ * @param {string} key
+ * @param {string} source
+ * @returns {ConfigErrorType[]}
+ */
+export function validateValue(value, property, key, source) {
+    const expected = describeProperty(property);
+    const valueType = getValueType(value);
+    const types = Array.isArray(property.type) ? property.type : [property.type];
+    /** @type {(reason: ConfigErrorType['reason'], message: string) => ConfigErrorType[]} */
+    const error = (reason, message) => [{ source, key, expected, reason, message }];
+
+    if (!types.includes(/** @type {SchemaValueType} */ (valueType))) {
+        const received = valueType === 'string' ? `"${value}"` : valueType;
+        return error('type', `must be of type ${expected}, received ${received}`);
+    }
+    const isEnumType = ENUM_TYPES.includes(/** @type {SchemaValueType} */ (valueType));
+    if (
+        property.enum &&
+        isEnumType &&
+        !property.enum.includes(/** @type {string | number | boolean} */ (value))
+    ) {
+        return error('type', `must be one of ${expected}, received ${JSON.stringify(value)}`);
+    }
+    if (property.path && typeof value === 'string' && !isPath(value, property.path)) {
+        return error('path', `must be an existing ${property.path}: "${value}"`);
+    }
+    if (valueType === 'array' && property.items) {
+        const { items } = property;
+        return /** @type {unknown[]} */ (value).flatMap((item, index) =>
+            validateValue(item, items, `${key}[${index}]`, source)
+        );
+    }
+    if (valueType === 'object' && property.properties) {
+        return validateConfig(
+            /** @type {Record<string, unknown>} */ (value),
+            property.properties,
+            source,
+            key
+        );
+    }
+    return [];
+}
+
+/**
+ * Validates a config object against a schema, undefined values are ignored.
+ * @param {Record<string, unknown> | object} config
+ * @param {ConfigSchemaType} schema
+ * @param {string} source - The config file or the class the config was passed to.
+ * @param {string} [prefix] - The key of the config in its parent config.
+ * @returns {ConfigErrorType[]}
+ */
+export function validateConfig(config, schema, source, prefix = '') {
+    if (getValueType(config) !== 'object') {
+        return validateValue(config, { type: 'object' }, prefix || 'config', source);
+    }
+    const knownKeys = Object.keys(schema).join(', ');
+    return Object.entries(config).flatMap(([name, value]) => {
+        const key = prefix ? `${prefix}.${name}` : name;
+        const property = schema[name];
+        if (!property) {
+            const message = `is not a known option, expected one of: ${knownKeys}`;
+            return [{ source, key, expected: knownKeys, reason: /** @type {const} */ ('unknown'), message }];
+        }
+        return typeof value === 'undefined' ? [] : validateValue(value, property, key, source);
+    });
+}
+
+/**
+ * Checks that a path exists and is of the given kind.
+ * @param {string} path
+ * @param {'file' | 'directory'} kind
+ * @returns {boolean}
+ */
+function isPath(path, kind) {
+    if (!fs.existsSync(path)) return false;
+    const stat = fs.statSync(path);
+    return kind === 'file' ? stat.isFile() : stat.isDirectory();
+}
+
+// #endregion Validation
+
+////////////////////////////
+// #region Reporting
+////////////////////////////
+
+/**
+ * Formats a config error, naming the source, key and expected type.
+ * @param {ConfigErrorType} error
+ * @returns {string}
+ */
+export function formatConfigError(error) {
+    return `${error.source}: "${error.key}" ${error.message}`;
+}
+
+/**
+ * Reports config errors, in strict mode they are thrown as a ConfigValidationError.
+ * @param {ConfigErrorType[]} errors
+ * @param {boolean} [strict]
+ * @param {(message: string, error: ConfigErrorType) => void} [report] - Reports each error, defaults to console.error.
+ * @throws {ConfigValidationError} - In strict mode, if there are any errors.
+ */
+export function reportConfigErrors(
+    errors,
+    strict = false,
+    report = message => console.error(`🚫 ${message}`)
+) {
+    if (!errors.length) return;
+    if (strict) {
+        throw new ConfigValidationError(errors);
+    }
+    errors.forEach(error => report(`Invalid config in ${formatConfigError(error)}`, error));
+}
+
+/**
+ * Returns a copy of the config without the keys that have an invalid type, so the defaults apply instead.
+ * Nested errors, such as an invalid array item, are only reported.
+ * @template {object} T
+ * @param {T} config
+ * @param {ConfigErrorType[]} errors
+ * @returns {T}
+ */
+export function omitInvalidKeys(config, errors) {
+    const invalidKeys = errors.filter(error => error.reason === 'type').map(error => error.key);
+    return /** @type {T} */ (
+        Object.fromEntries(Object.entries(config).filter(([key]) => !invalidKeys.includes(key)))
+    );
+}
+
+// #endregion Reporting
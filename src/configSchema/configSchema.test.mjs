@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import { join } from 'path';
+import {
+    ConfigValidationError,
+    THEME_CONFIG_SCHEMA,
+    THEMES_BUNDLER_CONFIG_SCHEMA,
+    describeProperty,
+    formatConfigError,
+    omitInvalidKeys,
+    reportConfigErrors,
+    validateConfig
+} from './configSchema.mjs';
+import { jest } from '@jest/globals';
+
+const cwd = process.cwd();
+
+describe('configSchema', () => {
+    it('describes the expected types', () => {
+        expect(describeProperty(THEME_CONFIG_SCHEMA.includes)).toBe('string[]');
+        expect(describeProperty(THEME_CONFIG_SCHEMA.extension)).toBe("'css' | 'scss'");
+        expect(describeProperty(THEME_CONFIG_SCHEMA.hash)).toBe('boolean | number');
+    });
+
+    it('accepts a valid config and ignores undefined values', () => {
+        const config = { includes: ['main'], extension: 'scss', hash: 12, verbose: undefined };
+        expect(validateConfig(config, THEME_CONFIG_SCHEMA, 'theme.config.js')).toEqual([]);
+    });
+
+    it('reports wrong types, unknown keys and invalid values with the file, key and expected type', () => {
+        const config = { name: 'Invalid', includes: null, extension: 'less', patterns: ['a', 1] };
+        const errors = validateConfig(config, THEME_CONFIG_SCHEMA, 'invalid.config.js');
+        expect(errors.map(error => [error.key, error.reason, error.expected])).toEqual([
+            ['name', 'unknown', Object.keys(THEME_CONFIG_SCHEMA).join(', ')],
+            ['includes', 'type', 'string[]'],
+            ['extension', 'type', "'css' | 'scss'"],
+            ['patterns[1]', 'type', 'string']
+        ]);
+        expect(formatConfigError(errors[1])).toBe(
+            'invalid.config.js: "includes" must be of type string[], received null'
+        );
+    });
+
+    it('reports paths that do not exist', () => {
+        const config = {
+            themesPath: join(cwd, 'missing'),
+            commonThemePath: join(cwd, 'package.json'),
+            devServer: { root: join(cwd, 'demo'), port: '8080' }
+        };
+        const errors = validateConfig(config, THEMES_BUNDLER_CONFIG_SCHEMA, 'ThemesBundler config');
+        expect(errors.map(error => [error.key, error.reason])).toEqual([
+            ['themesPath', 'path'],
+            ['commonThemePath', 'path'],
+            ['devServer.port', 'type']
+        ]);
+        expect(errors[1].message).toContain('must be an existing directory');
+    });
+
+    it('omits the keys with an invalid type', () => {
+        const config = { includes: null, extension: 'css', patterns: ['a', 1], configFile: '/missing.js' };
+        const errors = validateConfig(config, THEME_CONFIG_SCHEMA, 'theme.config.js');
+        expect(omitInvalidKeys(config, errors)).toEqual({
+            extension: 'css',
+            patterns: ['a', 1],
+            configFile: '/missing.js'
+        });
+    });
+
+    it('logs errors by default and throws them in strict mode', () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const errors = validateConfig({ verbose: 'yes' }, THEME_CONFIG_SCHEMA, 'theme.config.js');
+        reportConfigErrors(errors);
+        expect(consoleSpy).toHaveBeenCalledWith(
+            '🚫 Invalid config in theme.config.js: "verbose" must be of type boolean, received "yes"'
+        );
+        expect(() => reportConfigErrors(errors, true)).toThrow(ConfigValidationError);
+        expect(() => reportConfigErrors(errors, true)).toThrow('"verbose" must be of type boolean');
+        consoleSpy.mockRestore();
+    });
+});
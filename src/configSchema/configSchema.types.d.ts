@@ -0,0 +1,56 @@
+export type SchemaValueType = 'string' | 'number' | 'boolean' | 'object' | 'array' | 'function';
+
+/**
+ * Describes a config property.
+ */
+export type SchemaPropertyType = {
+    /**
+     * @property {SchemaValueType | SchemaValueType[]} type - The accepted type or types of the value.
+     */
+    type: SchemaValueType | SchemaValueType[];
+
+    /**
+     * @property {SchemaPropertyType} items - Describes the items of an array value.
+     */
+    items?: SchemaPropertyType;
+
+    /**
+     * @property {ConfigSchemaType} properties - Describes the properties of an object value, other keys are reported as unknown.
+     */
+    properties?: ConfigSchemaType;
+
+    /**
+     * @property {(string | number | boolean)[]} enum - The accepted values, objects and functions are only checked against the type.
+     */
+    enum?: (string | number | boolean)[];
+
+    /**
+     * @property {'file' | 'directory'} path - The value is a path that must exist on disk.
+     */
+    path?: 'file' | 'directory';
+};
+
+export type ConfigSchemaType = Record<string, SchemaPropertyType>;
+
+export type ConfigErrorType = {
+    /**
+     * @property {string} source - The config file or the class the config was passed to.
+     */
+    source: string;
+
+    /**
+     * @property {string} key - The path of the invalid key, e.g. 'includes' or 'themes[0].path'.
+     */
+    key: string;
+
+    /**
+     * @property {string} expected - A description of the expected value, e.g. 'string[]'.
+     */
+    expected: string;
+
+    /**
+     * @property {'unknown' | 'type' | 'path'} reason - Why the value is invalid.
+     */
+    reason: 'unknown' | 'type' | 'path';
+    message: string;
+};
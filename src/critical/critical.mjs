@@ -0,0 +1,228 @@
+/**
+ * @typedef {import('./critical.types.js').CriticalCSSOptionsType} CriticalCSSOptionsType
+ * @typedef {import('lightningcss').Selector} SelectorType
+ * @typedef {import('lightningcss').SelectorComponent} SelectorComponentType
+ * @typedef {ReturnType<typeof import('htmlparser2').parseDocument>} DocumentType
+ */
+import { Features, transform } from 'lightningcss';
+import { parseDocument } from 'htmlparser2';
+import { selectOne } from 'css-select';
+
+/**
+ * Pseudo-classes which depend on user interaction or browser state, they can't be matched statically.
+ */
+const DYNAMIC_PSEUDO_CLASSES = [
+    'hover',
+    'focus',
+    'focus-visible',
+    'focus-within',
+    'active',
+    'visited',
+    'target',
+    'user-valid',
+    'user-invalid',
+    'webkit-scrollbar'
+];
+
+/**
+ * The rules grouping other rules, they are removed when none of their rules are critical.
+ */
+const GROUP_RULES = [
+    'media',
+    'supports',
+    'container',
+    'layer-block',
+    'scope',
+    'starting-style',
+    'moz-document'
+];
+
+const COMBINATORS = { child: ' > ', descendant: ' ', 'next-sibling': ' + ', 'later-sibling': ' ~ ' };
+
+const ATTRIBUTE_OPERATORS = {
+    equal: '=',
+    includes: '~=',
+    'dash-match': '|=',
+    prefix: '^=',
+    substring: '*=',
+    suffix: '$='
+};
+
+/**
+ * Escapes an identifier, e.g. the name of a class, for a selector.
+ * @param {string} name
+ * @returns {string}
+ */
+function escapeIdentifier(name) {
+    return name.replace(/[^\w-]/g, '\\$&').replace(/^(-?)(\d)/, '$1\\3$2 ');
+}
+
+/**
+ * Returns a selector component as css-select matches it.
+ * Pseudo-elements and dynamic pseudo-classes are left out, unless negated, as they would change what the negation matches.
+ * @param {SelectorComponentType} component
+ * @param {boolean} isNegated
+ * @returns {string | undefined} - Undefined if the component can't be matched statically.
+ */
+function getStaticComponent(component, isNegated) {
+    switch (component.type) {
+        case 'universal':
+            return '*';
+        case 'type':
+            return escapeIdentifier(component.name);
+        case 'id':
+            return `#${escapeIdentifier(component.name)}`;
+        case 'class':
+            return `.${escapeIdentifier(component.name)}`;
+        case 'attribute': {
+            const { name, operation } = component;
+            if (!operation) return `[${escapeIdentifier(name)}]`;
+            const flag = operation.caseSensitivity === 'ascii-case-insensitive' ? ' i' : '';
+            const operator = ATTRIBUTE_OPERATORS[operation.operator];
+            return `[${escapeIdentifier(name)}${operator}${JSON.stringify(operation.value)}${flag}]`;
+        }
+        case 'pseudo-element':
+            return isNegated ? undefined : '';
+        case 'pseudo-class': {
+            const isDynamic =
+                DYNAMIC_PSEUDO_CLASSES.includes(component.kind) ||
+                (component.kind === 'custom' && component.name.startsWith('-'));
+            if (isDynamic) return isNegated ? undefined : '';
+            const { kind } = component;
+            if (kind === 'not' || kind === 'is' || kind === 'where' || kind === 'has' || kind === 'any') {
+                const selectors = component.selectors.map(selector =>
+                    getStaticSelector(selector, isNegated || kind === 'not')
+                );
+                const name = kind === 'any' ? 'is' : kind;
+                return selectors.every(Boolean) ? `:${name}(${selectors.join(', ')})` : undefined;
+            }
+            if (
+                kind === 'nth-child' ||
+                kind === 'nth-last-child' ||
+                kind === 'nth-of-type' ||
+                kind === 'nth-last-of-type'
+            ) {
+                if ('of' in component && component.of) return undefined;
+                return `:${kind}(${component.a}n${component.b < 0 ? '' : '+'}${component.b})`;
+            }
+            return component.kind === 'custom' ? `:${component.name}` : `:${component.kind}`;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Returns a selector as css-select matches it, e.g. `.button:hover::after` as `.button`.
+ * @param {SelectorType} selector
+ * @param {boolean} [isNegated] - Whether the selector is in a `:not()`.
+ * @returns {string | undefined} - Undefined if the selector can't be matched statically.
+ */
+function getStaticSelector(selector, isNegated = false) {
+    let rv = '';
+    let compound = '';
+    for (const component of selector) {
+        if (component.type === 'combinator') {
+            if (component.value === 'pseudo-element') continue;
+            const combinator = COMBINATORS[/** @type {keyof typeof COMBINATORS} */ (component.value)];
+            if (!combinator) return undefined;
+            rv += `${compound || '*'}${combinator}`;
+            compound = '';
+            continue;
+        }
+        const text = getStaticComponent(component, isNegated);
+        if (typeof text === 'undefined') return undefined;
+        compound += text;
+    }
+    return rv + (compound || '*');
+}
+
+/**
+ * Whether a selector matches an element of the document.
+ * Pseudo-elements and dynamic pseudo-classes are ignored, selectors that can't be matched are considered critical.
+ * @param {SelectorType} selector
+ * @param {DocumentType} document
+ * @returns {boolean}
+ */
+export function matchesSelector(selector, document) {
+    const staticSelector = getStaticSelector(selector);
+    if (typeof staticSelector === 'undefined') return true;
+    try {
+        return Boolean(selectOne(staticSelector, document));
+    } catch {
+        return true;
+    }
+}
+
+/**
+ * Whether a rule is a group rule left without rules, e.g. an `@media` rule whose rules don't match the document.
+ * The removed rules are kept as ignored rules until the stylesheet is printed.
+ * @param {import('lightningcss').Rule} rule
+ * @returns {boolean}
+ */
+function isEmptyGroup(rule) {
+    const { rules } = /** @type {{ value?: { rules?: import('lightningcss').Rule[] } }} */ (rule).value ?? {};
+    return GROUP_RULES.includes(rule.type) && Boolean(rules?.every(({ type }) => type === 'ignored'));
+}
+
+/**
+ * Returns the rules of a stylesheet which match the elements of an HTML page, i.e. the styles needed for the first render.
+ * Group rules are kept if any of their rules are. Other at-rules, e.g. `@font-face`, `@keyframes` or `@property`, are always kept.
+ * The matching is static, scripts are not run, so elements added at runtime are not considered.
+ * @param {string} css
+ * @param {string} html
+ * @param {CriticalCSSOptionsType} [options]
+ * @returns {string}
+ */
+export function extractCriticalCSS(css, html, options = {}) {
+    const filename = 'critical.css';
+    const { minify = false } = options;
+    const document = parseDocument(html);
+    const flat = transform({
+        code: Buffer.from(css),
+        filename,
+        include: Features.Nesting,
+        errorRecovery: true
+    });
+    const { code } = transform({
+        code: flat.code,
+        filename,
+        minify,
+        errorRecovery: true,
+        visitor: {
+            Rule: {
+                style(rule) {
+                    const isCritical = rule.value.selectors.some(selector =>
+                        matchesSelector(selector, document)
+                    );
+                    if (!isCritical) return [];
+                }
+            },
+            RuleExit(rule) {
+                if (isEmptyGroup(rule)) return [];
+            }
+        }
+    });
+    const critical = code.toString();
+    return critical.trim() ? critical : '';
+}
+
+/**
+ * Inlines critical CSS in a style element of an HTML page, before its first stylesheet or at the end of its head.
+ * The style element is marked with the id, so inlining again replaces it.
+ * @param {string} html
+ * @param {string} css
+ * @param {string} id - Identifies the style element, e.g. the theme name.
+ * @returns {string}
+ */
+export function inlineCriticalCSS(html, css, id) {
+    const style = `<style data-critical="${id}">\n${css}</style>`;
+    const escapedId = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const existing = new RegExp(`<style data-critical="${escapedId}">[\\s\\S]*?</style>`);
+    if (existing.test(html)) return html.replace(existing, () => style);
+    const stylesheet = html.search(/<link\b[^>]*\brel=["']?stylesheet\b/i);
+    const index = stylesheet === -1 ? html.search(/<\/head>/i) : stylesheet;
+    if (index === -1) return `${style}\n${html}`;
+    const indent = html.slice(html.lastIndexOf('\n', index - 1) + 1, index);
+    return `${html.slice(0, index)}${style}\n${/^\s*$/.test(indent) ? indent : ''}${html.slice(index)}`;
+}
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+import { parseDocument } from 'htmlparser2';
+import { transform } from 'lightningcss';
+import { extractCriticalCSS, inlineCriticalCSS, matchesSelector } from './critical.mjs';
+
+const html = `<html>
+    <head>
+        <link rel="stylesheet" href="default.css" />
+    </head>
+    <body>
+        <main class="page"><button class="button">Save</button></main>
+    </body>
+</html>`;
+
+/**
+ * Parses a selector with lightningcss, as the style rules of a stylesheet are visited.
+ * @param {string} selector
+ * @returns {import('lightningcss').Selector}
+ */
+function parseSelector(selector) {
+    /** @type {import('lightningcss').Selector[]} */
+    const selectors = [];
+    transform({
+        code: Buffer.from(`${selector} {}`),
+        filename: 'selector.css',
+        visitor: { Rule: { style: rule => void selectors.push(...rule.value.selectors) } }
+    });
+    return selectors[0];
+}
+
+describe('Critical CSS', () => {
+    it('matches selectors statically', () => {
+        const document = parseDocument(html);
+        /** @type {(selector: string) => boolean} */
+        const matches = selector => matchesSelector(parseSelector(selector), document);
+        expect(matches('.page > .button')).toBe(true);
+        expect(matches('.button:hover')).toBe(true);
+        expect(matches('.button:focus-visible::after')).toBe(true);
+        expect(matches('::selection')).toBe(true);
+        expect(matches('.dialog')).toBe(false);
+        expect(matches(':is(.dialog, .page)')).toBe(true);
+        expect(matches('main:hover > .dialog')).toBe(false);
+        expect(matches('.button:not(.dialog, :first-child)')).toBe(false);
+        expect(matches('.button:not(:hover)')).toBe(true);
+    });
+
+    it('keeps the rules matching the page', () => {
+        const css = `:root { --color: red; }
+.page { display: grid; .button { color: var(--color); } }
+.dialog { position: fixed; }
+@media (min-width: 40em) { .dialog { top: 0; } .page { gap: 1rem; } }
+@supports (display: grid) { .dialog { display: grid; } }
+@font-face { font-family: Inter; src: url(inter.woff2); }`;
+        const critical = extractCriticalCSS(css, html);
+        expect(critical).toContain(':root');
+        expect(critical).toContain('.page .button');
+        expect(critical).toContain('gap: 1rem');
+        expect(critical).toContain('@font-face');
+        expect(critical).not.toContain('.dialog');
+        expect(critical).not.toContain('@supports');
+        expect(extractCriticalCSS('.page { display: grid; }', html, { minify: true })).toBe(
+            '.page{display:grid}'
+        );
+        expect(extractCriticalCSS('.dialog { display: grid; }', html)).toBe('');
+    });
+
+    it('inlines the critical CSS before the first stylesheet', () => {
+        const inlined = inlineCriticalCSS(html, '.page{display:grid}', 'default');
+        expect(inlined).toContain(
+            '<style data-critical="default">\n.page{display:grid}</style>\n        <link rel="stylesheet"'
+        );
+        const updated = inlineCriticalCSS(inlined, '.page{gap:0}', 'default');
+        expect(updated.match(/data-critical/g)).toHaveLength(1);
+        expect(updated).toContain('.page{gap:0}');
+        const withoutLinks = inlineCriticalCSS('<head></head>', 'a{}', 'dark');
+        expect(withoutLinks).toBe('<head><style data-critical="dark">\na{}</style>\n</head>');
+    });
+});
@@ -0,0 +1,45 @@
+export type CriticalCSSOptionsType = {
+    /**
+     * @property {boolean} minify - Whether to minify the critical CSS.
+     */
+    minify?: boolean;
+};
+
+export type ExtractCriticalOptionsType = CriticalCSSOptionsType & {
+    /**
+     * @property {boolean} inline - Inlines the critical CSS in a style element of each page instead of writing it to a file.
+     */
+    inline?: boolean;
+
+    /**
+     * @property {string} outDir - Where the [page].[themeName].critical.css files are written, defaults to the directory of each page.
+     */
+    outDir?: string;
+
+    /**
+     * @property {string} commonThemeCSS - The bundled CSS of the common theme, used instead of reading the common theme file from disk.
+     */
+    commonThemeCSS?: string;
+};
+
+export type ExtractThemesCriticalOptionsType = ExtractCriticalOptionsType & {
+    /**
+     * @property {string} inlineTheme - The theme inlined in the pages with inline, the other themes are written to files.
+     * Defaults to the first theme.
+     */
+    inlineTheme?: string;
+};
+
+/**
+ * The critical CSS of a theme for a page.
+ */
+export type CriticalCSSType = {
+    themeName: string;
+    page: string;
+    css: string;
+
+    /**
+     * @property {string} file - The file the critical CSS was written to, i.e. the page itself when inlined.
+     */
+    file: string;
+};
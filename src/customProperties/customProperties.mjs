@@ -0,0 +1,120 @@
+/**
+ * @typedef {import('./customProperties.types.js').CustomPropertiesType} CustomPropertiesType
+ * @typedef {import('./customProperties.types.js').ThemeLayersType} ThemeLayersType
+ * @typedef {import('./customProperties.types.js').CustomPropertyCellType} CustomPropertyCellType
+ * @typedef {import('./customProperties.types.js').CustomPropertyStatusType} CustomPropertyStatusType
+ * @typedef {import('./customProperties.types.js').CoverageReportType} CoverageReportType
+ */
+import { transform } from 'lightningcss';
+
+/**
+ * Returns the custom properties a stylesheet defines, and those it reads with var(), including in nested rules.
+ * Properties registered with `@property` count as defined.
+ * @param {string} css
+ * @returns {CustomPropertiesType}
+ */
+export function collectCustomProperties(css) {
+    /** @type {CustomPropertiesType} */
+    const properties = { defined: new Set(), used: new Set(), required: new Set() };
+    transform({
+        code: Buffer.from(css),
+        filename: 'custom-properties.css',
+        errorRecovery: true,
+        visitor: {
+            Rule: {
+                property(rule) {
+                    properties.defined.add(rule.value.name);
+                }
+            },
+            Declaration: {
+                custom({ name }) {
+                    name.startsWith('--') && properties.defined.add(name);
+                }
+            },
+            Variable({ name, fallback }) {
+                properties.used.add(name.ident);
+                !fallback && properties.required.add(name.ident);
+            }
+        }
+    });
+    return properties;
+}
+
+/**
+ * Returns the status of a custom property in a theme.
+ * @param {string[]} definedIn - The layers defining the property.
+ * @param {string} themeName
+ * @returns {CustomPropertyStatusType}
+ */
+function getStatus(definedIn, themeName) {
+    if (!definedIn.length) return 'undefined';
+    if (!definedIn.includes(themeName)) return 'inherited';
+    return definedIn.length > 1 ? 'overridden' : 'defined';
+}
+
+/**
+ * Builds the matrix of the custom properties each theme defines, overrides, inherits and reads.
+ * The last layer of each theme must be named after the theme, it holds the styles of the theme itself.
+ * @param {ThemeLayersType[]} themes
+ * @returns {CoverageReportType}
+ */
+export function buildCoverage(themes) {
+    /** @type {Record<string, Record<string, CustomPropertyCellType>>} */
+    const properties = {};
+    themes.forEach(({ themeName, layers }) => {
+        const layerProperties = layers.map(layer => ({
+            name: layer.name,
+            ...collectCustomProperties(layer.css)
+        }));
+        const used = new Set(layerProperties.flatMap(layer => [...layer.used]));
+        const required = new Set(layerProperties.flatMap(layer => [...layer.required]));
+        const defined = layerProperties.flatMap(layer => [...layer.defined]);
+        new Set([...defined, ...required]).forEach(name => {
+            const definedIn = layerProperties
+                .filter(layer => layer.defined.has(name))
+                .map(layer => layer.name);
+            const status = getStatus(definedIn, themeName);
+            properties[name] = {
+                ...properties[name],
+                [themeName]: { status, definedIn, used: used.has(name) }
+            };
+        });
+    });
+    const names = Object.keys(properties).sort();
+    const getCells = (/** @type {string} */ name) => Object.values(properties[name]);
+    return {
+        themes: themes.map(theme => theme.themeName),
+        properties: Object.fromEntries(names.map(name => [name, properties[name]])),
+        unused: names.filter(name => getCells(name).every(cell => !cell.used)),
+        undefined: names.filter(name => getCells(name).some(cell => cell.status === 'undefined'))
+    };
+}
+
+/**
+ * Formats the coverage as a table with a row per custom property and a column per theme.
+ * @param {CoverageReportType} report
+ * @returns {string}
+ */
+export function formatCoverage(report) {
+    const { themes, properties, unused } = report;
+    const rows = Object.entries(properties).map(([name, cells]) => [
+        name,
+        ...themes.map(themeName => {
+            const cell = cells[themeName];
+            if (!cell) return '-';
+            return cell.used || cell.status === 'undefined' ? cell.status : `${cell.status} (unused)`;
+        })
+    ]);
+    const table = [['Property', ...themes], ...rows];
+    const widths = table[0].map((_cell, index) => Math.max(...table.map(row => row[index].length)));
+    const lines = table.map(row =>
+        row
+            .map((cell, index) => cell.padEnd(widths[index]))
+            .join('  ')
+            .trimEnd()
+    );
+    const summary =
+        `🧮 ${rows.length} custom properties in ${themes.length} themes, ` +
+        `${unused.length} unused, ${report.undefined.length} undefined`;
+    return [summary, ...lines].join('\n');
+}
@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import { buildCoverage, collectCustomProperties, formatCoverage } from './customProperties.mjs';
+
+const common = ':root { --space: 4px; --radius: 2px; }';
+const light = `:root { --color-text: #111; --color-link: var(--color-text); }
+@media (prefers-contrast: more) { :root { --color-text: #000; } }
+.card { padding: var(--space); color: var(--color-text); &:hover { border: var(--border, 0); } }`;
+const dark = `@property --glow { syntax: '<color>'; inherits: false; initial-value: #fff; }
+:root { --color-text: #eee; --shadow: var(--glow); }
+.card { background: var(--color-surface); }`;
+
+describe('Custom property coverage', () => {
+    it('collects the custom properties defined and read', () => {
+        expect(collectCustomProperties(light)).toEqual({
+            defined: new Set(['--color-text', '--color-link']),
+            used: new Set(['--color-text', '--space', '--border']),
+            required: new Set(['--color-text', '--space'])
+        });
+        expect(collectCustomProperties(dark).defined).toEqual(new Set(['--glow', '--color-text', '--shadow']));
+    });
+
+    it('builds the matrix of the themes', () => {
+        const report = buildCoverage([
+            {
+                themeName: 'light',
+                layers: [
+                    { name: 'common', css: common },
+                    { name: 'light', css: light }
+                ]
+            },
+            {
+                themeName: 'dark',
+                layers: [
+                    { name: 'common', css: common },
+                    { name: 'light', css: light },
+                    { name: 'dark', css: dark }
+                ]
+            }
+        ]);
+        expect(report.themes).toEqual(['light', 'dark']);
+        expect(Object.keys(report.properties)).toEqual([
+            '--color-link',
+            '--color-surface',
+            '--color-text',
+            '--glow',
+            '--radius',
+            '--shadow',
+            '--space'
+        ]);
+        expect(report.properties['--color-text']).toEqual({
+            light: { status: 'defined', definedIn: ['light'], used: true },
+            dark: { status: 'overridden', definedIn: ['light', 'dark'], used: true }
+        });
+        expect(report.properties['--space'].dark).toEqual({ status: 'inherited', definedIn: ['common'], used: true });
+        expect(report.properties['--color-surface']).toEqual({
+            dark: { status: 'undefined', definedIn: [], used: true }
+        });
+        expect(report.properties).not.toHaveProperty('--border');
+        expect(report.unused).toEqual(['--color-link', '--radius', '--shadow']);
+        expect(report.undefined).toEqual(['--color-surface']);
+    });
+
+    it('formats the matrix as a table', () => {
+        const report = buildCoverage([
+            { themeName: 'light', layers: [{ name: 'light', css: light }] },
+            { themeName: 'dark', layers: [{ name: 'dark', css: dark }] }
+        ]);
+        expect(formatCoverage(report)).toBe(
+            [
+                '🧮 6 custom properties in 2 themes, 2 unused, 2 undefined',
+                'Property         light             dark',
+                '--color-link     defined (unused)  -',
+                '--color-surface  -                 undefined',
+                '--color-text     defined           defined (unused)',
+                '--glow           -                 defined',
+                '--shadow         -                 defined (unused)',
+                '--space          undefined         -'
+            ].join('\n')
+        );
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * The custom properties a stylesheet defines and reads.
+ */
+export type CustomPropertiesType = {
+    defined: Set<string>;
+
+    /**
+     * @property {Set<string>} used - The custom properties read with var(), with or without a fallback.
+     */
+    used: Set<string>;
+
+    /**
+     * @property {Set<string>} required - The custom properties read with var() without a fallback.
+     */
+    required: Set<string>;
+};
+
+/**
+ * The styles of a layer of a theme, i.e. the common theme, a base theme or the theme itself.
+ */
+export type StyleLayerType = {
+    name: string;
+    css: string;
+};
+
+/**
+ * The layers of a theme, from the lowest to the theme itself.
+ */
+export type ThemeLayersType = {
+    themeName: string;
+    layers: StyleLayerType[];
+};
+
+/**
+ * - defined: The theme defines the property, none of its lower layers do.
+ * - overridden: The theme defines the property and so does a lower layer.
+ * - inherited: Only a lower layer defines the property.
+ * - undefined: The property is read without a fallback, but no layer defines it.
+ */
+export type CustomPropertyStatusType = 'defined' | 'overridden' | 'inherited' | 'undefined';
+
+/**
+ * The coverage of a custom property in a theme.
+ */
+export type CustomPropertyCellType = {
+    status: CustomPropertyStatusType;
+
+    /**
+     * @property {string[]} definedIn - The layers defining the property, from the lowest.
+     */
+    definedIn: string[];
+
+    /**
+     * @property {boolean} used - Whether the bundled styles of the theme read the property.
+     */
+    used: boolean;
+};
+
+/**
+ * The matrix of custom properties and themes, themes which neither define nor read a property are left out of its row.
+ */
+export type CoverageReportType = {
+    themes: string[];
+    properties: Record<string, Record<string, CustomPropertyCellType>>;
+
+    /**
+     * @property {string[]} unused - The properties defined but not read in any theme.
+     */
+    unused: string[];
+
+    /**
+     * @property {string[]} undefined - The properties read without a fallback but not defined in a theme reading them.
+     */
+    undefined: string[];
+};
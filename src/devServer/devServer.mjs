@@ -0,0 +1,292 @@
+/**
+ * @typedef {import('./devServer.types.js').DevServerConfigType} DevServerConfigType
+ * @typedef {import('./devServer.types.js').StyleUpdateEventType} StyleUpdateEventType
+ * @typedef {import('http').IncomingMessage} IncomingMessage
+ * @typedef {import('http').ServerResponse} ServerResponse
+ */
+import http from 'http';
+import PATH from 'path';
+import fs from 'fs';
+import { devServerClient } from './devServerClient.mjs';
+
+export const EVENTS_URL = '/__style-bun/events';
+export const CLIENT_URL = '/__style-bun/client.js';
+
+/** @type {Record<string, string>} */
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+class DevServer {
+    /** @type {Set<ServerResponse>} */
+    clients = new Set();
+
+    ///////////////////////////
+    // #region Initialization
+    //////////////////////////
+
+    /**
+     * A small static file server that pushes style updates to the browser over server-sent events.
+     * @param {DevServerConfigType} config
+     */
+    constructor(config = {}) {
+        this.setConfig(config);
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    /**
+     * Returns the default config.
+     * @returns {DevServerConfigType}
+     */
+    getDefaultConfig() {
+        return {
+            root: process.cwd(),
+            port: 8080,
+            host: 'localhost',
+            injectClient: true
+        };
+    }
+
+    /**
+     * Sets the config.
+     * @param {DevServerConfigType} config
+     */
+    setConfig(config = {}) {
+        /** @type {DevServerConfigType} */
+        this._config = Object.assign(this.getDefaultConfig(), config);
+    }
+
+    // #endregion Initialization
+
+    ////////////////
+    // #region API
+    ///////////////
+
+    /**
+     * Starts the server.
+     * @returns {Promise<string>} - The URL the server is listening on.
+     */
+    start() {
+        const { port, host } = this._config || {};
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve(this.getURL());
+            });
+        });
+    }
+
+    /**
+     * Stops the server and disconnects all clients.
+     * @returns {Promise<void>}
+     */
+    stop() {
+        this.clients.forEach(client => client.end());
+        this.clients.clear();
+        if (!this.server.listening) return Promise.resolve();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Returns the URL the server is listening on.
+     * @returns {string}
+     */
+    getURL() {
+        const address = this.server.address();
+        const port = address && typeof address === 'object' ? address.port : this._config?.port;
+        return `http://${this._config?.host}:${port}`;
+    }
+
+    /**
+     * Returns the root directory served.
+     * @returns {string}
+     */
+    getRoot() {
+        return PATH.resolve(this._config?.root ?? process.cwd());
+    }
+
+    /**
+     * Returns the URL path of a file, or undefined if it is not served.
+     * @param {string} file
+     * @returns {string | undefined}
+     */
+    getFileURL(file) {
+        const relativePath = PATH.relative(this.getRoot(), PATH.resolve(file));
+        if (!relativePath || relativePath.startsWith('..') || PATH.isAbsolute(relativePath)) {
+            return undefined;
+        }
+        return '/' + relativePath.split(PATH.sep).join('/');
+    }
+
+    /**
+     * Notifies all connected clients that a theme has been updated.
+     * @param {string} themeName
+     * @param {string[]} files - The output files of the theme.
+     */
+    notify(themeName, files) {
+        /** @type {StyleUpdateEventType} */
+        const payload = {
+            themeName,
+            urls: files.map(file => this.getFileURL(file)).filter(url => typeof url === 'string')
+        };
+        const message = `event: style-update\ndata: ${JSON.stringify(payload)}\n\n`;
+        this.clients.forEach(client => client.write(message));
+    }
+
+    /**
+     * Returns the script served to the browser.
+     * @returns {string}
+     */
+    getClientScript() {
+        return `(${devServerClient.toString()})(${JSON.stringify(EVENTS_URL)});\n`;
+    }
+
+    // #endregion API
+
+    /////////////////////
+    // #region Requests
+    ////////////////////
+
+    /**
+     * Handles an incoming request.
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     */
+    handleRequest(req, res) {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url ?? '/', 'http://localhost').pathname);
+        } catch {
+            this.sendError(res, 400, 'Bad request');
+            return;
+        }
+        if (pathname === EVENTS_URL) {
+            this.handleEvents(req, res);
+            return;
+        }
+        if (pathname === CLIENT_URL) {
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.js'], 'Cache-Control': 'no-cache' });
+            res.end(this.getClientScript());
+            return;
+        }
+        this.serveFile(pathname, res);
+    }
+
+    /**
+     * Keeps the connection open to push server-sent events.
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     */
+    handleEvents(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write('retry: 1000\n\n');
+        this.clients.add(res);
+        req.on('close', () => this.clients.delete(res));
+    }
+
+    /**
+     * Serves a file from the root directory, injecting the client script into HTML documents.
+     * @param {string} pathname
+     * @param {ServerResponse} res
+     */
+    serveFile(pathname, res) {
+        const root = this.getRoot();
+        let file = PATH.join(root, pathname);
+        if (file !== root && !file.startsWith(root + PATH.sep)) {
+            this.sendError(res, 403, 'Forbidden');
+            return;
+        }
+        if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+            file = PATH.join(file, 'index.html');
+        }
+        if (!fs.existsSync(file)) {
+            this.sendError(res, 404, 'Not found');
+            return;
+        }
+        const extension = PATH.extname(file).toLowerCase();
+        const headers = {
+            'Content-Type': CONTENT_TYPES[extension] ?? 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        };
+        // The file may be deleted or become unreadable after it was found, e.g. while the themes are re-bundled.
+        if (extension === '.html' && this._config?.injectClient) {
+            fs.readFile(file, 'utf8', (error, html) => {
+                if (error) return this.sendFileError(res, error);
+                res.writeHead(200, headers);
+                res.end(this.injectClient(html));
+            });
+            return;
+        }
+        const stream = fs.createReadStream(file);
+        stream.on('open', () => {
+            res.writeHead(200, headers);
+            stream.pipe(res);
+        });
+        stream.on('error', error => this.sendFileError(res, error));
+    }
+
+    /**
+     * Adds the client script to an HTML document.
+     * @param {string} html
+     * @returns {string}
+     */
+    injectClient(html) {
+        const script = `<script src="${CLIENT_URL}"></script>`;
+        if (html.includes('</head>')) return html.replace('</head>', `${script}\n</head>`);
+        if (html.includes('</body>')) return html.replace('</body>', `${script}\n</body>`);
+        return html + script;
+    }
+
+    /**
+     * Sends an error response.
+     * @param {ServerResponse} res
+     * @param {number} status
+     * @param {string} message
+     */
+    sendError(res, status, message) {
+        res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(message);
+    }
+
+    /**
+     * Responds with 404 if a file was not found and 500 if it could not be read.
+     * The response is ended if the file was partly sent.
+     * @param {ServerResponse} res
+     * @param {NodeJS.ErrnoException} error
+     */
+    sendFileError(res, error) {
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+        if (error.code === 'ENOENT') {
+            this.sendError(res, 404, 'Not found');
+            return;
+        }
+        this.sendError(res, 500, 'Failed to read file');
+    }
+
+    // #endregion Requests
+}
+
+export default DevServer;
@@ -0,0 +1,122 @@
+/**
+ * @jest-environment node
+ */
+import PATH from 'path';
+import fs from 'fs';
+import { Readable } from 'stream';
+import { jest } from '@jest/globals';
+import DevServer, { CLIENT_URL, EVENTS_URL } from './devServer.mjs';
+import { devServerClient } from './devServerClient.mjs';
+
+const cwd = process.cwd();
+const root = PATH.join(cwd, 'demo');
+
+describe('DevServer', () => {
+    /** @type {DevServer} */
+    let server;
+    /** @type {string} */
+    let url;
+
+    beforeAll(async () => {
+        server = new DevServer({ root, port: 0, host: '127.0.0.1' });
+        url = await server.start();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    it('serves HTML documents with the client script injected', async () => {
+        const response = await fetch(`${url}/demo.html`);
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toContain('text/html');
+        expect(await response.text()).toContain(`<script src="${CLIENT_URL}"></script>`);
+    });
+
+    it('serves the client script', async () => {
+        const response = await fetch(url + CLIENT_URL);
+        expect(response.status).toBe(200);
+        const script = await response.text();
+        expect(script).toContain('EventSource');
+        expect(script).toContain(JSON.stringify(EVENTS_URL));
+    });
+
+    it('responds with 404 for missing files and 403 outside the root', async () => {
+        expect((await fetch(`${url}/missing.css`)).status).toBe(404);
+        expect((await fetch(`${url}/..%2Fpackage.json`)).status).toBe(403);
+    });
+
+    it('responds with an error if a file can not be read after it was found', async () => {
+        const createReadStream = fs.createReadStream;
+        const readSpy = jest.spyOn(fs, 'createReadStream');
+        readSpy.mockImplementationOnce(() => createReadStream(PATH.join(root, 'missing.css')));
+        expect((await fetch(`${url}/themes/dark/dark.config.js`)).status).toBe(404);
+
+        const error = Object.assign(new Error('Permission denied'), { code: 'EACCES' });
+        readSpy.mockImplementationOnce(
+            () => /** @type {fs.ReadStream} */ (new Readable({ read: () => {} }).destroy(error))
+        );
+        const response = await fetch(`${url}/themes/dark/dark.config.js`);
+        expect(response.status).toBe(500);
+        expect(await response.text()).toBe('Failed to read file');
+        readSpy.mockRestore();
+    });
+
+    it('returns the URL path of files in the root', () => {
+        expect(server.getFileURL(PATH.join(root, 'themes/dark/dark.bundled.css'))).toBe(
+            '/themes/dark/dark.bundled.css'
+        );
+        expect(server.getFileURL(PATH.join(cwd, 'package.json'))).toBeUndefined();
+    });
+
+    it('pushes style updates to connected clients', async () => {
+        const controller = new AbortController();
+        const response = await fetch(url + EVENTS_URL, { signal: controller.signal });
+        expect(response.headers.get('content-type')).toBe('text/event-stream');
+        const reader = /** @type {ReadableStreamDefaultReader<Uint8Array>} */ (response.body?.getReader());
+        const decoder = new TextDecoder();
+        let received = decoder.decode((await reader.read()).value);
+        expect(received).toContain('retry:');
+
+        server.notify('dark', [PATH.join(root, 'themes/dark/dark.bundled.css'), '/elsewhere/dark.min.css']);
+        while (!received.includes('event: style-update')) {
+            received += decoder.decode((await reader.read()).value);
+        }
+        controller.abort();
+        const data = received.split('data: ')[1].split('\n')[0];
+        expect(JSON.parse(data)).toEqual({ themeName: 'dark', urls: ['/themes/dark/dark.bundled.css'] });
+    });
+
+    it('swaps the stylesheets of the updated theme in the client', () => {
+        /** @type {((event: { data: string }) => void) | undefined} */
+        let onUpdate;
+        const links = [
+            '/themes/a.b/a.b.bundled.css',
+            '/themes/axb/axb.bundled.css',
+            '/themes/c++/c++.min.css'
+        ].map(href => ({ href, disabled: true }));
+        const globals = {
+            location: { href: 'http://localhost/' },
+            document: { querySelectorAll: () => links },
+            EventSource: class {
+                /**
+                 * @param {string} type
+                 * @param {(event: { data: string }) => void} listener
+                 */
+                addEventListener(type, listener) {
+                    onUpdate = listener;
+                }
+            }
+        };
+        Object.assign(globalThis, globals);
+        devServerClient(EVENTS_URL);
+        onUpdate?.({ data: JSON.stringify({ themeName: 'a.b', urls: ['/themes/a.b/a.b.bundled.css'] }) });
+        onUpdate?.({ data: JSON.stringify({ themeName: 'c++', urls: ['/themes/c++/c++.min.css'] }) });
+        Object.keys(globals).forEach(key => delete /** @type {Record<string, unknown>} */ (globalThis)[key]);
+        expect(links.map(link => link.href.split('?')[0])).toEqual([
+            'http://localhost/themes/a.b/a.b.bundled.css',
+            '/themes/axb/axb.bundled.css',
+            'http://localhost/themes/c++/c++.min.css'
+        ]);
+    });
+});
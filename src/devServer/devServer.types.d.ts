@@ -0,0 +1,33 @@
+/**
+ * Options and configuration for the DevServer.
+ */
+export type DevServerConfigType = {
+    /**
+     * @property {string} root - The directory served, defaults to the export path or the working directory.
+     */
+    root?: string;
+
+    /**
+     * @property {number} port - The port to listen on, the default is 8080.
+     */
+    port?: number;
+
+    /**
+     * @property {string} host - The host to listen on, the default is 'localhost'.
+     */
+    host?: string;
+
+    /**
+     * @property {boolean} injectClient - Adds the live CSS injection script to every HTML document served, the default is true.
+     * If disabled, the script can be added manually: <script src="/__style-bun/client.js"></script>.
+     */
+    injectClient?: boolean;
+};
+
+/**
+ * The payload of the style-update server-sent event.
+ */
+export type StyleUpdateEventType = {
+    themeName: string;
+    urls: string[];
+};
@@ -0,0 +1,57 @@
+/* global document, location, EventSource */
+
+/**
+ * Browser client of the dev server.
+ * It listens to style updates and hot-swaps the stylesheets of the updated theme without reloading the page.
+ * It is serialized with toString() and served by the dev server, so it must not reference anything outside its body.
+ * @param {string} eventsURL - The URL of the server-sent events endpoint.
+ */
+export function devServerClient(eventsURL) {
+    /**
+     * Returns the path of a stylesheet link, without query parameters.
+     * @param {HTMLLinkElement} link
+     * @returns {string}
+     */
+    const getPathname = link => new URL(link.href, location.href).pathname;
+
+    /**
+     * Replaces a stylesheet link with a fresh copy, removing the old one once the new one has loaded.
+     * @param {HTMLLinkElement} link
+     * @param {string} href
+     */
+    const swapLink = (link, href) => {
+        const url = new URL(href, location.href);
+        url.searchParams.set('t', String(Date.now()));
+        if (link.disabled) {
+            link.href = url.href;
+            return;
+        }
+        const clone = /** @type {HTMLLinkElement} */ (link.cloneNode());
+        clone.href = url.href;
+        clone.addEventListener('load', () => link.remove(), { once: true });
+        clone.addEventListener('error', () => clone.remove(), { once: true });
+        link.after(clone);
+    };
+
+    const source = new EventSource(eventsURL);
+    source.addEventListener('style-update', event => {
+        /** @type {{ themeName: string, urls: string[] }} */
+        const { themeName, urls } = JSON.parse(event.data);
+        const escapedName = themeName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const themeFile = new RegExp(`^${escapedName}\\.([0-9a-f]+\\.)?(bundled|min)\\.css$`);
+        /** @type {NodeListOf<HTMLLinkElement>} */
+        const links = document.querySelectorAll('link[rel="stylesheet"]');
+        links.forEach(link => {
+            const pathname = getPathname(link);
+            const dir = pathname.slice(0, pathname.lastIndexOf('/') + 1);
+            const match = pathname.slice(dir.length).match(themeFile);
+            if (!match) return;
+            const candidates = urls.filter(url => {
+                const fileName = url.split('/').pop() ?? '';
+                return fileName.endsWith(`.${match[2]}.css`) && themeFile.test(fileName);
+            });
+            const url = candidates.find(item => item === pathname) ?? candidates.find(item => item.startsWith(dir));
+            swapLink(link, url ?? pathname);
+        });
+    });
+}
@@ -0,0 +1,31 @@
+/**
+ * @typedef {import('./events.types.js').ErrorEventType} ErrorEventType
+ * @typedef {import('./events.types.js').WarningEventType} WarningEventType
+ * @typedef {import('./events.types.js').ThemeBundlerEventsType} ThemeBundlerEventsType
+ * @typedef {import('events').EventEmitter<any>} EventEmitterType
+ */
+
+/**
+ * The theme events forwarded by the ThemesBundler.
+ * @type {(keyof ThemeBundlerEventsType)[]}
+ */
+export const FORWARDED_EVENTS = ['bundle:start', 'bundle:end', 'file:change', 'warning', 'error', 'export'];
+
+/**
+ * Emits an error event on the next tick, so listeners added right after construction receive initialization errors.
+ * Nothing is emitted without listeners, as EventEmitter throws unhandled errors.
+ * @param {EventEmitterType} emitter
+ * @param {ErrorEventType} payload
+ */
+export function emitError(emitter, payload) {
+    process.nextTick(() => emitter.listenerCount('error') && emitter.emit('error', payload));
+}
+
+/**
+ * Emits a warning event on the next tick, refer to emitError.
+ * @param {EventEmitterType} emitter
+ * @param {WarningEventType} payload
+ */
+export function emitWarning(emitter, payload) {
+    process.nextTick(() => emitter.emit('warning', payload));
+}
@@ -0,0 +1,104 @@
+import { ManifestEntryType } from '../themeBundler/themeBundler.types.js';
+import { ReportCodeType } from '../reporter/reporter.types.js';
+import { CompressedSizesType } from '../compression/compression.types.js';
+
+export type ThemeInitEventType = {
+    themeName: string;
+};
+
+export type ThemesInitEventType = {
+    /**
+     * @property {string[]} themes - The names of all themes, excluding the common theme.
+     */
+    themes: string[];
+};
+
+export type BundleStartEventType = {
+    themeName: string;
+};
+
+export type BundleEndEventType = {
+    themeName: string;
+
+    /**
+     * @property {number} duration - The time it took to bundle the theme, in milliseconds.
+     */
+    duration: number;
+
+    /**
+     * @property {number} size - The size of the bundled CSS, in bytes.
+     */
+    size: number;
+
+    /**
+     * @property {number} minifiedSize - The size of the minified CSS in bytes, if the theme was minified.
+     */
+    minifiedSize?: number;
+
+    /**
+     * @property {CompressedSizesType} sizes - The raw, gzip and brotli sizes of the minified CSS, if it was measured.
+     */
+    sizes?: CompressedSizesType;
+    targetFile?: string;
+};
+
+export type FileChangeEventType = {
+    themeName: string;
+
+    /**
+     * @property {string} eventName - The watch event, e.g. 'change', 'add', 'unlink', 'addDir' or 'unlinkDir'.
+     */
+    eventName: string;
+    filePath: string;
+};
+
+/**
+ * A reported warning, refer to ReportMessageType.
+ */
+export type WarningEventType = {
+    themeName?: string;
+    code: ReportCodeType;
+    message: string;
+    file?: string;
+};
+
+/**
+ * A reported error, refer to ReportMessageType.
+ */
+export type ErrorEventType = {
+    themeName?: string;
+    code: ReportCodeType;
+    message: string;
+    file?: string;
+    error?: unknown;
+};
+
+export type ExportEventType = {
+    themeName: string;
+    exportDir: string;
+
+    /**
+     * @property {ManifestEntryType} files - The exported files, relative to the export path.
+     */
+    files: ManifestEntryType;
+};
+
+/**
+ * The events emitted by the ThemeBundler.
+ */
+export type ThemeBundlerEventsType = {
+    init: [ThemeInitEventType];
+    'bundle:start': [BundleStartEventType];
+    'bundle:end': [BundleEndEventType];
+    'file:change': [FileChangeEventType];
+    warning: [WarningEventType];
+    error: [ErrorEventType];
+    export: [ExportEventType];
+};
+
+/**
+ * The events emitted by the ThemesBundler, all theme events but init are forwarded.
+ */
+export type ThemesBundlerEventsType = Omit<ThemeBundlerEventsType, 'init'> & {
+    init: [ThemesInitEventType];
+};
@@ -0,0 +1,376 @@
+/**
+ * @typedef {import('./imports.types.js').CSSImportType} CSSImportType
+ * @typedef {import('./imports.types.js').InlineImportsOptionsType} InlineImportsOptionsType
+ * @typedef {import('./imports.types.js').ImportChunkType} ImportChunkType
+ * @typedef {import('./imports.types.js').ImportConditionsType} ImportConditionsType
+ */
+import fs from 'fs';
+import PATH from 'path';
+import { createRequire } from 'module';
+
+/**
+ * The statements which may precede `@import` statements.
+ */
+const LEADING_STATEMENTS = ['import', 'charset', 'layer'];
+
+/**
+ * URLs which are not resolved at bundle time, e.g. 'https://fonts.googleapis.com/css' or '/styles.css'.
+ */
+const EXTERNAL_URL = /^([a-z][\w+.-]*:|\/)/i;
+
+/**
+ * Returns the index after the string or comment starting at index, or index if there is none.
+ * @param {string} css
+ * @param {number} index
+ * @returns {number}
+ */
+function skipLiteral(css, index) {
+    const char = css[index];
+    if (char === '/' && css[index + 1] === '*') {
+        const end = css.indexOf('*/', index + 2);
+        return end === -1 ? css.length : end + 2;
+    }
+    if (char !== '"' && char !== "'") return index;
+    let cursor = index + 1;
+    while (cursor < css.length && css[cursor] !== char && css[cursor] !== '\n') {
+        cursor += css[cursor] === '\\' ? 2 : 1;
+    }
+    return cursor + 1;
+}
+
+/**
+ * Returns the index of the first of the characters outside of strings, comments and parentheses, or the length of the CSS.
+ * @param {string} css
+ * @param {number} index
+ * @param {string} chars
+ * @returns {number}
+ */
+function findToken(css, index, chars) {
+    let depth = 0;
+    let cursor = index;
+    while (cursor < css.length) {
+        const next = skipLiteral(css, cursor);
+        if (next !== cursor) {
+            cursor = next;
+            continue;
+        }
+        const char = css[cursor];
+        if (char === '\\') {
+            cursor += 2;
+            continue;
+        }
+        if (depth === 0 && chars.includes(char)) return cursor;
+        if (char === '(' || char === '[') depth++;
+        if ((char === ')' || char === ']') && depth > 0) depth--;
+        cursor++;
+    }
+    return css.length;
+}
+
+/**
+ * Thrown when an `@import` can't be inlined, with the importing file and the line of the statement.
+ */
+export class CSSImportError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} file - The importing file.
+     * @param {number} line
+     * @param {unknown} [cause]
+     */
+    constructor(message, file, line, cause) {
+        super(`${message} in ${file}:${line}`, { cause });
+        this.name = 'CSSImportError';
+        this.file = file;
+        this.line = line;
+    }
+}
+
+/**
+ * Parses the prelude of an `@import` statement, e.g. `url('./a.css') layer(base) supports(display: grid) screen`.
+ * @param {string} prelude - The statement without the at-keyword and the semicolon.
+ * @returns {Omit<CSSImportType, 'start' | 'end'> | undefined}
+ */
+export function parseImport(prelude) {
+    const match = prelude.match(/^(?:url\(\s*(['"]?)(.*?)\1\s*\)|(['"])(.*?)\3)\s*([\s\S]*)$/i);
+    if (!match) return undefined;
+    /** @type {Omit<CSSImportType, 'start' | 'end'>} */
+    const rv = { url: match[2] ?? match[4] };
+    let rest = match[5];
+    const layer = rest.match(/^layer(?:\(\s*([^)]*?)\s*\))?(?![\w-])\s*/i);
+    if (layer) {
+        rv.layer = layer[1] ?? '';
+        rest = rest.slice(layer[0].length);
+    }
+    if (/^supports\(/i.test(rest)) {
+        const end = findToken(rest, 'supports('.length, ')');
+        rv.supports = rest.slice('supports('.length, end).trim();
+        rest = rest.slice(end + 1).trim();
+    }
+    rest && (rv.media = rest);
+    return rv;
+}
+
+/**
+ * Returns the `@import` statements of a stylesheet, which must precede all other rules but `@charset` and `@layer` statements.
+ * @param {string} css
+ * @returns {CSSImportType[]}
+ */
+export function findImports(css) {
+    /** @type {CSSImportType[]} */
+    const imports = [];
+    let index = 0;
+    while (index < css.length) {
+        const start = css.slice(index).search(/\S/);
+        if (start === -1) break;
+        index += start;
+        if (css.startsWith('/*', index)) {
+            const end = css.indexOf('*/', index + 2);
+            index = end === -1 ? css.length : end + 2;
+            continue;
+        }
+        const [, name = ''] = css.slice(index).match(/^@([\w-]+)/) ?? [];
+        const keyword = name.toLowerCase();
+        const end = findToken(css, index, '{;}');
+        if (!LEADING_STATEMENTS.includes(keyword) || css[end] !== ';') break;
+        const statement = keyword === 'import' && parseImport(css.slice(index + name.length + 1, end).trim());
+        statement && imports.push({ ...statement, start: index, end: end + 1 });
+        index = end + 1;
+    }
+    return imports;
+}
+
+/**
+ * Resolves an imported URL, relative to the importing file or else as a package, e.g. 'normalize.css'.
+ * A package without a CSS file in its main entry can point to one with the style field of its package.json.
+ * @param {string} url
+ * @param {string} file - The importing file.
+ * @returns {string | undefined}
+ */
+export function resolveImport(url, file) {
+    const relativePath = PATH.resolve(PATH.dirname(file), url);
+    if (fs.existsSync(relativePath)) return relativePath;
+    const require = createRequire(file);
+    try {
+        const resolved = require.resolve(url);
+        if (resolved.endsWith('.css')) return resolved;
+    } catch {
+        // The package may not export the file, or not have a CSS main entry.
+    }
+    try {
+        const packageFile = require.resolve(`${url}/package.json`);
+        const { style } = JSON.parse(fs.readFileSync(packageFile, 'utf8'));
+        return typeof style === 'string' ? PATH.join(PATH.dirname(packageFile), style) : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Removes the leading and trailing whitespace of a list of chunks, the line of the first chunk is moved past the removed lines.
+ * @param {ImportChunkType[]} chunks
+ * @returns {ImportChunkType[]}
+ */
+function trimChunks(chunks) {
+    const first = chunks.findIndex(({ content }) => content.trim());
+    if (first === -1) return [];
+    const last = chunks.findLastIndex(({ content }) => content.trim());
+    const rv = chunks.slice(first, last + 1).map(chunk => ({ ...chunk }));
+    const head = rv[0];
+    const leading = head.content.slice(0, head.content.length - head.content.trimStart().length);
+    head.content = head.content.trimStart();
+    if (typeof head.line === 'number') head.line += leading.split('\n').length - 1;
+    const tail = rv[rv.length - 1];
+    tail.content = tail.content.trimEnd();
+    return rv;
+}
+
+/**
+ * Returns the condition of a supports() function as it is written in an `@supports` rule, e.g. '(display: grid)'.
+ * @param {string} supports
+ * @returns {string}
+ */
+function getSupportsCondition(supports) {
+    return /^[\w-]+\s*:/.test(supports) ? `(${supports})` : supports;
+}
+
+/**
+ * Combines the layer, supports() and media conditions of an `@import` statement with those of the statement importing its file.
+ * Nested layers are joined with a dot, supports() conditions with `and` and media queries with `and` for each pair.
+ * @param {ImportConditionsType} outer
+ * @param {ImportConditionsType} inner
+ * @returns {ImportConditionsType | undefined} - Undefined if both have a layer and one of them is anonymous.
+ */
+function mergeConditions(outer, inner) {
+    /** @type {ImportConditionsType} */
+    const rv = {};
+    const layers = [outer.layer, inner.layer].filter(layer => typeof layer === 'string');
+    if (layers.length === 2 && layers.includes('')) return undefined;
+    layers.length && (rv.layer = layers.join('.'));
+    if (outer.supports && inner.supports) {
+        rv.supports = `(${outer.supports}) and (${inner.supports})`;
+    } else if (outer.supports || inner.supports) {
+        rv.supports = outer.supports || inner.supports;
+    }
+    if (outer.media && inner.media) {
+        const innerQueries = inner.media.split(',').map(query => query.trim());
+        rv.media = outer.media
+            .split(',')
+            .flatMap(query => innerQueries.map(innerQuery => `${query.trim()} and ${innerQuery}`))
+            .join(', ');
+    } else if (outer.media || inner.media) {
+        rv.media = outer.media || inner.media;
+    }
+    return rv;
+}
+
+/**
+ * Returns an `@import` statement with the given URL and conditions.
+ * @param {string} url
+ * @param {ImportConditionsType} conditions
+ * @returns {string}
+ */
+function printImport(url, { layer, supports, media }) {
+    const parts = [JSON.stringify(url)];
+    typeof layer === 'string' && parts.push(layer ? `layer(${layer})` : 'layer');
+    supports && parts.push(`supports(${supports})`);
+    media && parts.push(media);
+    return `@import ${parts.join(' ')};`;
+}
+
+/**
+ * Wraps imported rules in the conditions and the layer of their `@import` statement.
+ * @param {ImportChunkType[]} chunks - The chunks of the imported file.
+ * @param {CSSImportType} statement
+ * @returns {ImportChunkType[]}
+ */
+function wrapImport(chunks, statement) {
+    const { layer, supports, media } = statement;
+    let prefix = '';
+    let suffix = '';
+    if (typeof layer === 'string') {
+        prefix = `@layer${layer ? ` ${layer}` : ''} {\n`;
+        suffix = '\n}';
+    }
+    if (media) {
+        prefix = `@media ${media} {\n${prefix}`;
+        suffix += '\n}';
+    }
+    if (supports) {
+        prefix = `@supports ${getSupportsCondition(supports)} {\n${prefix}`;
+        suffix += '\n}';
+    }
+    return [{ content: prefix }, ...trimChunks(chunks), { content: suffix }].filter(({ content }) => content);
+}
+
+/**
+ * Replaces the `@import` statements of a stylesheet with the contents of the imported files, recursively.
+ * The layer(), supports() and media conditions of each statement are kept by wrapping the imported rules.
+ * External URLs, e.g. 'https://…' or '/styles.css', are not inlined. Those after an inlined import are moved before it,
+ * with the conditions of the imports they are nested in, as browsers ignore `@import` statements after other rules.
+ * @param {string} css
+ * @param {string} file - The path of the stylesheet, imports are resolved relative to it.
+ * @param {InlineImportsOptionsType} [options]
+ * @returns {string}
+ * @throws {CSSImportError} - If an import can't be resolved or read, or imports one of the files importing it.
+ */
+export function inlineImports(css, file, options = {}) {
+    return getImportChunks(css, file, options)
+        .map(({ content }) => content)
+        .join('');
+}
+
+/**
+ * Returns the chunks of a stylesheet with its `@import` statements inlined, along with the file and line each comes from.
+ * Joining their contents gives the result of inlineImports, e.g. to map the inlined stylesheet back to each file.
+ * @param {string} css
+ * @param {string} file - The path of the stylesheet, imports are resolved relative to it.
+ * @param {InlineImportsOptionsType} [options]
+ * @returns {ImportChunkType[]}
+ * @throws {CSSImportError} - If an import can't be resolved or read, or imports one of the files importing it.
+ */
+export function getImportChunks(css, file, options = {}) {
+    return collectImportChunks(css, file, options, []);
+}
+
+/**
+ * Returns the chunks of a stylesheet with its `@import` statements inlined, refer to getImportChunks.
+ * The external imports of the imported files are collected to be moved before the inlined rules of the root stylesheet.
+ * @param {string} css
+ * @param {string} file
+ * @param {InlineImportsOptionsType} options
+ * @param {ImportChunkType[]} externalImports - The external imports to move, shared by all the imported files.
+ * @param {CSSImportType[]} [statements] - The statements importing the stylesheet, none for the root stylesheet.
+ * @returns {ImportChunkType[]}
+ * @throws {CSSImportError}
+ */
+function collectImportChunks(css, file, options, externalImports, statements) {
+    const { readFile = path => fs.readFileSync(path, 'utf8'), stack = [] } = options;
+    /** @type {ImportChunkType[]} */
+    const chunks = [];
+    /**
+     * Adds a slice of the stylesheet as a chunk.
+     * @param {number} start
+     * @param {number} end
+     */
+    const addChunk = (start, end) => {
+        const line = css.slice(0, start).split('\n').length - 1;
+        end > start && chunks.push({ content: css.slice(start, end), file, line });
+    };
+    /** @type {number | undefined} */
+    let firstInlined;
+    let index = 0;
+    findImports(css).forEach(statement => {
+        const line = css.slice(0, statement.start).split('\n').length;
+        addChunk(index, statement.start);
+        index = statement.end;
+        if (EXTERNAL_URL.test(statement.url)) {
+            if (!statements && typeof firstInlined === 'undefined') {
+                addChunk(statement.start, statement.end);
+                return;
+            }
+            const conditions = [...(statements ?? []), statement].reduce(
+                (rv, outer) => rv && mergeConditions(rv, outer),
+                /** @type {ImportConditionsType | undefined} */ ({})
+            );
+            if (!conditions) {
+                throw new CSSImportError(
+                    `Cannot move @import "${statement.url}" out of an anonymous layer`,
+                    file,
+                    line
+                );
+            }
+            const content = statements?.length
+                ? printImport(statement.url, conditions)
+                : css.slice(statement.start, statement.end);
+            externalImports.push({ content: `${content}\n`, file, line: line - 1 });
+            return;
+        }
+        firstInlined ??= chunks.length;
+        const importedFile = resolveImport(statement.url, file);
+        if (!importedFile) {
+            throw new CSSImportError(`Cannot resolve @import "${statement.url}"`, file, line);
+        }
+        if ([...stack, file].includes(importedFile)) {
+            throw new CSSImportError(`Circular @import of ${importedFile}`, file, line);
+        }
+        let content;
+        try {
+            content = readFile(importedFile);
+        } catch (error) {
+            throw new CSSImportError(`Cannot read @import "${statement.url}"`, file, line, error);
+        }
+        const imported = collectImportChunks(
+            content,
+            importedFile,
+            { readFile, stack: [...stack, file] },
+            externalImports,
+            [...(statements ?? []), statement]
+        );
+        chunks.push(...wrapImport(imported, statement));
+    });
+    addChunk(index, css.length);
+    if (!statements && typeof firstInlined === 'number') {
+        chunks.splice(firstInlined, 0, ...externalImports);
+    }
+    return chunks;
+}
@@ -0,0 +1,183 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import { tmpdir } from 'os';
+import PATH from 'path';
+import {
+    CSSImportError,
+    findImports,
+    getImportChunks,
+    inlineImports,
+    parseImport,
+    resolveImport
+} from './imports.mjs';
+
+/** @type {string} */
+let outputPath;
+
+/**
+ * Writes the files of a test, relative to the output path.
+ * @param {Record<string, string>} files
+ */
+function writeFiles(files) {
+    Object.entries(files).forEach(([name, content]) => {
+        const file = PATH.join(outputPath, name);
+        fs.mkdirSync(PATH.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+    });
+}
+
+/**
+ * Removes line breaks and indentation, to compare the inlined CSS.
+ * @param {string} css
+ */
+const compact = css => css.replace(/\s*\n\s*/g, ' ').trim();
+
+describe('CSS imports', () => {
+    beforeEach(() => {
+        outputPath = fs.realpathSync(fs.mkdtempSync(PATH.join(tmpdir(), 'style-bun-imports-')));
+    });
+    afterEach(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+
+    it('parses the url, layer, supports and media of an import', () => {
+        expect(parseImport('"./a.css"')).toEqual({ url: './a.css' });
+        expect(parseImport("url('./a.css') layer")).toEqual({ url: './a.css', layer: '' });
+        expect(
+            parseImport('url(a.css) layer(base) supports(display: grid) screen and (min-width: 701px)')
+        ).toEqual({
+            url: 'a.css',
+            layer: 'base',
+            supports: 'display: grid',
+            media: 'screen and (min-width: 701px)'
+        });
+        expect(parseImport('layers.css')).toBeUndefined();
+    });
+
+    it('only finds the imports at the top of a stylesheet', () => {
+        const css =
+            '@charset "UTF-8";\n/* a; b */\n@layer base;\n@import "./a.css";\n.a { color: red; }\n@import "./b.css";';
+        expect(findImports(css)).toEqual([{ url: './a.css', start: 42, end: 60 }]);
+    });
+
+    it('inlines nested imports in their layer and conditions', () => {
+        writeFiles({
+            'theme.css': '@import "./base.css" layer(base) screen;\n.theme { color: red; }',
+            'base.css': '@import url(./reset.css) supports(display: grid);\n.base { color: blue; }',
+            'reset.css': '* { margin: 0; }'
+        });
+        const file = PATH.join(outputPath, 'theme.css');
+        expect(compact(inlineImports(fs.readFileSync(file, 'utf8'), file))).toBe(
+            compact(`@media screen {
+                @layer base {
+                    @supports (display: grid) {
+                        * { margin: 0; }
+                    }
+                    .base { color: blue; }
+                }
+            }
+            .theme { color: red; }`)
+        );
+    });
+
+    it('returns the file and line of each inlined chunk', () => {
+        writeFiles({
+            'card.css': '/* Card */\n@import "./base.css" layer(base);\n.card { color: red; }',
+            'base.css': '\n\n.base {\n    color: blue;\n}\n'
+        });
+        const file = PATH.join(outputPath, 'card.css');
+        const css = fs.readFileSync(file, 'utf8');
+        const chunks = getImportChunks(css, file);
+        expect(chunks).toEqual([
+            { content: '/* Card */\n', file, line: 0 },
+            { content: '@layer base {\n' },
+            { content: '.base {\n    color: blue;\n}', file: PATH.join(outputPath, 'base.css'), line: 2 },
+            { content: '\n}' },
+            { content: '\n.card { color: red; }', file, line: 1 }
+        ]);
+        expect(chunks.map(({ content }) => content).join('')).toBe(inlineImports(css, file));
+    });
+
+    it('keeps external imports', () => {
+        const css = '@import url("https://fonts.googleapis.com/css2?family=Inter");\n@import "/styles.css";';
+        expect(inlineImports(css, PATH.join(outputPath, 'theme.css'))).toBe(css);
+    });
+
+    it('moves external imports before the inlined rules', () => {
+        writeFiles({
+            'theme.css':
+                '@import "./base.css";\n@import url("https://fonts.googleapis.com/css2?family=Inter");\n.theme {}',
+            'base.css': '@import "./reset.css" layer(reset) screen;\n.base {}',
+            'reset.css': '@import "/reset.css" supports(display: grid) print;\n* { margin: 0; }'
+        });
+        const file = PATH.join(outputPath, 'theme.css');
+        const chunks = getImportChunks(fs.readFileSync(file, 'utf8'), file);
+        expect(chunks.slice(0, 2)).toEqual([
+            {
+                content: '@import "/reset.css" layer(reset) supports(display: grid) screen and print;\n',
+                file: PATH.join(outputPath, 'reset.css'),
+                line: 0
+            },
+            {
+                content: '@import url("https://fonts.googleapis.com/css2?family=Inter");\n',
+                file,
+                line: 1
+            }
+        ]);
+        expect(compact(chunks.map(({ content }) => content).join(''))).toBe(
+            compact(`@import "/reset.css" layer(reset) supports(display: grid) screen and print;
+            @import url("https://fonts.googleapis.com/css2?family=Inter");
+            @media screen {
+                @layer reset {
+                    * { margin: 0; }
+                }
+            }
+            .base {}
+            .theme {}`)
+        );
+    });
+
+    it('throws if an external import can not be moved out of an anonymous layer', () => {
+        writeFiles({ 'base.css': '@import "/reset.css" layer(reset);' });
+        const file = PATH.join(outputPath, 'theme.css');
+        expect(() => inlineImports('@import "./base.css" layer;', file)).toThrow(
+            `Cannot move @import "/reset.css" out of an anonymous layer in ${PATH.join(outputPath, 'base.css')}:1`
+        );
+    });
+
+    it('resolves packages by their style field', () => {
+        writeFiles({
+            'node_modules/tokens/package.json': JSON.stringify({ name: 'tokens', style: 'dist/tokens.css' }),
+            'node_modules/tokens/dist/tokens.css': ':root { --color: red; }'
+        });
+        const file = PATH.join(outputPath, 'theme.css');
+        expect(resolveImport('tokens', file)).toBe(
+            PATH.join(outputPath, 'node_modules/tokens/dist/tokens.css')
+        );
+        expect(inlineImports('@import "tokens";', file)).toBe(':root { --color: red; }');
+    });
+
+    it('throws with the file and line of unresolved and circular imports', () => {
+        writeFiles({
+            'a.css': '.a { color: red; }',
+            'b.css': '/* b */\n@import "./c.css";',
+            'c.css': '@import "./b.css";'
+        });
+        const file = PATH.join(outputPath, 'a.css');
+        expect(() => inlineImports('\n@import "./missing.css";', file)).toThrow(
+            `Cannot resolve @import "./missing.css" in ${file}:2`
+        );
+        let error;
+        try {
+            inlineImports('@import "./b.css";', file);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeInstanceOf(CSSImportError);
+        expect(error).toMatchObject({
+            message: `Circular @import of ${PATH.join(outputPath, 'b.css')} in ${PATH.join(outputPath, 'c.css')}:1`,
+            file: PATH.join(outputPath, 'c.css'),
+            line: 1
+        });
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * An `@import` statement at the top of a stylesheet.
+ */
+export type CSSImportType = {
+    /**
+     * @property {string} url - The imported URL, e.g. './tokens.css' or 'normalize.css'.
+     */
+    url: string;
+
+    /**
+     * @property {string} layer - The cascade layer of the imported rules, an empty string for an anonymous layer.
+     */
+    layer?: string;
+
+    /**
+     * @property {string} supports - The condition of the supports() function, e.g. 'display: grid'.
+     */
+    supports?: string;
+
+    /**
+     * @property {string} media - The media query list, e.g. 'screen and (min-width: 701px)'.
+     */
+    media?: string;
+
+    /**
+     * @property {number} start - The index of the statement in the stylesheet.
+     */
+    start: number;
+
+    /**
+     * @property {number} end - The index after the semicolon of the statement.
+     */
+    end: number;
+};
+
+/**
+ * The layer, supports() and media conditions of an `@import` statement.
+ */
+export type ImportConditionsType = Pick<CSSImportType, 'layer' | 'supports' | 'media'>;
+
+export type InlineImportsOptionsType = {
+    /**
+     * @property {(file: string) => string} readFile - Returns the contents of an imported file, defaults to reading it from disk.
+     */
+    readFile?: (file: string) => string;
+
+    /**
+     * @property {string[]} stack - The files importing the stylesheet, used to detect import cycles.
+     */
+    stack?: string[];
+};
+
+/**
+ * A piece of a stylesheet with its imports inlined, refer to getImportChunks.
+ */
+export type ImportChunkType = {
+    content: string;
+
+    /**
+     * @property {string} file - The file the content comes from, none for the blocks wrapping imported rules, e.g. `@layer base {`.
+     */
+    file?: string;
+
+    /**
+     * @property {number} line - The line of the file the content starts at, zero-based.
+     */
+    line?: number;
+};
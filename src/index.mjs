@@ -1,2 +1,5 @@
 export { default as ThemesBundler } from './themesBundler/themesBundler.mjs';
 export { default as ThemeBundler } from './themeBundler/themeBundler.mjs';
+export { default as DevServer } from './devServer/devServer.mjs';
+export { ConfigValidationError, validateConfig } from './configSchema/configSchema.mjs';
+export { PluginError } from './plugins/plugins.mjs';
@@ -0,0 +1,82 @@
+/**
+ * @typedef {import('./plugins.types.js').ThemeBundlerPluginType} ThemeBundlerPluginType
+ * @typedef {import('./plugins.types.js').PluginHookType} PluginHookType
+ * @typedef {import('../themeBundler/themeBundler.mjs').default} ThemeBundler
+ */
+
+/**
+ * Thrown when a plugin hook fails, the original error is kept as the cause.
+ */
+export class PluginError extends Error {
+    /**
+     * @param {ThemeBundlerPluginType} plugin
+     * @param {PluginHookType} hook
+     * @param {unknown} error
+     */
+    constructor(plugin, hook, error) {
+        const reason = error instanceof Error ? error.message : String(error);
+        super(`Plugin '${plugin.name ?? 'anonymous'}' failed in ${hook}: ${reason}`, { cause: error });
+        this.name = 'PluginError';
+        this.plugin = plugin.name;
+        this.hook = hook;
+    }
+}
+
+/**
+ * Runs the transformFile hook of each plugin on the contents of a file.
+ * @param {ThemeBundlerPluginType[]} plugins
+ * @param {string} css
+ * @param {string} file
+ * @param {ThemeBundler} theme
+ * @returns {string}
+ * @throws {PluginError}
+ */
+export function runFileHook(plugins, css, file, theme) {
+    return plugins.reduce((rv, plugin) => {
+        if (!plugin.transformFile) return rv;
+        try {
+            return plugin.transformFile(rv, file, theme) ?? rv;
+        } catch (error) {
+            throw new PluginError(plugin, 'transformFile', error);
+        }
+    }, css);
+}
+
+/**
+ * Runs the transformBundle or afterMinify hook of each plugin in turn.
+ * @param {ThemeBundlerPluginType[]} plugins
+ * @param {'transformBundle' | 'afterMinify'} hook
+ * @param {string} css
+ * @param {ThemeBundler} theme
+ * @returns {Promise<string>}
+ * @throws {PluginError}
+ */
+export async function runTransformHook(plugins, hook, css, theme) {
+    let rv = css;
+    for (const plugin of plugins) {
+        try {
+            rv = (await plugin[hook]?.(rv, theme)) ?? rv;
+        } catch (error) {
+            throw new PluginError(plugin, hook, error);
+        }
+    }
+    return rv;
+}
+
+/**
+ * Calls the onExport hook of each plugin in turn.
+ * @param {ThemeBundlerPluginType[]} plugins
+ * @param {string} exportDir
+ * @param {ThemeBundler} theme
+ * @returns {Promise<void>}
+ * @throws {PluginError}
+ */
+export async function runExportHook(plugins, exportDir, theme) {
+    for (const plugin of plugins) {
+        try {
+            await plugin.onExport?.(exportDir, theme);
+        } catch (error) {
+            throw new PluginError(plugin, 'onExport', error);
+        }
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ * @typedef {import('./plugins.types.js').ThemeBundlerPluginType} ThemeBundlerPluginType
+ * @typedef {import('../themeBundler/themeBundler.mjs').default} ThemeBundler
+ */
+import { PluginError, runExportHook, runFileHook, runTransformHook } from './plugins.mjs';
+import { jest } from '@jest/globals';
+
+const theme = /** @type {ThemeBundler} */ ({});
+
+describe('Plugins', () => {
+    it('runs the hooks of all plugins in order', async () => {
+        /** @type {ThemeBundlerPluginType[]} */
+        const plugins = [
+            { transformFile: css => css.replace('$brand', 'red') },
+            { transformFile: () => undefined },
+            { transformFile: (css, file) => `/* ${file} */${css}` },
+            { transformBundle: css => `${css}.b{}` },
+            { transformBundle: async css => `/*! banner */${css}` }
+        ];
+        expect(runFileHook(plugins, '.a{color:$brand}', 'a.css', theme)).toBe('/* a.css */.a{color:red}');
+        expect(await runTransformHook(plugins, 'transformBundle', '.a{}', theme)).toBe(
+            '/*! banner */.a{}.b{}'
+        );
+        expect(await runTransformHook(plugins, 'afterMinify', '.a{}', theme)).toBe('.a{}');
+    });
+
+    it('calls the export hooks', async () => {
+        const onExport = jest.fn(() => {});
+        await runExportHook([{ onExport }, {}], '/export/default', theme);
+        expect(onExport).toHaveBeenCalledWith('/export/default', theme);
+    });
+
+    it('throws plugin errors with the plugin name and hook', async () => {
+        const error = new Error('Unknown token: $brand');
+        /** @type {ThemeBundlerPluginType[]} */
+        const plugins = [
+            {
+                name: 'tokens',
+                transformFile: () => {
+                    throw error;
+                },
+                afterMinify: () => Promise.reject(error)
+            }
+        ];
+        expect(() => runFileHook(plugins, '', 'a.css', theme)).toThrow(
+            "Plugin 'tokens' failed in transformFile: Unknown token: $brand"
+        );
+        const rejection = runTransformHook(plugins, 'afterMinify', '', theme);
+        await expect(rejection).rejects.toBeInstanceOf(PluginError);
+        await expect(rejection).rejects.toMatchObject({
+            plugin: 'tokens',
+            hook: 'afterMinify',
+            cause: error
+        });
+    });
+});
@@ -0,0 +1,38 @@
+import ThemeBundler from '../themeBundler/themeBundler.mjs';
+
+/**
+ * A plugin hooks into the bundling of each theme, e.g. to add banners, substitute tokens or lint the styles.
+ * The hooks of all plugins run in the order of the plugins array, each receiving the output of the previous one.
+ * Returning undefined from a transform hook keeps the CSS as it is.
+ */
+export type ThemeBundlerPluginType = {
+    /**
+     * @property {string} name - The name of the plugin, used in error messages.
+     */
+    name?: string;
+
+    /**
+     * @property {Function} transformFile - Transforms the contents of each file merged into the bundle.
+     * The bundles of the common theme and the base theme are passed as files too.
+     */
+    transformFile?: (css: string, file: string, theme: ThemeBundler) => string | void;
+
+    /**
+     * @property {Function} transformBundle - Transforms the bundled CSS before it is minified, SCSS is compiled first.
+     */
+    transformBundle?: (css: string, theme: ThemeBundler) => PluginResultType;
+
+    /**
+     * @property {Function} afterMinify - Transforms the minified CSS.
+     */
+    afterMinify?: (code: string, theme: ThemeBundler) => PluginResultType;
+
+    /**
+     * @property {Function} onExport - Called after the theme is exported to its export directory.
+     */
+    onExport?: (exportDir: string, theme: ThemeBundler) => void | Promise<void>;
+};
+
+export type PluginResultType = string | void | Promise<string | void>;
+
+export type PluginHookType = Exclude<keyof ThemeBundlerPluginType, 'name'>;
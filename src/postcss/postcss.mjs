@@ -0,0 +1,38 @@
+/**
+ * @typedef {import('./postcss.types.js').PostCSSConfigType} PostCSSConfigType
+ * @typedef {import('../sourceMap/sourceMap.types.js').SourceMapType} SourceMapType
+ * @typedef {typeof import('postcss').default} PostCSSType
+ */
+import PATH from 'path';
+import { resolveSources } from '../sourceMap/sourceMap.mjs';
+
+/**
+ * Loads PostCSS, which is an optional peer dependency.
+ * @returns {Promise<PostCSSType | undefined>}
+ */
+export async function loadPostCSS() {
+    try {
+        return (await import('postcss')).default;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Runs the PostCSS plugins of a config on the styles of a file.
+ * @param {PostCSSType} postcss
+ * @param {string} css
+ * @param {PostCSSConfigType} config
+ * @param {string} file - The file the styles are written to.
+ * @param {boolean} [sourceMap] - Whether to return the source map of the transformation.
+ * @returns {Promise<{ css: string, map?: SourceMapType }>} - The map has absolute sources.
+ * @throws {Error} - If the CSS fails to parse or a plugin fails.
+ */
+export async function processPostCSS(postcss, css, config, file, sourceMap = false) {
+    const { plugins = [], options = {} } = config;
+    const map = sourceMap && { inline: false, annotation: false, prev: false, sourcesContent: false };
+    const result = await postcss(plugins).process(css, { ...options, from: file, to: file, map });
+    if (!result.map) return { css: result.css };
+    const rawMap = { ...result.map.toJSON(), version: 3, file };
+    return { css: result.css, map: resolveSources(rawMap, PATH.dirname(file)) };
+}
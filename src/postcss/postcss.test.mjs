@@ -0,0 +1,49 @@
+/**
+ * @jest-environment node
+ * @typedef {import('postcss').Plugin} PluginType
+ */
+import { loadPostCSS, processPostCSS } from './postcss.mjs';
+
+/** @type {PluginType} */
+const pxToRem = {
+    postcssPlugin: 'px-to-rem',
+    Declaration: decl => {
+        decl.value = decl.value.replace(/(\d+)px/g, (_match, px) => `${px / 16}rem`);
+    }
+};
+
+describe('PostCSS', () => {
+    it('runs the plugins in order', async () => {
+        const postcss = await loadPostCSS();
+        if (!postcss) throw new Error('postcss is not installed');
+        /** @type {PluginType} */
+        const important = {
+            postcssPlugin: 'important',
+            Declaration: decl => {
+                decl.important = true;
+            }
+        };
+        const { css, map } = await processPostCSS(
+            postcss,
+            '.a { margin: 16px 8px; }',
+            { plugins: [pxToRem, important] },
+            '/themes/a.css'
+        );
+        expect(css).toBe('.a { margin: 1rem 0.5rem !important; }');
+        expect(map).toBeUndefined();
+    });
+
+    it('returns the source map with absolute sources', async () => {
+        const postcss = await loadPostCSS();
+        if (!postcss) throw new Error('postcss is not installed');
+        const { map } = await processPostCSS(
+            postcss,
+            '.a {\n    margin: 16px;\n}',
+            { plugins: [pxToRem] },
+            '/themes/a.css',
+            true
+        );
+        expect(map).toMatchObject({ version: 3, file: '/themes/a.css', sources: ['/themes/a.css'] });
+        expect(map?.mappings.length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,17 @@
+import { AcceptedPlugin, ProcessOptions } from 'postcss';
+
+/**
+ * The PostCSS config of a theme, PostCSS is an optional peer dependency.
+ */
+export type PostCSSConfigType = {
+    /**
+     * @property {AcceptedPlugin[]} plugins - The PostCSS plugins to run, in order, e.g. [postcssCustomSelectors(), pxtorem()].
+     */
+    plugins?: AcceptedPlugin[];
+
+    /**
+     * @property {ProcessOptions} options - Extra process options, e.g. a custom syntax or parser.
+     * The from, to and map options are set by the bundler.
+     */
+    options?: Omit<ProcessOptions, 'from' | 'to' | 'map'>;
+};
@@ -0,0 +1,113 @@
+/**
+ * @typedef {import('./reporter.types.js').ReportMessageType} ReportMessageType
+ * @typedef {import('./reporter.types.js').ReportSeverityType} ReportSeverityType
+ * @typedef {import('./reporter.types.js').ReporterType} ReporterType
+ * @typedef {import('./reporter.types.js').ReporterNameType} ReporterNameType
+ * @typedef {import('./reporter.types.js').ReporterConfigType} ReporterConfigType
+ * @typedef {import('./reporter.types.js').JsonReporterConfigType} JsonReporterConfigType
+ */
+
+/** @type {ReporterNameType[]} */
+export const REPORTERS = ['pretty', 'silent', 'json'];
+
+/** @type {Record<ReportSeverityType, string>} */
+const ICONS = {
+    error: '🚫 ',
+    warning: '⚠️  ',
+    info: ''
+};
+
+/**
+ * Logs messages to the console, prefixed with an icon.
+ * Errors are passed to console.error after the message, so the stack trace is kept.
+ */
+export class PrettyReporter {
+    /**
+     * @param {ReportMessageType} message
+     */
+    report({ severity, message, error }) {
+        const text = ICONS[severity] + (typeof error === 'undefined' ? message : `${message}:`);
+        const args = typeof error === 'undefined' ? [text] : [text, error];
+        if (severity === 'error') {
+            console.error(...args);
+        } else if (severity === 'warning') {
+            console.warn(...args);
+        } else {
+            console.info(...args);
+        }
+    }
+}
+
+/**
+ * Ignores all messages, errors are still thrown and emitted as events.
+ */
+export class SilentReporter {
+    report() {}
+}
+
+/**
+ * Writes each message as a line of JSON, e.g. for CI annotations.
+ */
+export class JsonReporter {
+    /**
+     * @param {JsonReporterConfigType} config
+     */
+    constructor(config = {}) {
+        this.stream = config.stream ?? process.stdout;
+    }
+
+    /**
+     * @param {ReportMessageType} message
+     */
+    report(message) {
+        this.stream.write(JSON.stringify(this.toJSON(message)) + '\n');
+    }
+
+    /**
+     * Returns a serializable copy of the message, errors are reduced to their message.
+     * @param {ReportMessageType} message
+     * @returns {Omit<ReportMessageType, 'error'> & { error?: string }}
+     */
+    toJSON({ severity, code, themeName, file, message, error }) {
+        const rv = { severity, code, themeName, file, message };
+        if (typeof error === 'undefined') return rv;
+        return { ...rv, error: error instanceof Error ? error.message : String(error) };
+    }
+}
+
+/**
+ * Passes each message on to another reporter and keeps those of the given severities, e.g. to set the exit code of the CLI.
+ */
+export class CollectingReporter {
+    /** @type {ReportMessageType[]} */
+    messages = [];
+
+    /**
+     * @param {ReporterConfigType} [reporter] - The reporter the messages are passed on to.
+     * @param {ReportSeverityType[]} [severities] - The severities of the messages to keep.
+     */
+    constructor(reporter, severities = ['error']) {
+        this.reporter = createReporter(reporter);
+        this.severities = severities;
+    }
+
+    /**
+     * @param {ReportMessageType} message
+     */
+    report(message) {
+        this.severities.includes(message.severity) && this.messages.push(message);
+        this.reporter.report(message);
+    }
+}
+
+/**
+ * Returns the reporter for the reporter config option, custom reporters are returned as they are.
+ * @param {ReporterConfigType} [reporter]
+ * @returns {ReporterType}
+ */
+export function createReporter(reporter = 'pretty') {
+    if (reporter && typeof reporter === 'object') return reporter;
+    if (reporter === 'silent') return new SilentReporter();
+    if (reporter === 'json') return new JsonReporter();
+    return new PrettyReporter();
+}
@@ -0,0 +1,115 @@
+/**
+ * @jest-environment node
+ * @typedef {import('./reporter.types.js').ReportMessageType} ReportMessageType
+ */
+import { Writable } from 'stream';
+import { jest } from '@jest/globals';
+import {
+    CollectingReporter,
+    JsonReporter,
+    PrettyReporter,
+    SilentReporter,
+    createReporter
+} from './reporter.mjs';
+import { THEME_CONFIG_SCHEMA, describeProperty, validateConfig } from '../configSchema/configSchema.mjs';
+import ThemeBundler from '../themeBundler/themeBundler.mjs';
+
+/** @type {ReportMessageType} */
+const warning = {
+    severity: 'warning',
+    code: 'empty-file',
+    themeName: 'dark',
+    file: '/themes/dark/empty.css',
+    message: 'No CSS found in file: /themes/dark/empty.css'
+};
+
+describe('Reporter', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('creates the reporters by name and keeps custom reporters', () => {
+        const custom = { report: () => {} };
+        expect(createReporter()).toBeInstanceOf(PrettyReporter);
+        expect(createReporter('silent')).toBeInstanceOf(SilentReporter);
+        expect(createReporter('json')).toBeInstanceOf(JsonReporter);
+        expect(createReporter(custom)).toBe(custom);
+    });
+
+    it('logs pretty messages to the console by severity', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const error = new Error('Expected "}"');
+        const reporter = new PrettyReporter();
+        reporter.report(warning);
+        reporter.report({
+            severity: 'error',
+            code: 'scss-compile-failed',
+            message: 'Failed to compile SCSS',
+            error
+        });
+        expect(warnSpy).toHaveBeenCalledWith('⚠️  No CSS found in file: /themes/dark/empty.css');
+        expect(errorSpy).toHaveBeenCalledWith('🚫 Failed to compile SCSS:', error);
+    });
+
+    it('writes a line of JSON per message', () => {
+        /** @type {string[]} */
+        const lines = [];
+        const stream = new Writable({
+            write: (chunk, _encoding, callback) => {
+                lines.push(chunk.toString());
+                callback();
+            }
+        });
+        const reporter = new JsonReporter({ stream });
+        reporter.report(warning);
+        reporter.report({
+            severity: 'error',
+            code: 'bundle-failed',
+            message: 'Failed',
+            error: new Error('Disk full')
+        });
+        expect(lines.every(line => line.endsWith('\n'))).toBe(true);
+        expect(lines.map(line => JSON.parse(line))).toEqual([
+            warning,
+            { severity: 'error', code: 'bundle-failed', message: 'Failed', error: 'Disk full' }
+        ]);
+    });
+
+    it('keeps the messages of the given severities and passes all of them on', () => {
+        const report = jest.fn();
+        const reporter = new CollectingReporter({ report });
+        /** @type {ReportMessageType} */
+        const error = { severity: 'error', code: 'missing-include', message: 'Missing include' };
+        reporter.report(warning);
+        reporter.report(error);
+        expect(reporter.messages).toEqual([error]);
+        expect(report).toHaveBeenCalledTimes(2);
+        expect(new CollectingReporter('silent', ['warning', 'error']).severities).toEqual(['warning', 'error']);
+    });
+
+    it('accepts the reporter names and custom reporters in the config', () => {
+        expect(describeProperty(THEME_CONFIG_SCHEMA.reporter)).toBe("'pretty' | 'silent' | 'json' | object");
+        expect(validateConfig({ reporter: 'json' }, THEME_CONFIG_SCHEMA, 'theme.config.js')).toEqual([]);
+        const custom = { reporter: { report() {} } };
+        expect(validateConfig(custom, THEME_CONFIG_SCHEMA, 'theme.config.js')).toEqual([]);
+        const [error] = validateConfig({ reporter: 'xml' }, THEME_CONFIG_SCHEMA, 'theme.config.js');
+        expect(error.reason).toBe('type');
+    });
+
+    it('reports the diagnostics of a theme with their code, theme name and file', async () => {
+        const consoleSpy = jest.spyOn(console, 'error');
+        const report = jest.fn();
+        const theme = new ThemeBundler({ path: '/invalid/path/to/theme', reporter: { report } });
+        await theme.promise;
+        expect(report).toHaveBeenCalledWith({
+            severity: 'error',
+            code: 'invalid-theme-path',
+            themeName: 'theme',
+            file: '/invalid/path/to/theme',
+            message: 'Invalid path in theme config theme: "/invalid/path/to/theme"'
+        });
+        expect(report).toHaveBeenCalledWith(expect.objectContaining({ code: 'config-not-found' }));
+        expect(consoleSpy).not.toHaveBeenCalled();
+    });
+});
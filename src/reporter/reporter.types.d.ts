@@ -0,0 +1,87 @@
+export type ReportSeverityType = 'error' | 'warning' | 'info';
+
+/**
+ * Identifies the kind of a diagnostic, e.g. to filter or count them in CI.
+ */
+export type ReportCodeType =
+    | 'invalid-config'
+    | 'missing-include'
+    | 'config-not-found'
+    | 'config-load-failed'
+    | 'invalid-theme-path'
+    | 'invalid-targets'
+    | 'invalid-budgets'
+    | 'invalid-tokens'
+    | 'invalid-theme-switcher'
+    | 'combined-failed'
+    | 'theme-not-found'
+    | 'common-theme-not-found'
+    | 'base-theme-not-found'
+    | 'base-theme-target-missing'
+    | 'empty-file'
+    | 'import-failed'
+    | 'missing-asset'
+    | 'empty-theme'
+    | 'sass-not-installed'
+    | 'scss-compile-failed'
+    | 'postcss-not-installed'
+    | 'postcss-failed'
+    | 'transform-failed'
+    | 'plugin-failed'
+    | 'bundle-start'
+    | 'bundle-failed'
+    | 'bundle-complete'
+    | 'bundle-size'
+    | 'assets-inlined'
+    | 'budget-exceeded'
+    | 'budget-skipped'
+    | 'critical-complete'
+    | 'critical-failed'
+    | 'custom-property-coverage'
+    | 'coverage-failed'
+    | 'watch-start'
+    | 'watch-callback-failed'
+    | 'dev-server-start'
+    | 'dev-server-failed'
+    | 'cli-error';
+
+/**
+ * A diagnostic reported by the bundlers.
+ */
+export type ReportMessageType = {
+    severity: ReportSeverityType;
+    code: ReportCodeType;
+
+    /**
+     * @property {string} message - The message without a leading icon.
+     */
+    message: string;
+    themeName?: string;
+
+    /**
+     * @property {string} file - The file the message relates to, if any.
+     */
+    file?: string;
+    error?: unknown;
+};
+
+/**
+ * Receives every diagnostic of the bundlers, refer to the PrettyReporter, SilentReporter and JsonReporter.
+ */
+export type ReporterType = {
+    report: (message: ReportMessageType) => void;
+};
+
+export type ReporterNameType = 'pretty' | 'silent' | 'json';
+
+/**
+ * The reporter config option, either the name of a built-in reporter or a custom one.
+ */
+export type ReporterConfigType = ReporterNameType | ReporterType;
+
+export type JsonReporterConfigType = {
+    /**
+     * @property {NodeJS.WritableStream} stream - Where the JSON lines are written, defaults to process.stdout.
+     */
+    stream?: NodeJS.WritableStream;
+};
@@ -0,0 +1,51 @@
+/**
+ * @typedef {import('./sass.types.js').SassConfigType} SassConfigType
+ * @typedef {typeof import('sass')} SassType
+ * @typedef {import('sass').Options<'sync'>} SassOptionsType
+ */
+import PATH from 'path';
+import { createRequire } from 'module';
+
+/**
+ * Checks if Sass is installed in the project, which is an optional peer dependency.
+ * @param {string} [cwd] - The directory it is resolved from.
+ * @param {string} [packageName]
+ * @returns {boolean}
+ */
+export function hasSass(cwd = process.cwd(), packageName = 'sass') {
+    try {
+        createRequire(PATH.join(cwd, 'noop.js')).resolve(packageName);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Loads Sass.
+ * @returns {Promise<SassType | undefined>}
+ */
+export async function loadSass() {
+    try {
+        return await import('sass');
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Returns the options of the Sass compiler for a config, the source map options are set by the bundler.
+ * @param {SassType} sass
+ * @param {SassConfigType} [config]
+ * @param {string} [cwd] - The directory load paths and packages are resolved from.
+ * @returns {SassOptionsType}
+ */
+export function getSassOptions(sass, config = {}, cwd = process.cwd()) {
+    const { loadPaths = [], pkgImporter = true, importers = [], ...options } = config;
+    const entryPointDirectory = typeof pkgImporter === 'string' ? PATH.resolve(cwd, pkgImporter) : cwd;
+    return {
+        ...options,
+        loadPaths: loadPaths.map(path => PATH.resolve(cwd, path)),
+        importers: pkgImporter ? [...importers, new sass.NodePackageImporter(entryPointDirectory)] : importers
+    };
+}
@@ -0,0 +1,39 @@
+/**
+ * @jest-environment node
+ */
+import PATH from 'path';
+import { tmpdir } from 'os';
+import * as sass from 'sass';
+import { getSassOptions, hasSass, loadSass } from './sass.mjs';
+
+describe('Sass', () => {
+    it('resolves Sass from the working directory', async () => {
+        expect(hasSass()).toBe(true);
+        expect(hasSass(tmpdir(), 'nonexistent-package-for-testing')).toBe(false);
+        expect((await loadSass())?.compileString).toBeInstanceOf(Function);
+    });
+
+    it('resolves the load paths and adds the package importer', () => {
+        const cwd = PATH.resolve('/project');
+        const { importers, ...options } = getSassOptions(
+            sass,
+            { loadPaths: ['src/components'], quietDeps: true },
+            cwd
+        );
+        expect(options).toEqual({ quietDeps: true, loadPaths: [PATH.join(cwd, 'src/components')] });
+        // The importer is compiled from Dart, so instanceof doesn't apply.
+        expect(importers?.map(importer => importer.constructor.name)).toEqual([
+            expect.stringMatching(/^NodePackageImporter/)
+        ]);
+    });
+
+    it('keeps custom importers first and can leave out the package importer', () => {
+        const importer = { findFileUrl: () => null };
+        expect(getSassOptions(sass, { importers: [importer], pkgImporter: false }).importers).toEqual([
+            importer
+        ]);
+        const { importers = [] } = getSassOptions(sass, { importers: [importer], pkgImporter: 'packages' });
+        expect(importers).toHaveLength(2);
+        expect(importers[0]).toBe(importer);
+    });
+});
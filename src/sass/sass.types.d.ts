@@ -0,0 +1,53 @@
+import { CustomFunction, DeprecationOrId, FileImporter, Importer, OutputStyle, Version } from 'sass';
+
+/**
+ * The Sass options of a theme, Sass is an optional peer dependency.
+ */
+export type SassConfigType = {
+    /**
+     * @property {string[]} loadPaths - Directories to look up `@use` and `@import` URLs in, relative to the working directory,
+     * e.g. ['node_modules', 'src/components'].
+     */
+    loadPaths?: string[];
+
+    /**
+     * @property {boolean | string} pkgImporter - Resolves 'pkg:' URLs from node_modules, e.g. `@use 'pkg:bootstrap'`.
+     * Enabled by default, a string sets the directory packages are resolved from instead of the working directory.
+     */
+    pkgImporter?: boolean | string;
+
+    /**
+     * @property {(Importer<'sync'> | FileImporter<'sync'>)[]} importers - Custom importers, run before the package importer.
+     */
+    importers?: (Importer<'sync'> | FileImporter<'sync'>)[];
+
+    /**
+     * @property {Record<string, CustomFunction<'sync'>>} functions - Custom functions, keyed by signature, e.g. 'rem($px)'.
+     */
+    functions?: Record<string, CustomFunction<'sync'>>;
+
+    /**
+     * @property {OutputStyle} style - The output style of the compiled CSS, 'expanded' or 'compressed'.
+     */
+    style?: OutputStyle;
+
+    /**
+     * @property {boolean} quietDeps - Silences the warnings of stylesheets loaded from load paths and importers.
+     */
+    quietDeps?: boolean;
+
+    /**
+     * @property {DeprecationOrId[]} silenceDeprecations - Deprecations to silence, e.g. ['import', 'global-builtin'].
+     */
+    silenceDeprecations?: DeprecationOrId[];
+
+    /**
+     * @property {(DeprecationOrId | Version)[]} fatalDeprecations - Deprecations to treat as errors.
+     */
+    fatalDeprecations?: (DeprecationOrId | Version)[];
+
+    /**
+     * @property {DeprecationOrId[]} futureDeprecations - Future deprecations to opt into early.
+     */
+    futureDeprecations?: DeprecationOrId[];
+};
@@ -0,0 +1,297 @@
+/**
+ * @typedef {import('./sourceMap.types.js').SourceMapType} SourceMapType
+ * @typedef {import('./sourceMap.types.js').SourceMapChunkType} SourceMapChunkType
+ * @typedef {import('./sourceMap.types.js').MappingSegmentType} MappingSegmentType
+ */
+import PATH from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+////////////////////////////
+// #region VLQ
+////////////////////////////
+
+/**
+ * Encodes a number as a base64 VLQ string.
+ * @param {number} value
+ * @returns {string}
+ */
+export function encodeVLQ(value) {
+    let vlq = value < 0 ? (-value << 1) + 1 : value << 1;
+    let encoded = '';
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) digit |= 32;
+        encoded += BASE64[digit];
+    } while (vlq > 0);
+    return encoded;
+}
+
+/**
+ * Decodes the mappings of a source map into absolute segments grouped by generated line.
+ * @param {string} mappings
+ * @returns {MappingSegmentType[][]}
+ */
+export function decodeMappings(mappings = '') {
+    /** @type {MappingSegmentType[][]} */
+    const lines = [];
+    const state = [0, 0, 0, 0];
+    mappings.split(';').forEach(line => {
+        state[0] = 0;
+        /** @type {MappingSegmentType[]} */
+        const segments = [];
+        line.split(',').forEach(segment => {
+            if (!segment) return;
+            const values = decodeSegment(segment);
+            values.slice(0, 4).forEach((value, index) => (state[index] += value));
+            values.length >= 4 && segments.push(/** @type {MappingSegmentType} */ ([...state]));
+        });
+        lines.push(segments);
+    });
+    return lines;
+}
+
+/**
+ * Decodes the VLQ values of a single segment.
+ * @param {string} segment
+ * @returns {number[]}
+ */
+function decodeSegment(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of segment) {
+        const digit = BASE64.indexOf(char);
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+            continue;
+        }
+        values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = 0;
+        shift = 0;
+    }
+    return values;
+}
+
+/**
+ * Encodes absolute segments grouped by generated line into source map mappings.
+ * @param {MappingSegmentType[][]} lines
+ * @returns {string}
+ */
+export function encodeMappings(lines) {
+    const state = [0, 0, 0, 0];
+    return lines
+        .map(segments => {
+            state[0] = 0;
+            return [...(segments ?? [])]
+                .sort((a, b) => a[0] - b[0])
+                .map(segment => {
+                    const encoded = segment.map((value, index) => encodeVLQ(value - state[index])).join('');
+                    segment.forEach((value, index) => (state[index] = value));
+                    return encoded;
+                })
+                .join(',');
+        })
+        .join(';');
+}
+
+// #endregion VLQ
+
+////////////////////////////
+// #region Source Maps
+////////////////////////////
+
+/**
+ * Creates a source map for a set of concatenated chunks.
+ * Chunks carrying a map are remapped through it, chunks carrying a source are mapped line by line.
+ * @param {SourceMapChunkType[]} chunks
+ * @param {string} file - The absolute path of the generated file.
+ * @returns {SourceMapType}
+ */
+export function concatSourceMaps(chunks, file) {
+    /** @type {string[]} */
+    const sources = [];
+    /** @type {(string | null)[]} */
+    const sourcesContent = [];
+    /** @type {MappingSegmentType[][]} */
+    const lines = [];
+    /**
+     * Registers a source and returns its index.
+     * @param {string} source
+     * @param {string | null} [content]
+     * @returns {number}
+     */
+    const addSource = (source, content = null) => {
+        let index = sources.indexOf(source);
+        if (index === -1) {
+            index = sources.push(source) - 1;
+            sourcesContent[index] = content;
+        }
+        return index;
+    };
+    let line = 0;
+    let column = 0;
+    chunks.forEach(chunk => {
+        const { content, offset = 0, source, map, line: sourceLine = 0 } = chunk;
+        const chunkLines = content.split('\n');
+        const mapLines = map ? decodeMappings(map.mappings) : [];
+        const sourceIndexes = map?.sources.map((src, index) => addSource(src, map.sourcesContent?.[index]));
+        const sourceIndex = !map && source ? addSource(source, chunk.sourceContent) : -1;
+        chunkLines.forEach((text, index) => {
+            if (!text.length) return;
+            const shift = index === 0 ? column : 0;
+            /** @type {MappingSegmentType[]} */
+            let segments = [];
+            if (sourceIndexes) {
+                segments = (mapLines[index - offset] ?? []).map(([col, src, srcLine, srcCol]) => [
+                    col + shift,
+                    sourceIndexes[src],
+                    srcLine,
+                    srcCol
+                ]);
+            } else if (sourceIndex !== -1 && index >= offset) {
+                segments = [[shift, sourceIndex, sourceLine + index - offset, 0]];
+            }
+            lines[line + index] = (lines[line + index] ?? []).concat(segments);
+        });
+        line += chunkLines.length - 1;
+        column = (chunkLines.length === 1 ? column : 0) + (chunkLines.at(-1)?.length ?? 0);
+    });
+    for (let index = 0; index <= line; index++) {
+        lines[index] = lines[index] ?? [];
+    }
+    return { version: 3, file, sources, sourcesContent, names: [], mappings: encodeMappings(lines) };
+}
+
+/**
+ * Remaps the segments of a map that point to an intermediate file through the map of that file.
+ * E.g. the map of the compiled SCSS bundle through the map of the concatenated SCSS bundle.
+ * @param {SourceMapType} map - A map with absolute sources.
+ * @param {SourceMapType} intermediateMap - The map of the intermediate file with absolute sources.
+ * @param {string} intermediateFile - The absolute path of the intermediate file.
+ * @returns {SourceMapType}
+ */
+export function composeSourceMaps(map, intermediateMap, intermediateFile) {
+    const intermediateLines = decodeMappings(intermediateMap.mappings);
+    /** @type {string[]} */
+    const sources = [...intermediateMap.sources];
+    const sourcesContent = [...(intermediateMap.sourcesContent ?? [])];
+    const sourceIndexes = map.sources.map((source, index) => {
+        if (source === intermediateFile) return -1;
+        sourcesContent[sources.length] = map.sourcesContent?.[index] ?? null;
+        return sources.push(source) - 1;
+    });
+    const lines = decodeMappings(map.mappings).map(segments => {
+        /** @type {MappingSegmentType[]} */
+        const rv = [];
+        segments.forEach(([col, src, srcLine, srcCol]) => {
+            if (sourceIndexes[src] !== -1) {
+                rv.push([col, sourceIndexes[src], srcLine, srcCol]);
+                return;
+            }
+            const match = (intermediateLines[srcLine] ?? []).filter(segment => segment[0] <= srcCol).pop();
+            match && rv.push([col, match[1], match[2], match[3] + srcCol - match[0]]);
+        });
+        return rv;
+    });
+    return { version: 3, file: map.file, sources, sourcesContent, names: [], mappings: encodeMappings(lines) };
+}
+
+/**
+ * Removes the sources no segment of a map points to.
+ * E.g. the input file lightningcss lists next to the sources of its input source map.
+ * @param {SourceMapType} map
+ * @returns {SourceMapType}
+ */
+export function removeUnmappedSources(map) {
+    const lines = decodeMappings(map.mappings);
+    const mapped = new Set(lines.flatMap(segments => segments.map(segment => segment[1])));
+    /** @type {string[]} */
+    const sources = [];
+    /** @type {(string | null)[]} */
+    const sourcesContent = [];
+    const sourceIndexes = map.sources.map((source, index) => {
+        if (!mapped.has(index)) return -1;
+        sourcesContent[sources.length] = map.sourcesContent?.[index] ?? null;
+        return sources.push(source) - 1;
+    });
+    const remapped = lines.map(segments =>
+        segments.map(
+            ([col, src, srcLine, srcCol]) => /** @type {MappingSegmentType} */ ([col, sourceIndexes[src], srcLine, srcCol])
+        )
+    );
+    return { ...map, sources, sourcesContent, names: [], mappings: encodeMappings(remapped) };
+}
+
+/**
+ * Converts the sources of a map to absolute paths.
+ * @param {SourceMapType} map
+ * @param {string} dir - The directory the sources are relative to.
+ * @returns {SourceMapType}
+ */
+export function resolveSources(map, dir) {
+    const sources = map.sources.map(source => {
+        if (source.startsWith('file:')) return fileURLToPath(source);
+        return PATH.resolve(dir, map.sourceRoot ?? '', source);
+    });
+    return { ...map, sourceRoot: undefined, sources };
+}
+
+/**
+ * Converts the absolute sources of a map to paths relative to the given directory.
+ * @param {SourceMapType} map
+ * @param {string} dir
+ * @returns {SourceMapType}
+ */
+export function relativizeSources(map, dir) {
+    const sources = map.sources.map(source => PATH.relative(dir, source).split(PATH.sep).join('/'));
+    return { ...map, sources };
+}
+
+/**
+ * Reads a source map file and resolves its sources to absolute paths.
+ * @param {string} file
+ * @returns {SourceMapType | undefined}
+ */
+export function readSourceMap(file) {
+    if (!fs.existsSync(file)) return undefined;
+    try {
+        return resolveSources(JSON.parse(fs.readFileSync(file, 'utf8')), PATH.dirname(file));
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Writes a source map with absolute sources to a file, making its sources relative to it.
+ * @param {string} file
+ * @param {SourceMapType} map
+ */
+export function writeSourceMap(file, map) {
+    const rv = relativizeSources({ ...map, file: PATH.basename(map.file) }, PATH.dirname(file));
+    fs.writeFileSync(file, JSON.stringify(rv));
+}
+
+/**
+ * Returns the comment linking a stylesheet to its source map.
+ * @param {string} mapFile
+ * @returns {string}
+ */
+export function getSourceMapComment(mapFile) {
+    return `\n/*# sourceMappingURL=${PATH.basename(mapFile)} */\n`;
+}
+
+/**
+ * Removes the comment linking a stylesheet to its source map.
+ * @param {string} css
+ * @returns {string}
+ */
+export function stripSourceMapComment(css) {
+    return css.replace(/\n?\/\*# sourceMappingURL=[^*]*\*\/\n?/g, '');
+}
+
+// #endregion Source Maps
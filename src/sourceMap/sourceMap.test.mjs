@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+import {
+    composeSourceMaps,
+    concatSourceMaps,
+    decodeMappings,
+    encodeMappings,
+    encodeVLQ,
+    relativizeSources,
+    removeUnmappedSources,
+    resolveSources,
+    stripSourceMapComment,
+    getSourceMapComment
+} from './sourceMap.mjs';
+
+describe('sourceMap', () => {
+    it('encodes VLQ values', () => {
+        expect(encodeVLQ(0)).toBe('A');
+        expect(encodeVLQ(1)).toBe('C');
+        expect(encodeVLQ(-1)).toBe('D');
+        expect(encodeVLQ(16)).toBe('gB');
+    });
+
+    it('decodes the mappings it encodes', () => {
+        /** @type {[number, number, number, number][][]} */
+        const lines = [[[0, 0, 0, 0]], [], [[2, 1, 10, 4], [8, 0, 3, 1]]];
+        expect(decodeMappings(encodeMappings(lines))).toEqual(lines);
+    });
+
+    it('maps concatenated chunks line by line', () => {
+        const map = concatSourceMaps(
+            [
+                { content: 'a{}\n', source: '/src/a.css' },
+                { content: '/* header */\nb{}\nc{}', source: '/src/b.css', offset: 1 },
+                { content: 'd{}', source: '/src/d.css' }
+            ],
+            '/dist/bundle.css'
+        );
+        expect(map.sources).toEqual(['/src/a.css', '/src/b.css', '/src/d.css']);
+        expect(decodeMappings(map.mappings)).toEqual([
+            [[0, 0, 0, 0]],
+            [],
+            [[0, 1, 0, 0]],
+            [
+                [0, 1, 1, 0],
+                [3, 2, 0, 0]
+            ]
+        ]);
+    });
+
+    it('maps chunks from the line of the source they start at', () => {
+        const map = concatSourceMaps(
+            [
+                { content: '@layer base {\n' },
+                { content: 'a{}\nb{}', source: '/src/a.css', line: 4 },
+                { content: '\n}\n' },
+                { content: 'c{}', source: '/src/c.css', line: 1 }
+            ],
+            '/dist/bundle.css'
+        );
+        expect(decodeMappings(map.mappings)).toEqual([[], [[0, 0, 4, 0]], [[0, 0, 5, 0]], [], [[0, 1, 1, 0]]]);
+    });
+
+    it('maps chunks through their own source map', () => {
+        const inner = concatSourceMaps([{ content: 'x{}\ny{}', source: '/src/x.css' }], '/src/inner.css');
+        const map = concatSourceMaps(
+            [
+                { content: 'a{}\n', source: '/src/a.css' },
+                { content: 'x{}\ny{}', map: inner }
+            ],
+            '/dist/bundle.css'
+        );
+        expect(map.sources).toEqual(['/src/a.css', '/src/x.css']);
+        expect(decodeMappings(map.mappings)[2]).toEqual([[0, 1, 1, 0]]);
+    });
+
+    it('composes a map through an intermediate map', () => {
+        const intermediate = concatSourceMaps(
+            [
+                { content: 'a{}\n', source: '/src/a.scss' },
+                { content: 'b{}\n', source: '/src/b.scss' }
+            ],
+            '/dist/bundle.scss'
+        );
+        const compiled = {
+            version: 3,
+            file: '/dist/bundle.css',
+            sources: ['/dist/bundle.scss', '/lib/mixins.scss'],
+            names: [],
+            mappings: encodeMappings([[[0, 0, 1, 2]], [[0, 1, 4, 0]]])
+        };
+        const map = composeSourceMaps(compiled, intermediate, '/dist/bundle.scss');
+        expect(map.sources).toEqual(['/src/a.scss', '/src/b.scss', '/lib/mixins.scss']);
+        expect(decodeMappings(map.mappings)).toEqual([[[0, 1, 0, 2]], [[0, 2, 4, 0]]]);
+    });
+
+    it('removes the sources without mappings', () => {
+        const map = removeUnmappedSources({
+            version: 3,
+            file: '/dist/bundle.min.css',
+            sources: ['/dist/bundle.css', '/src/a.css', '/src/b.css'],
+            sourcesContent: [null, 'a{}', 'b{}'],
+            names: [],
+            mappings: encodeMappings([[[0, 2, 0, 0], [3, 1, 0, 0]]])
+        });
+        expect(map.sources).toEqual(['/src/a.css', '/src/b.css']);
+        expect(map.sourcesContent).toEqual(['a{}', 'b{}']);
+        expect(decodeMappings(map.mappings)).toEqual([[[0, 1, 0, 0], [3, 0, 0, 0]]]);
+    });
+
+    it('converts sources between absolute and relative paths', () => {
+        const map = { version: 3, file: 'a.css', sources: ['../a.css', 'b/b.css'], names: [], mappings: '' };
+        const resolved = resolveSources(map, '/themes/dark');
+        expect(resolved.sources).toEqual(['/themes/a.css', '/themes/dark/b/b.css']);
+        expect(relativizeSources(resolved, '/themes/dark').sources).toEqual(map.sources);
+    });
+
+    it('strips the source mapping comment', () => {
+        const css = 'a{}' + getSourceMapComment('/dist/a.css.map');
+        expect(css).toContain('sourceMappingURL=a.css.map');
+        expect(stripSourceMapComment(css)).toBe('a{}');
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * A version 3 source map.
+ */
+export type SourceMapType = {
+    version: number;
+    file: string;
+    sources: string[];
+    sourcesContent?: (string | null)[];
+    sourceRoot?: string;
+    names: string[];
+    mappings: string;
+};
+
+/**
+ * A decoded mapping segment: [generatedColumn, sourceIndex, sourceLine, sourceColumn], all zero-based.
+ */
+export type MappingSegmentType = [number, number, number, number];
+
+/**
+ * A piece of content that is concatenated into a bundle.
+ */
+export type SourceMapChunkType = {
+    /**
+     * @property {string} content - The content of the chunk as it appears in the bundle.
+     */
+    content: string;
+
+    /**
+     * @property {number} offset - The number of lines prepended to the original content, e.g. a file comment.
+     */
+    offset?: number;
+
+    /**
+     * @property {string} source - The absolute path of the file the content comes from, mapped line by line.
+     */
+    source?: string;
+    sourceContent?: string;
+
+    /**
+     * @property {number} line - The line of the source the content starts at, zero-based, e.g. for a file split by its imports.
+     */
+    line?: number;
+
+    /**
+     * @property {SourceMapType} map - The map of the content with absolute sources, takes precedence over source.
+     */
+    map?: SourceMapType;
+};
@@ -0,0 +1,24 @@
+/**
+ * @typedef {import('./targets.types.js').TargetsConfigType} TargetsConfigType
+ * @typedef {import('./targets.types.js').TargetsType} TargetsType
+ */
+import browserslist from 'browserslist';
+import { browserslistToTargets } from 'lightningcss';
+
+/**
+ * Resolves the targets config option to lightningcss targets.
+ * Without a config, the browserslist config found from the given path upwards is used, if any.
+ * @param {TargetsConfigType | undefined} targets
+ * @param {string} path - Where to look for the browserslist config, e.g. the theme path.
+ * @returns {TargetsType | undefined}
+ * @throws {Error} - If the browserslist query is invalid.
+ */
+export function resolveTargets(targets, path) {
+    if (targets === false) return undefined;
+    if (typeof targets === 'string' || Array.isArray(targets)) {
+        return browserslistToTargets(browserslist(targets, { path }));
+    }
+    if (targets && typeof targets === 'object') return targets;
+    const query = browserslist.loadConfig({ path });
+    return query ? browserslistToTargets(browserslist(query, { path })) : undefined;
+}
@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { resolveTargets } from './targets.mjs';
+
+const cwd = process.cwd();
+
+describe('resolveTargets', () => {
+    /** @type {string} */
+    let projectDir;
+
+    beforeAll(() => {
+        projectDir = mkdtempSync(join(tmpdir(), 'style-bun-targets-'));
+        writeFileSync(join(projectDir, 'package.json'), JSON.stringify({ browserslist: ['safari 12'] }));
+    });
+
+    afterAll(() => {
+        rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('resolves a browserslist query', () => {
+        expect(resolveTargets('safari 12', cwd)).toEqual({ safari: 12 << 16 });
+        expect(resolveTargets(['chrome 100', 'firefox 100'], cwd)).toEqual({
+            chrome: 100 << 16,
+            firefox: 100 << 16
+        });
+    });
+
+    it('keeps lightningcss targets and disables them with false', () => {
+        expect(resolveTargets({ chrome: 90 << 16 }, cwd)).toEqual({ chrome: 90 << 16 });
+        expect(resolveTargets(false, projectDir)).toBeUndefined();
+    });
+
+    it('uses the browserslist config of the project', () => {
+        expect(resolveTargets(undefined, projectDir)).toEqual({ safari: 12 << 16 });
+        expect(resolveTargets(undefined, cwd)).toBeUndefined();
+    });
+
+    it('throws on an invalid query', () => {
+        expect(() => resolveTargets('not a browser', cwd)).toThrow();
+    });
+});
@@ -0,0 +1,10 @@
+import { Targets } from 'lightningcss';
+
+/**
+ * The browsers to compile the styles for.
+ * Either a browserslist query, e.g. '> 0.5%, last 2 versions', the lightningcss targets, or false to disable them.
+ * If not set, the browserslist config of the project is used, e.g. the browserslist key in package.json or .browserslistrc.
+ */
+export type TargetsConfigType = string | string[] | Targets | false;
+
+export type { Targets as TargetsType };
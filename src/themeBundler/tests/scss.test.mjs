@@ -2,7 +2,7 @@
 // #region Scss Theme Tests
 ///////////////////////////////
 
-import { existsSync, readFileSync } from 'node:fs';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
 import ThemeBundler from '../themeBundler.mjs';
 import { jest } from '@jest/globals';
 import path from 'node:path';
@@ -37,8 +37,7 @@ describe('SCSS theme', () => {
 
     it('Throws a warning if an empty CSS file is found', async () => {
         expect(warnSpy).toHaveBeenCalledWith(
-            expect.stringContaining('No CSS found in file:'),
-            expect.stringContaining('empty-button.scss.scss')
+            expect.stringMatching(/No CSS found in file: .*empty-button\.scss\.scss$/)
         );
         warnSpy.mockRestore();
     });
@@ -120,3 +119,63 @@ describe('Default Theme with scss theme as base', () => {
 });
 
 // #endregion
+
+////////////////////////////////
+// #region Sass Options
+/////////////////////////////////
+describe('Sass options', () => {
+    const sassDir = path.join(outputDir, 'sass');
+    const themeDir = path.join(sassDir, 'styled');
+    const packageDir = path.join(sassDir, 'node_modules', 'tokens');
+    /** @type {import('../../sass/sass.types.js').SassConfigType} */
+    const sass = {
+        loadPaths: [path.relative(process.cwd(), path.join(sassDir, 'shared'))],
+        pkgImporter: sassDir,
+        style: 'compressed'
+    };
+
+    beforeAll(() => {
+        mkdirSync(themeDir, { recursive: true });
+        mkdirSync(path.join(sassDir, 'shared'), { recursive: true });
+        mkdirSync(packageDir, { recursive: true });
+        writeFileSync(path.join(themeDir, 'styled.config.js'), "export default { includes: ['main'] };");
+        writeFileSync(
+            path.join(themeDir, 'main.scss'),
+            "@use 'mixins';\n@use 'pkg:tokens';\n.card { @include mixins.card; color: tokens.$brand; }"
+        );
+        writeFileSync(path.join(sassDir, 'shared', '_mixins.scss'), '@mixin card { padding: 1rem; }');
+        writeFileSync(
+            path.join(packageDir, 'package.json'),
+            JSON.stringify({ name: 'tokens', sass: 'index.scss' })
+        );
+        writeFileSync(path.join(packageDir, 'index.scss'), '$brand: #06f;');
+    });
+
+    afterAll(() => {
+        rmSync(sassDir, { recursive: true, force: true });
+    });
+
+    it('resolves load paths and packages when bundling and rebuilding', async () => {
+        const theme = new ThemeBundler({ path: themeDir, extension: 'scss', sass });
+        await theme.bundle();
+        expect(readFileSync(theme.getCSSTargetFile(), 'utf8')).toContain('.card{padding:1rem;color:#06f}');
+        theme.cleanup();
+    });
+
+    it('resolves load paths and packages in memory', async () => {
+        const theme = new ThemeBundler({ path: themeDir, extension: 'scss', sass });
+        const { css } = await theme.bundleToString();
+        expect(css).toContain('.card{padding:1rem;color:#06f}');
+    });
+
+    it('reports the modules which cannot be found without the options', async () => {
+        const report = jest.fn();
+        const theme = new ThemeBundler({ path: themeDir, extension: 'scss', reporter: { report } });
+        await theme.promise;
+        const targetCSS = path.join(sassDir, 'main.css');
+        expect(await theme.scssToCss(path.join(themeDir, 'main.scss'), targetCSS)).toBeUndefined();
+        expect(report).toHaveBeenCalledWith(expect.objectContaining({ code: 'scss-compile-failed' }));
+    });
+});
+
+// #endregion
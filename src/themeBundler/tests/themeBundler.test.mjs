@@ -175,6 +175,35 @@ describe('ThemeBundler', () => {
             const changeFile = path.join(defaultThemeDir, 'main/main.css');
             await verifyOutput(theme, outputFile, spy, changeFile, changeContent);
         });
+
+        it('Re-bundles the theme when a pattern file is added or deleted.', async () => {
+            const newFile = path.join(demoDir, 'components', 'button', 'styles', 'card.default.css');
+            const newContent = '.card-added{color:cardAddedColor}';
+            /**
+             * Waits for the output file to match the expectation.
+             * @param {boolean} contains
+             */
+            const waitForOutput = async contains => {
+                const startTime = Date.now();
+                while (readFileSync(outputFile, 'utf8').includes(newContent) !== contains) {
+                    if (Date.now() - startTime > 1000) break;
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                }
+            };
+            try {
+                fs.writeFileSync(newFile, newContent, 'utf8');
+                await waitForOutput(true);
+                expect(readFileSync(outputFile, 'utf8')).toContain(newContent);
+                expect(spy).toHaveBeenCalledWith(expect.objectContaining({ eventName: 'add', filePath: newFile }), _theme);
+
+                rmSync(newFile);
+                await waitForOutput(false);
+                expect(readFileSync(outputFile, 'utf8')).not.toContain(newContent);
+                expect(spy).toHaveBeenCalledWith(expect.objectContaining({ eventName: 'unlink' }), _theme);
+            } finally {
+                existsSync(newFile) && rmSync(newFile);
+            }
+        });
     });
     // #endregion
 
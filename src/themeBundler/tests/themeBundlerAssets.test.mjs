@@ -0,0 +1,182 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * @typedef {import('../../reporter/reporter.types.js').ReportMessageType} ReportMessageType
+ */
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { initializeTest, outputDir } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+const assetsDir = join(outputDir, 'assets');
+const themeDir = join(assetsDir, 'branded');
+const exportPath = join(assetsDir, 'dist');
+
+describe('Assets', () => {
+    beforeAll(async () => {
+        await initializeTest();
+        mkdirSync(join(themeDir, 'fonts', 'latin'), { recursive: true });
+        mkdirSync(join(assetsDir, 'shared', 'icons'), { recursive: true });
+        writeFileSync(
+            join(themeDir, 'branded.config.js'),
+            "export default { includes: ['main', '../shared/card'] };"
+        );
+        writeFileSync(join(themeDir, 'fonts', 'latin', 'inter.woff2'), 'font');
+        writeFileSync(join(assetsDir, 'shared', 'icons', 'star.svg'), '<svg></svg>');
+        writeFileSync(
+            join(themeDir, 'main.css'),
+            "@font-face { font-family: Inter; src: url('./fonts/latin/inter.woff2?#iefix'); }"
+        );
+        writeFileSync(
+            join(assetsDir, 'shared', 'card.css'),
+            '.card { background: url(icons/star.svg), url(data:image/gif;base64,R0lGODlhAQABAAAAACw=); }'
+        );
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        rmSync(exportPath, { recursive: true, force: true });
+    });
+
+    afterAll(() => {
+        rmSync(assetsDir, { recursive: true, force: true });
+    });
+
+    it('rebases the URLs of each file on the bundled file', async () => {
+        const theme = new ThemeBundler({ path: themeDir });
+        const { css } = await theme.bundleToString();
+        expect(css).toContain("url('fonts/latin/inter.woff2?#iefix')");
+        expect(css).toContain(
+            'url(../shared/icons/star.svg), url(data:image/gif;base64,R0lGODlhAQABAAAAACw=)'
+        );
+    });
+
+    it('copies the assets to the export directory and rewrites their URLs', async () => {
+        const theme = new ThemeBundler({ path: themeDir, exportPath });
+        await theme.bundle();
+        const exportDir = join(exportPath, 'branded');
+        const css = readFileSync(join(exportDir, 'branded.bundled.css'), 'utf8');
+        expect(css).toContain("url('fonts/latin/inter.woff2?#iefix')");
+        expect(css).toContain('url(assets/test/output/assets/shared/icons/star.svg)');
+        expect(existsSync(join(exportDir, 'fonts', 'latin', 'inter.woff2'))).toBe(true);
+        expect(existsSync(join(exportDir, 'assets/test/output/assets/shared/icons/star.svg'))).toBe(true);
+        expect(theme.manifestEntry?.assets).toEqual([
+            'branded/fonts/latin/inter.woff2',
+            'branded/assets/test/output/assets/shared/icons/star.svg'
+        ]);
+        theme.cleanup();
+    });
+
+    it('adds the content hash to the exported assets', async () => {
+        const theme = new ThemeBundler({ path: themeDir, exportPath, hash: true });
+        await theme.bundle(true);
+        const minified = join(exportPath, theme.manifestEntry?.minified ?? '');
+        expect(readFileSync(minified, 'utf8')).toMatch(
+            /url\("?fonts\/latin\/inter\.[0-9a-f]{8}\.woff2\?#iefix"?\)/
+        );
+        expect(theme.manifestEntry?.assets).toContainEqual(expect.stringMatching(/star\.[0-9a-f]{8}\.svg$/));
+        // The fonts directory is exported without the fonts which were exported with a hash.
+        expect(existsSync(join(exportPath, 'branded', 'fonts', 'latin', 'inter.woff2'))).toBe(false);
+        expect(theme.manifestEntry?.assets).not.toContain('branded/fonts/latin/inter.woff2');
+        theme.cleanup();
+    });
+
+    it('removes the hashed assets of previous builds', async () => {
+        const fontFile = join(themeDir, 'fonts', 'latin', 'inter.woff2');
+        const theme = new ThemeBundler({ path: themeDir, exportPath, hash: true });
+        await theme.bundle(true);
+        const [oldFont] = [...theme.exportedAssets.values()];
+        writeFileSync(fontFile, 'font v2');
+        await theme.bundle(true);
+        writeFileSync(fontFile, 'font');
+        const [newFont, star] = [...theme.exportedAssets.values()];
+        expect(newFont).not.toBe(oldFont);
+        expect(existsSync(oldFont)).toBe(false);
+        expect(existsSync(newFont)).toBe(true);
+        expect(existsSync(star)).toBe(true);
+
+        theme.cleanup();
+        expect(existsSync(newFont)).toBe(false);
+        expect(existsSync(star)).toBe(false);
+    });
+
+    it('inlines the assets smaller than the inlineAssetLimit', async () => {
+        const theme = new ThemeBundler({ path: themeDir, exportPath, inlineAssetLimit: 16 });
+        await theme.bundle();
+        const css = readFileSync(join(exportPath, 'branded', 'branded.bundled.css'), 'utf8');
+        expect(css).toContain(
+            '.card { background: url(data:image/svg+xml,%3Csvg%3E%3C/svg%3E), url(data:image/gif'
+        );
+        // URLs with a fragment are not inlined.
+        expect(css).toContain("url('fonts/latin/inter.woff2?#iefix')");
+        expect(theme.getInlinedAssets()).toEqual([
+            { file: join(assetsDir, 'shared', 'icons', 'star.svg'), size: 11, references: 1 }
+        ]);
+        expect(theme.manifestEntry?.assets).toEqual(['branded/fonts/latin/inter.woff2']);
+        theme.cleanup();
+    });
+
+    it('keeps the assets of the last bundle when bundling in memory', async () => {
+        const theme = new ThemeBundler({ path: themeDir, exportPath, inlineAssetLimit: 16 });
+        await theme.bundle();
+        const assets = [...theme.assets];
+        const inlinedAssets = theme.getInlinedAssets();
+        await theme.bundleToString();
+        await theme.bundleToString();
+        expect([...theme.assets]).toEqual(assets);
+        expect(theme.getInlinedAssets()).toEqual(inlinedAssets);
+
+        const inMemory = new ThemeBundler({ path: themeDir, inlineAssetLimit: 16 });
+        await inMemory.bundleToString();
+        expect(inMemory.assets.size).toBe(0);
+        expect(inMemory.getInlinedAssets()).toEqual([]);
+        theme.cleanup();
+    });
+
+    it('reports missing assets with the file and line', async () => {
+        const report = jest.fn();
+        const cardFile = join(assetsDir, 'shared', 'card.css');
+        const card = readFileSync(cardFile, 'utf8');
+        writeFileSync(cardFile, `${card}\n.empty { background: url(icons/missing.svg); }`);
+        const theme = new ThemeBundler({ path: themeDir, reporter: { report } });
+        const { css } = await theme.bundleToString();
+        writeFileSync(cardFile, card);
+        expect(css).toContain('url(icons/missing.svg)');
+        expect(report).toHaveBeenCalledWith({
+            severity: 'warning',
+            code: 'missing-asset',
+            message: `Asset not found: "icons/missing.svg" in ${cardFile}:2`,
+            file: cardFile,
+            themeName: 'branded'
+        });
+    });
+
+    it('reports each missing asset once per bundle', async () => {
+        const report = jest.fn((/** @type {ReportMessageType} */ message) => message);
+        const cardFile = join(assetsDir, 'shared', 'card.css');
+        const card = readFileSync(cardFile, 'utf8');
+        writeFileSync(cardFile, `${card}\n.empty { background: url(icons/missing.svg); }`);
+        const theme = new ThemeBundler({ path: themeDir, exportPath, reporter: { report } });
+        await theme.bundle();
+        await theme.bundleToString();
+        const missingAssets = () => report.mock.calls.filter(([{ code }]) => code === 'missing-asset');
+        expect(missingAssets()).toHaveLength(1);
+        await theme.bundle();
+        expect(missingAssets()).toHaveLength(2);
+        theme.cleanup();
+
+        // The missing assets of the base theme are reported by the base theme.
+        const derivedDir = join(assetsDir, 'derived');
+        mkdirSync(derivedDir, { recursive: true });
+        writeFileSync(join(derivedDir, 'derived.config.js'), "export default { includes: ['main'] };");
+        writeFileSync(join(derivedDir, 'main.css'), '.derived { color: red; }');
+        const derived = new ThemeBundler({ path: derivedDir, baseTheme: themeDir, reporter: { report } });
+        await derived.bundle();
+        writeFileSync(cardFile, card);
+        expect(missingAssets()).toHaveLength(3);
+        expect(missingAssets()[2][0].themeName).toBe('branded');
+        derived.cleanup();
+    });
+});
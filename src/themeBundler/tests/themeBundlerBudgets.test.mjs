@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { defaultConfig, initializeTest, outputDir } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+describe('Budgets', () => {
+    beforeAll(async () => {
+        await initializeTest();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('measures the minified file', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig });
+        await theme.promise;
+        await theme.bundle();
+        expect(theme.getSizes()).toBeUndefined();
+        await theme.bundle(true);
+        const sizes = theme.getSizes();
+        expect(sizes?.gzip).toBeLessThan(sizes?.raw ?? 0);
+        expect(sizes?.brotli).toBeLessThan(sizes?.raw ?? 0);
+        expect(theme.getBudgetViolations()).toEqual([]);
+        await theme.cleanup();
+    });
+
+    it('warns when a theme exceeds its budgets in development', async () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const theme = new ThemeBundler({ ...defaultConfig, budgets: { raw: '1 MB', gzip: 100 } });
+        await theme.promise;
+        await theme.bundle();
+        expect(theme.getBudgetViolations()).toEqual([
+            { themeName: 'default', compression: 'gzip', size: theme.getSizes()?.gzip, limit: 100 }
+        ]);
+        expect(warnSpy).toHaveBeenCalledWith(
+            expect.stringMatching(/^⚠️ {2}Theme 'default' exceeds its gzip budget: [\d.]+ kB > 100 B$/)
+        );
+        await theme.cleanup();
+    });
+
+    it('skips the budgets of styles that fail to minify', async () => {
+        const themeDir = join(outputDir, 'budgets-broken');
+        mkdirSync(themeDir, { recursive: true });
+        writeFileSync(join(themeDir, 'budgets-broken.config.js'), "export default { includes: ['main'] };");
+        writeFileSync(join(themeDir, 'main.css'), '.main { color: red; } }');
+        const report = jest.fn();
+        const theme = new ThemeBundler({ path: themeDir, budgets: { gzip: 100 }, reporter: { report } });
+        await theme.promise;
+        await expect(theme.bundle()).resolves.toBeUndefined();
+        expect(theme.getSizes()).toBeUndefined();
+        expect(theme.getBudgetViolations()).toEqual([]);
+        expect(report).toHaveBeenCalledWith(
+            expect.objectContaining({
+                severity: 'warning',
+                code: 'budget-skipped',
+                message: "Skipped the budgets of theme 'budgets-broken', its styles fail to minify",
+                file: theme.getTargetFile()
+            })
+        );
+        theme.cleanup();
+        rmSync(themeDir, { recursive: true, force: true });
+    });
+
+    it('reports invalid budgets', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const theme = new ThemeBundler({ ...defaultConfig, budgets: { gzip: 'small' } });
+        await theme.promise;
+        expect(consoleSpy).toHaveBeenCalledWith("🚫 Invalid budgets for theme 'default':", expect.any(Error));
+        await expect(
+            new ThemeBundler({ ...defaultConfig, budgets: { gzip: 'small' }, strict: true }).promise
+        ).rejects.toThrow('Invalid size: "small"');
+    });
+});
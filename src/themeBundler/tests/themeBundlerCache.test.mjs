@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { defaultConfig, defaultThemeDir, initializeTest, themesDir } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+/**
+ * Returns the files read from disk by the given readFileSync spy.
+ * @param {jest.SpiedFunction<typeof fs.readFileSync>} spy
+ * @returns {string[]}
+ */
+function getReadFiles(spy) {
+    return spy.mock.calls.map(([file]) => String(file));
+}
+
+describe('File cache', () => {
+    /** @type {ThemeBundler} */
+    let theme;
+    beforeEach(async () => {
+        await initializeTest();
+        theme = new ThemeBundler({ ...defaultConfig });
+        await theme.promise;
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await theme.cleanup();
+    });
+
+    it('reads all files from disk when not watching', async () => {
+        await theme.mergeFiles();
+        const globSpy = jest.spyOn(theme, 'getPatternFiles');
+        const readSpy = jest.spyOn(fs, 'readFileSync');
+        await theme.mergeFiles();
+        expect(globSpy).toHaveBeenCalledTimes(1);
+        expect(getReadFiles(readSpy)).toEqual(expect.arrayContaining(theme.files ?? []));
+        expect(theme.fileCache.size).toBe(0);
+    });
+
+    it('only re-reads invalidated files while watching', async () => {
+        await theme.watch(undefined, false);
+        const css = await theme.mergeFiles();
+        const globSpy = jest.spyOn(theme, 'getPatternFiles');
+        const readSpy = jest.spyOn(fs, 'readFileSync');
+
+        expect(await theme.mergeFiles()).toBe(css);
+        expect(globSpy).not.toHaveBeenCalled();
+        expect(readSpy).not.toHaveBeenCalled();
+
+        const changedFile = path.join(defaultThemeDir, 'main', 'main.css');
+        expect(theme.files).toContain(changedFile);
+        theme.invalidateCache(changedFile);
+        expect(await theme.mergeFiles()).toBe(css);
+        expect(globSpy).not.toHaveBeenCalled();
+        expect(getReadFiles(readSpy)).toEqual([changedFile]);
+    });
+
+    it('drops the file list when an unknown file is invalidated', async () => {
+        await theme.watch(undefined, false);
+        await theme.mergeFiles();
+        const globSpy = jest.spyOn(theme, 'getPatternFiles');
+        theme.invalidateCache(path.join(defaultThemeDir, 'new.css'));
+        await theme.mergeFiles();
+        expect(globSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('clears the cache when the watchers are cleared', async () => {
+        await theme.watch(undefined, false);
+        await theme.mergeFiles();
+        expect(theme.fileCache.size).toBeGreaterThan(0);
+        theme.clearWatchers();
+        expect(theme.cacheEnabled).toBe(false);
+        expect(theme.fileCache.size).toBe(0);
+        expect(theme.cachedFiles).toBeUndefined();
+    });
+
+    it('re-uses the base theme styles until the base theme changes', async () => {
+        const darkTheme = new ThemeBundler({
+            ...defaultConfig,
+            path: path.join(themesDir, 'dark'),
+            baseTheme: defaultThemeDir
+        });
+        await darkTheme.promise;
+        await darkTheme.watch(undefined, false);
+        const baseTheme = /** @type {ThemeBundler} */ (darkTheme.baseTheme);
+        await darkTheme.mergeFiles();
+        const bundleSpy = jest.spyOn(baseTheme, 'bundle');
+        await darkTheme.mergeFiles();
+        expect(bundleSpy).not.toHaveBeenCalled();
+
+        darkTheme.cachedBaseThemeCSS = undefined;
+        await darkTheme.mergeFiles();
+        expect(bundleSpy).toHaveBeenCalledTimes(1);
+        await darkTheme.cleanup();
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import ThemeBundler from '../themeBundler.mjs';
+import { defaultConfig, initializeTest, outputDir } from './tests.util.mjs';
+
+describe('Compression', () => {
+    const exportDir = path.join(outputDir, 'default');
+    const minifiedFile = path.join(exportDir, 'default.min.css');
+
+    beforeAll(async () => {
+        await initializeTest();
+    });
+
+    it('exports the minified file compressed with gzip and brotli', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, compress: true });
+        await theme.promise;
+        await theme.bundle(true);
+        const css = readFileSync(minifiedFile);
+        expect(zlib.gunzipSync(readFileSync(`${minifiedFile}.gz`))).toEqual(css);
+        expect(zlib.brotliDecompressSync(readFileSync(`${minifiedFile}.br`))).toEqual(css);
+        expect(theme.getManifestEntry()?.compressed).toEqual([
+            'default/default.min.css.gz',
+            'default/default.min.css.br'
+        ]);
+
+        theme.cleanup();
+        expect(existsSync(`${minifiedFile}.gz`)).toBe(false);
+        expect(existsSync(`${minifiedFile}.br`)).toBe(false);
+    });
+
+    it('only writes the given compressions', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, compress: ['brotli'], hash: true });
+        await theme.promise;
+        await theme.bundle(true);
+        const minified = theme.getManifestEntry()?.minified ?? '';
+        expect(theme.getManifestEntry()?.compressed).toEqual([`${minified}.br`]);
+        expect(existsSync(path.join(outputDir, `${minified}.br`))).toBe(true);
+        expect(existsSync(path.join(outputDir, `${minified}.gz`))).toBe(false);
+
+        theme.cleanup();
+        expect(existsSync(path.join(outputDir, `${minified}.br`))).toBe(false);
+    });
+
+    it('does not compress without the option', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig });
+        await theme.promise;
+        await theme.bundle(true);
+        expect(existsSync(minifiedFile)).toBe(true);
+        expect(existsSync(`${minifiedFile}.gz`)).toBe(false);
+        expect(theme.getManifestEntry()).not.toHaveProperty('compressed');
+        theme.cleanup();
+    });
+});
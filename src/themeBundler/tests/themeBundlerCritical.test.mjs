@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { defaultConfig, initializeTest, outputDir } from './tests.util.mjs';
+
+const pagesDir = join(outputDir, 'critical');
+const page = join(pagesDir, 'index.html');
+const html = `<html>
+    <head>
+        <link rel="stylesheet" href="default.css" />
+    </head>
+    <body>
+        <blockquote><p>Quote</p></blockquote>
+    </body>
+</html>`;
+
+describe('Critical CSS', () => {
+    beforeAll(async () => {
+        await initializeTest();
+    });
+
+    beforeEach(() => {
+        rmSync(pagesDir, { recursive: true, force: true });
+        mkdirSync(pagesDir, { recursive: true });
+        writeFileSync(page, html);
+    });
+
+    afterAll(() => {
+        rmSync(pagesDir, { recursive: true, force: true });
+    });
+
+    it('writes the critical CSS of the theme next to each page', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig });
+        const [result] = await theme.extractCritical([page]);
+        expect(result.file).toBe(join(pagesDir, 'index.default.critical.css'));
+        expect(readFileSync(result.file, 'utf8')).toBe(result.css);
+        expect(result.css).toContain('blockquote p {');
+        expect(result.css).toContain('blockquote:before {');
+        expect(result.css).not.toContain('summary');
+    });
+
+    it('writes the critical CSS to the out dir', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig });
+        const outDir = join(pagesDir, 'critical-css');
+        const [result] = await theme.extractCritical([page], { outDir, minify: true });
+        expect(result.file).toBe(join(outDir, 'index.default.critical.css'));
+        expect(result.css).toContain('blockquote p{');
+        expect(existsSync(join(pagesDir, 'index.default.critical.css'))).toBe(false);
+    });
+
+    it('inlines the critical CSS in the page', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig });
+        const [result] = await theme.extractCritical([page], { inline: true, minify: true });
+        expect(result.file).toBe(page);
+        const inlined = readFileSync(page, 'utf8');
+        expect(inlined).toContain(`<style data-critical="default">\n${result.css}</style>`);
+        await theme.extractCritical([page], { inline: true, minify: true });
+        expect(readFileSync(page, 'utf8')).toBe(inlined);
+    });
+
+    it('rebases the URLs of the critical CSS on the directory it is written to', async () => {
+        const themeDir = join(outputDir, 'critical-theme', 'hero');
+        mkdirSync(join(themeDir, 'images'), { recursive: true });
+        writeFileSync(join(themeDir, 'hero.config.js'), "export default { includes: ['main'] };");
+        writeFileSync(join(themeDir, 'images', 'hero.png'), 'png');
+        writeFileSync(join(themeDir, 'main.css'), '.hero { background: url(images/hero.png); }');
+        writeFileSync(page, '<html><head></head><body><div class="hero"></div></body></html>');
+        const theme = new ThemeBundler({ path: themeDir });
+        const url = '../critical-theme/hero/images/hero.png';
+
+        const [written] = await theme.extractCritical([page], { outDir: join(pagesDir, 'css') });
+        expect(written.css).toContain(`url("../${url}")`);
+        const [inlined] = await theme.extractCritical([page], { inline: true });
+        expect(inlined.css).toContain(`url("${url}")`);
+        expect(readFileSync(page, 'utf8')).toContain(`url("${url}")`);
+        rmSync(join(outputDir, 'critical-theme'), { recursive: true, force: true });
+    });
+});
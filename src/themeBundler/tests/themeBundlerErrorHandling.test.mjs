@@ -1,8 +1,24 @@
+import { mkdirSync, writeFileSync } from 'fs';
 import { join } from 'path';
 import ThemeBundler from '../themeBundler.mjs';
-import { defaultConfig, demoDir, initializeTest, outputDir, themesDir } from './tests.util.mjs';
+import { ConfigValidationError } from '../../configSchema/configSchema.mjs';
+import { defaultConfig, demoDir, initializeTest, outputDir, testDir, themesDir } from './tests.util.mjs';
 import { jest } from '@jest/globals';
 
+/**
+ * Creates a theme directory in the test directory with the given config file contents.
+ * @param {string} name
+ * @param {string} config
+ * @returns {string} - The theme path.
+ */
+function createTheme(name, config) {
+    const path = join(testDir, 'themes', name);
+    mkdirSync(path, { recursive: true });
+    writeFileSync(join(path, `${name}.config.js`), config);
+    writeFileSync(join(path, 'main.css'), `.${name} { color: red; }`);
+    return path;
+}
+
 describe('Error handling', () => {
     beforeAll(async () => {
         await initializeTest();
@@ -70,6 +86,75 @@ describe('Error handling', () => {
         await theme.cleanup();
     });
 
+    describe('Config validation', () => {
+        it('Reports invalid config values and falls back to the defaults', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            // @ts-expect-error
+            const theme = new ThemeBundler({ ...defaultConfig, extension: 'less' });
+            await theme.promise;
+            expect(consoleSpy).toHaveBeenCalledWith(
+                expect.stringContaining('"extension" must be one of \'css\' | \'scss\', received "less"')
+            );
+            expect(theme.getExtension()).toBe('css');
+            consoleSpy.mockRestore();
+            await theme.cleanup();
+        });
+
+        it('Reports unknown keys, wrong types and missing includes in the config file', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const path = createTheme(
+                'invalid-values',
+                "export default { name: 'Invalid', verbose: 'yes', includes: ['main', 'missing'] };"
+            );
+            const theme = new ThemeBundler({ ...defaultConfig, path });
+            await theme.promise;
+            const configFile = join(path, 'invalid-values.config.js');
+            const messages = consoleSpy.mock.calls.map(([message]) => message);
+            expect(messages).toEqual([
+                expect.stringContaining(`${configFile}: "name" is not a known option`),
+                `🚫 Invalid config in ${configFile}: "verbose" must be of type boolean, received "yes"`,
+                `🚫 Invalid config in ${configFile}: "includes[1]" must resolve to an existing .css file: "${join(path, 'missing.css')}"`
+            ]);
+            expect(theme._config?.verbose).not.toBe('yes');
+            consoleSpy.mockRestore();
+            await theme.cleanup();
+        });
+
+        it('Accepts --verbose=true on the command line in strict mode', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const { argv } = process;
+            process.argv = [...argv.slice(0, 2), '--verbose=true'];
+            /** @type {typeof ThemeBundler | undefined} */
+            let Bundler;
+            await jest.isolateModulesAsync(async () => {
+                Bundler = (await import('../themeBundler.mjs')).default;
+            });
+            process.argv = argv;
+            const theme = new /** @type {typeof ThemeBundler} */ (Bundler)({ ...defaultConfig, strict: true });
+            await expect(theme.promise).resolves.toBe(true);
+            expect(theme._config?.verbose).toBe(true);
+            expect(consoleSpy).not.toHaveBeenCalled();
+            consoleSpy.mockRestore();
+            await theme.cleanup();
+        });
+
+        it('Rejects the theme promise in strict mode', async () => {
+            const path = createTheme('invalid-strict', 'export default { includes: null };');
+            const theme = new ThemeBundler({ ...defaultConfig, path, strict: true });
+            await expect(theme.promise).rejects.toThrow(ConfigValidationError);
+            await expect(theme.promise).rejects.toThrow('"includes" must be of type string[], received null');
+        });
+
+        it('Rejects the theme promise in strict mode if the config file fails to load', async () => {
+            const theme = new ThemeBundler({
+                ...defaultConfig,
+                path: join(themesDir, 'invalid-config'),
+                strict: true
+            });
+            await expect(theme.promise).rejects.toThrow();
+        });
+    });
+
     it('Throws warning when bundling if scss is not installed', async () => {
         const consoleSpy = jest.spyOn(console, 'warn');
 
@@ -97,10 +182,7 @@ describe('Error handling', () => {
         });
         await theme.promise;
         await theme.writeStyles('');
-        expect(consoleSpy).toHaveBeenCalledWith(
-            expect.stringContaining('No CSS found in theme file'),
-            'empty'
-        );
+        expect(consoleSpy).toHaveBeenCalledWith('⚠️  No CSS found in theme file: empty');
         consoleSpy.mockRestore();
         await theme.cleanup();
     });
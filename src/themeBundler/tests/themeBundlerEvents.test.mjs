@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ * @typedef {import('../../events/events.types.js').BundleEndEventType} BundleEndEventType
+ */
+import path from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { defaultConfig, initializeTest } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+describe('Events', () => {
+    beforeAll(async () => {
+        await initializeTest();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('emits the lifecycle events of a bundle', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig });
+        /** @type {string[]} */
+        const events = [];
+        const initSpy = jest.fn();
+        /** @type {BundleEndEventType | undefined} */
+        let bundleEnd;
+        const exportSpy = jest.fn();
+        theme.on('init', initSpy);
+        theme.on('bundle:start', () => events.push('bundle:start'));
+        theme.on('bundle:end', payload => {
+            events.push('bundle:end');
+            bundleEnd = payload;
+        });
+        theme.on('export', payload => {
+            events.push('export');
+            exportSpy(payload);
+        });
+        await theme.promise;
+        expect(initSpy).toHaveBeenCalledWith({ themeName: 'default' });
+
+        await theme.bundle(true);
+        expect(events).toEqual(['bundle:start', 'export', 'bundle:end']);
+        expect(bundleEnd).toEqual({
+            themeName: 'default',
+            duration: expect.any(Number),
+            size: expect.any(Number),
+            minifiedSize: expect.any(Number),
+            sizes: { raw: expect.any(Number), gzip: expect.any(Number), brotli: expect.any(Number) },
+            targetFile: theme.getTargetFile()
+        });
+        expect(bundleEnd?.minifiedSize).toBeLessThan(bundleEnd?.size ?? 0);
+        expect(bundleEnd?.sizes?.gzip).toBeLessThan(bundleEnd?.minifiedSize ?? 0);
+        expect(exportSpy).toHaveBeenCalledWith(
+            expect.objectContaining({ themeName: 'default', files: theme.getManifestEntry() })
+        );
+        await theme.cleanup();
+    });
+
+    it('emits errors to listeners added after construction', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const theme = new ThemeBundler({ ...defaultConfig, path: '/invalid/path/to/theme' });
+        const errorSpy = jest.fn();
+        theme.on('error', errorSpy);
+        await theme.promise;
+        await new Promise(resolve => process.nextTick(resolve));
+        expect(errorSpy).toHaveBeenCalledWith({
+            themeName: 'theme',
+            code: 'invalid-theme-path',
+            message: 'Invalid path in theme config theme: "/invalid/path/to/theme"',
+            file: '/invalid/path/to/theme'
+        });
+    });
+
+    it('emits an error when a bundle fails', async () => {
+        const plugin = {
+            name: 'broken',
+            transformBundle: () => {
+                throw new Error('Broken');
+            }
+        };
+        const theme = new ThemeBundler({ ...defaultConfig, plugins: [plugin] });
+        const errorSpy = jest.fn();
+        const endSpy = jest.fn();
+        theme.on('error', errorSpy);
+        theme.on('bundle:end', endSpy);
+        await theme.promise;
+        await expect(theme.bundle()).rejects.toThrow("Plugin 'broken' failed in transformBundle: Broken");
+        await new Promise(resolve => process.nextTick(resolve));
+        expect(errorSpy).toHaveBeenCalledWith({
+            themeName: 'default',
+            code: 'plugin-failed',
+            message: "Plugin 'broken' failed in transformBundle: Broken",
+            file: theme.getTargetFile(),
+            error: expect.objectContaining({ name: 'PluginError' })
+        });
+        expect(endSpy).not.toHaveBeenCalled();
+        theme.cleanup();
+    });
+
+    it('does not throw errors without listeners', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const theme = new ThemeBundler({ ...defaultConfig, path: '/invalid/path/to/theme' });
+        await expect(theme.promise).resolves.toBe(true);
+        await new Promise(resolve => process.nextTick(resolve));
+    });
+
+    it('emits warnings', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const theme = new ThemeBundler({ ...defaultConfig, extension: 'scss' });
+        jest.spyOn(theme, 'hasSassSupport').mockReturnValue(false);
+        const warningSpy = jest.fn();
+        theme.on('warning', warningSpy);
+        await theme.promise;
+        await theme.bundleToString();
+        await new Promise(resolve => process.nextTick(resolve));
+        expect(warningSpy).toHaveBeenCalledWith({
+            themeName: 'default',
+            code: 'sass-not-installed',
+            message: "SCSS files detected but 'sass' is not installed. Run: npm install sass"
+        });
+    });
+
+    it('emits file changes', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig });
+        const changeSpy = jest.fn();
+        theme.on('file:change', changeSpy);
+        await theme.promise;
+        const filePath = path.join(theme.path ?? '', 'main', 'main.css');
+        await theme.handleWatchEvent('unlink', filePath, true, false);
+        expect(changeSpy).toHaveBeenCalledWith({ themeName: 'default', eventName: 'unlink', filePath });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { initializeTest, outputDir } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+const themeDir = join(outputDir, 'imports', 'imported');
+
+describe('CSS imports', () => {
+    beforeAll(async () => {
+        await initializeTest();
+        mkdirSync(join(themeDir, 'vars'), { recursive: true });
+        writeFileSync(join(themeDir, 'imported.config.js'), "export default { includes: ['main'] };");
+        writeFileSync(join(themeDir, 'vars', 'colors.css'), ':root { --color-text: #111; }');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        rmSync(join(outputDir, 'imports'), { recursive: true, force: true });
+    });
+
+    it('inlines the imports of the theme files', async () => {
+        writeFileSync(
+            join(themeDir, 'main.css'),
+            '@import "./vars/colors.css" layer(vars);\nbody { color: var(--color-text); }'
+        );
+        const theme = new ThemeBundler({ path: themeDir });
+        const { css } = await theme.bundleToString();
+        expect(css).not.toContain('@import');
+        expect(css).toContain('@layer vars {\n:root { --color-text: #111; }\n}\nbody');
+    });
+
+    it('reports the importing file and line of a missing import', async () => {
+        const report = jest.fn();
+        const fontsFile = join(themeDir, 'vars', 'fonts.css');
+        writeFileSync(fontsFile, '/* fonts */\n@import "./missing.css";');
+        writeFileSync(join(themeDir, 'main.css'), '@import "./vars/fonts.css";\nbody { margin: 0; }');
+        const theme = new ThemeBundler({ path: themeDir, reporter: { report } });
+        const { css } = await theme.bundleToString();
+        expect(css).toContain('@import "./vars/fonts.css";');
+        expect(report).toHaveBeenCalledWith(
+            expect.objectContaining({
+                severity: 'error',
+                code: 'import-failed',
+                file: fontsFile,
+                message: `Cannot resolve @import "./missing.css" in ${fontsFile}:2`
+            })
+        );
+    });
+
+    it('bundles the theme again when an imported file changes while watching', async () => {
+        const patternDir = join(outputDir, 'imports', 'components');
+        const sharedDir = join(outputDir, 'imports', 'shared');
+        const varsFile = join(patternDir, 'button.vars.css');
+        const colorsFile = join(sharedDir, 'colors.css');
+        mkdirSync(patternDir, { recursive: true });
+        mkdirSync(sharedDir, { recursive: true });
+        writeFileSync(
+            join(patternDir, 'button.imported.css'),
+            '@import "./button.vars.css";\n@import "../shared/colors.css";\n.button { color: var(--button-color); }'
+        );
+        writeFileSync(varsFile, ':root { --button-color: red; }');
+        writeFileSync(colorsFile, ':root { --color-text: #111; }');
+        writeFileSync(join(themeDir, 'main.css'), 'body { margin: 0; }');
+        const theme = new ThemeBundler({ path: themeDir, patterns: [patternDir] });
+        await theme.bundle();
+        expect(theme.getImportedFiles()).toEqual([varsFile, colorsFile]);
+
+        /** @type {(value?: unknown) => void} */
+        let changed = () => {};
+        const callback = jest.fn(() => changed());
+        const nextChange = () => new Promise(resolve => (changed = resolve));
+        await theme.watch(callback);
+        const varsChange = nextChange();
+        writeFileSync(varsFile, ':root { --button-color: blue; }');
+        await varsChange;
+        expect(readFileSync(theme.getTargetFile(), 'utf8')).toContain('--button-color: blue;');
+
+        const colorsChange = nextChange();
+        writeFileSync(colorsFile, ':root { --color-text: #222; }');
+        await colorsChange;
+        expect(readFileSync(theme.getTargetFile(), 'utf8')).toContain('--color-text: #222;');
+        expect(callback).toHaveBeenCalledTimes(2);
+        theme.cleanup();
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * @jest-environment node
+ */
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { defaultConfig, initializeTest, themesDir } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+describe('In-memory bundling', () => {
+    beforeAll(async () => {
+        await initializeTest();
+    });
+
+    it('returns the bundled and minified CSS without writing any files', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig });
+        await theme.promise;
+        await theme.cleanup();
+        const { css, minified, files } = await theme.bundleToString();
+
+        expect(files).toEqual(theme.getFiles());
+        expect(css).toContain('--common-theme-var: yellowgreen');
+        expect(css).toContain('.button {');
+        expect(minified).toContain('.button{');
+        expect(minified.length).toBeLessThan(css.length);
+        expect(existsSync(theme.getTargetFile())).toBe(false);
+        expect(existsSync(theme.getMinifiedTargetFile())).toBe(false);
+    });
+
+    it('matches the bundled file written to disk', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig });
+        await theme.promise;
+        const { css } = await theme.bundleToString();
+        await theme.bundle();
+        expect(css).toBe(readFileSync(theme.getTargetFile(), 'utf8'));
+        await theme.cleanup();
+    });
+
+    it('uses the given common theme CSS instead of the common theme file', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, commonThemeFile: '/missing/common.bundled.css' });
+        const consoleSpy = jest.spyOn(console, 'error');
+        await theme.promise;
+        const { css, files } = await theme.bundleToString({ commonThemeCSS: ':root { --in-memory: red; }' });
+        expect(css).toContain(':root { --in-memory: red; }');
+        expect(files).not.toContain('/missing/common.bundled.css');
+        expect(consoleSpy).not.toHaveBeenCalled();
+        consoleSpy.mockRestore();
+    });
+
+    it('includes the base theme styles and files', async () => {
+        const theme = new ThemeBundler({
+            ...defaultConfig,
+            path: path.join(themesDir, 'dark'),
+            baseTheme: path.join(themesDir, 'default')
+        });
+        await theme.promise;
+        const { css, files } = await theme.bundleToString();
+        expect(files).toContain(path.join(themesDir, 'default', 'main', 'main.css'));
+        expect(files).toContain(path.join(themesDir, 'dark', 'dark.css'));
+        expect(css.indexOf('main/main.css')).toBeLessThan(css.indexOf('dark/dark.css'));
+        expect(existsSync(theme.baseTheme?.getTargetFile() ?? '')).toBe(false);
+    });
+
+    it('bundles the own files of the theme by layer', async () => {
+        const theme = new ThemeBundler({
+            ...defaultConfig,
+            path: path.join(themesDir, 'dark'),
+            baseTheme: path.join(themesDir, 'default')
+        });
+        await theme.promise;
+        const { css, files } = await theme.bundleToString({ ownFiles: true });
+        expect(files).toContain(path.join(themesDir, 'dark', 'dark.css'));
+        expect(files).not.toContain(path.join(themesDir, 'default', 'main', 'main.css'));
+        expect(files).not.toContain(defaultConfig.commonThemeFile);
+        expect(css).not.toContain('--common-theme-var');
+
+        const layers = await theme.getStyleLayers();
+        expect(layers.map(layer => layer.name)).toEqual(['default', 'dark']);
+        expect(layers[1].css).toBe(css);
+        expect(layers[0].css).toContain('main/main.css');
+    });
+
+    it('leaves out the common theme but keeps the base theme', async () => {
+        const theme = new ThemeBundler({
+            ...defaultConfig,
+            path: path.join(themesDir, 'dark'),
+            baseTheme: path.join(themesDir, 'default')
+        });
+        await theme.promise;
+        const { css, files } = await theme.bundleToString({ commonTheme: false });
+        expect(files).toContain(path.join(themesDir, 'default', 'main', 'main.css'));
+        expect(files).not.toContain(defaultConfig.commonThemeFile);
+        expect(css).not.toContain('--common-theme-var');
+        expect((await theme.bundleToString()).css).toContain('--common-theme-var');
+    });
+
+    it('compiles SCSS themes in memory', async () => {
+        const theme = new ThemeBundler({
+            ...defaultConfig,
+            path: path.join(themesDir, 'scss'),
+            extension: 'scss'
+        });
+        await theme.promise;
+        const { css, minified } = await theme.bundleToString();
+        expect(css).not.toMatch(/\$[a-z-]+\s*:/);
+        expect(minified.length).toBeGreaterThan(0);
+        expect(existsSync(theme.getTargetFile())).toBe(false);
+        expect(existsSync(theme.getCSSTargetFile())).toBe(false);
+    });
+});
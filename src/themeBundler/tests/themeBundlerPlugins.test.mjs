@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ * @typedef {import('../../plugins/plugins.types.js').ThemeBundlerPluginType} ThemeBundlerPluginType
+ */
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { commonThemeFile, defaultConfig, initializeTest, outputDir } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+describe('Plugins', () => {
+    beforeAll(async () => {
+        await initializeTest();
+    });
+
+    /** @type {ThemeBundlerPluginType} */
+    const banner = {
+        name: 'banner',
+        transformBundle: (css, theme) => `/*! ${theme.getName()} theme */\n${css}`,
+        afterMinify: code => `/*! minified */${code}`
+    };
+
+    it('transforms each file and the bundle', async () => {
+        const transformFile = jest.fn((/** @type {string} */ css) =>
+            css.replace(/yellowgreen/g, 'rebeccapurple')
+        );
+        const onExport = jest.fn(() => {});
+        const theme = new ThemeBundler({ ...defaultConfig, plugins: [{ transformFile, onExport }, banner] });
+        await theme.promise;
+        await theme.bundle(true);
+        const bundled = readFileSync(theme.getTargetFile(), 'utf8');
+        expect(bundled.startsWith('/*! default theme */\n')).toBe(true);
+        expect(bundled).toContain('--common-theme-var: rebeccapurple');
+        expect(readFileSync(theme.getMinifiedTargetFile(), 'utf8')).toMatch(
+            /^\/\*! minified \*\/\/\*! default theme/
+        );
+        expect(transformFile).toHaveBeenCalledWith(expect.any(String), commonThemeFile, theme);
+        expect(transformFile).toHaveBeenCalledTimes(theme.getFiles().length);
+        expect(onExport).toHaveBeenCalledWith(path.join(outputDir, 'default'), theme);
+        await theme.cleanup();
+    });
+
+    it('runs the plugins in memory', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, plugins: [banner] });
+        await theme.promise;
+        const { css, minified } = await theme.bundleToString();
+        expect(css.startsWith('/*! default theme */')).toBe(true);
+        expect(minified.startsWith('/*! minified */')).toBe(true);
+        expect(existsSync(theme.getTargetFile())).toBe(false);
+    });
+
+    it('keeps the source map comment at the end of the bundled file', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, sourceMap: true, plugins: [banner] });
+        await theme.promise;
+        await theme.bundle();
+        const bundled = readFileSync(theme.getTargetFile(), 'utf8');
+        expect(bundled.startsWith('/*! default theme */')).toBe(true);
+        expect(bundled.trimEnd()).toMatch(/\/\*# sourceMappingURL=default\.bundled\.css\.map \*\/$/);
+        await theme.cleanup();
+    });
+
+    it('rejects the bundle when a plugin fails', async () => {
+        /** @type {ThemeBundlerPluginType[]} */
+        const plugins = [
+            { name: 'lint', transformBundle: () => Promise.reject(new Error('!important found')) }
+        ];
+        const theme = new ThemeBundler({ ...defaultConfig, plugins });
+        await theme.promise;
+        await expect(theme.bundle()).rejects.toThrow(
+            "Plugin 'lint' failed in transformBundle: !important found"
+        );
+        plugins[0].transformBundle = () => Promise.resolve();
+        await theme.bundle();
+        expect(readFileSync(theme.getTargetFile(), 'utf8')).toContain('.button {');
+        await theme.cleanup();
+    });
+
+    it('reports plugin failures while watching', async () => {
+        const report = jest.fn();
+        /** @type {ThemeBundlerPluginType[]} */
+        const plugins = [
+            {
+                name: 'lint',
+                transformFile: () => {
+                    throw new Error('!important found');
+                }
+            }
+        ];
+        const theme = new ThemeBundler({ ...defaultConfig, plugins, reporter: { report } });
+        await theme.promise;
+        const file = path.join(theme.path ?? '', 'main', 'main.css');
+        const callback = jest.fn();
+        await expect(
+            theme.handleWatchEvent('change', file, true, true, false, callback)
+        ).resolves.toBeUndefined();
+        expect(report).toHaveBeenCalledWith({
+            severity: 'error',
+            code: 'plugin-failed',
+            message: "Plugin 'lint' failed in transformFile: !important found",
+            themeName: 'default',
+            file,
+            error: expect.objectContaining({ plugin: 'lint', hook: 'transformFile' })
+        });
+        expect(callback).not.toHaveBeenCalled();
+        await theme.cleanup();
+    });
+
+    it('reports a failing watch callback apart from the bundle', async () => {
+        const report = jest.fn();
+        const theme = new ThemeBundler({ ...defaultConfig, reporter: { report } });
+        await theme.promise;
+        const file = path.join(theme.path ?? '', 'main', 'main.css');
+        const error = new Error('Callback failed');
+        const callback = jest.fn(() => {
+            throw error;
+        });
+        await expect(
+            theme.handleWatchEvent('change', file, true, true, false, callback)
+        ).resolves.toBeUndefined();
+        expect(report).toHaveBeenCalledWith({
+            severity: 'error',
+            code: 'watch-callback-failed',
+            message: "The watch callback of theme 'default' failed",
+            themeName: 'default',
+            file,
+            error
+        });
+        expect(report).not.toHaveBeenCalledWith(expect.objectContaining({ code: 'bundle-failed' }));
+        await theme.cleanup();
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * @jest-environment node
+ * @typedef {import('postcss').Plugin} PluginType
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { readSourceMap } from '../../sourceMap/sourceMap.mjs';
+import { defaultConfig, defaultThemeDir, initializeTest } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+/** @type {PluginType} */
+const pxToRem = {
+    postcssPlugin: 'px-to-rem',
+    Declaration: decl => {
+        decl.value = decl.value.replace(/(\d+)px/g, (_match, px) => `${px / 16}rem`);
+    }
+};
+
+describe('PostCSS', () => {
+    beforeAll(async () => {
+        await initializeTest();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('runs the plugins on the bundled and minified files', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, postcss: { plugins: [pxToRem] } });
+        await theme.promise;
+        await theme.bundle(true);
+        const bundled = readFileSync(theme.getTargetFile(), 'utf8');
+        expect(bundled).toContain('padding: 0.25rem 0.375rem;');
+        expect(bundled).not.toContain('padding: 4px 6px;');
+        expect(readFileSync(theme.getMinifiedTargetFile(), 'utf8')).toContain('padding:.25rem .375rem');
+        await theme.cleanup();
+    });
+
+    it('runs the plugins before lightningcss', async () => {
+        const theme = new ThemeBundler({
+            ...defaultConfig,
+            targets: 'chrome 100',
+            postcss: { plugins: [pxToRem] }
+        });
+        await theme.promise;
+        const { css } = await theme.bundleToString();
+        expect(css).toContain('pre code:before {');
+        expect(css).toContain('padding: .25rem .375rem;');
+    });
+
+    it('chains the source map to the theme files', async () => {
+        const theme = new ThemeBundler({
+            ...defaultConfig,
+            sourceMap: true,
+            postcss: { plugins: [pxToRem] }
+        });
+        await theme.promise;
+        await theme.bundle();
+        const targetFile = theme.getTargetFile();
+        expect(readFileSync(targetFile, 'utf8')).toContain('/*# sourceMappingURL=default.bundled.css.map */');
+        const map = readSourceMap(theme.getSourceMapFile(targetFile));
+        expect(map?.sources).toContain(path.join(defaultThemeDir, 'components', 'code.css'));
+        expect(map?.sources).not.toContain(targetFile);
+        await theme.cleanup();
+    });
+
+    it('reports plugin failures and keeps the styles', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        /** @type {PluginType} */
+        const failing = {
+            postcssPlugin: 'failing',
+            Once: () => {
+                throw new Error('Unknown unit');
+            }
+        };
+        const theme = new ThemeBundler({ ...defaultConfig, postcss: { plugins: [failing] } });
+        await theme.promise;
+        await theme.bundle();
+        expect(consoleSpy).toHaveBeenCalledWith('🚫 Failed to run PostCSS:', expect.any(Error));
+        expect(readFileSync(theme.getTargetFile(), 'utf8')).toContain('padding: 4px 6px;');
+        await theme.cleanup();
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * @jest-environment node
+ */
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import path from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { decodeMappings } from '../../sourceMap/sourceMap.mjs';
+import { defaultConfig, initializeTest, outputDir, themesDir } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+/**
+ * Reads a source map file.
+ * @param {string} file
+ * @returns {import('../../sourceMap/sourceMap.types.js').SourceMapType}
+ */
+function readMap(file) {
+    return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+describe('Source maps', () => {
+    /** @type {ThemeBundler} */
+    let theme;
+    beforeAll(async () => {
+        await initializeTest();
+        theme = new ThemeBundler({ ...defaultConfig, sourceMap: true });
+        await theme.promise;
+        await theme.bundle(true);
+    });
+
+    afterAll(async () => {
+        await theme.cleanup();
+    });
+
+    it('writes a source map for the bundled file', () => {
+        const targetFile = theme.getTargetFile();
+        const mapFile = `${targetFile}.map`;
+        expect(existsSync(mapFile)).toBe(true);
+        expect(readFileSync(targetFile, 'utf8')).toContain('/*# sourceMappingURL=default.bundled.css.map */');
+
+        const map = readMap(mapFile);
+        expect(map.file).toBe('default.bundled.css');
+        expect(map.sources).toContain('vars/colors.css');
+        expect(map.sources).toContain('../../components/button/styles/button.default.css');
+    });
+
+    it('maps bundled lines back to the original file', () => {
+        const targetFile = theme.getTargetFile();
+        const lines = readFileSync(targetFile, 'utf8').split('\n');
+        const map = readMap(`${targetFile}.map`);
+        const line = lines.findIndex(text => text.startsWith('.button {'));
+        const [segment] = decodeMappings(map.mappings)[line];
+        expect(map.sources[segment[1]]).toBe('../../components/button/styles/button.default.css');
+        expect(segment[2]).toBe(0);
+    });
+
+    it('writes a source map for the minified file', () => {
+        const minFile = theme.getMinifiedTargetFile();
+        expect(readFileSync(minFile, 'utf8')).toContain('/*# sourceMappingURL=default.min.css.map */');
+        const map = readMap(`${minFile}.map`);
+        expect(map.sources).toContain('main/main.css');
+        expect(map.sources).not.toContain(path.basename(theme.getTargetFile()));
+        expect(map.mappings.length).toBeGreaterThan(0);
+    });
+
+    it('exports the source maps relative to the export directory', () => {
+        const map = readMap(path.join(outputDir, 'default', 'default.min.css.map'));
+        const exportDir = path.join(outputDir, 'default');
+        const source = path.join(themesDir, 'default', 'main', 'main.css');
+        expect(map.sources).toContain(path.relative(exportDir, source));
+    });
+
+    it('maps the compiled SCSS back to its partials', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const scssTheme = new ThemeBundler({
+            path: path.join(themesDir, 'scss'),
+            patterns: ['{cwd}/demo/components'],
+            sourceMap: true
+        });
+        await scssTheme.promise;
+        await scssTheme.bundle(true);
+        const map = readMap(`${scssTheme.getCSSTargetFile()}.map`);
+        expect(map.sources).toEqual(expect.arrayContaining(['vars/_variables.scss', 'components/_buttons.scss']));
+        expect(map.sources).not.toContain('scss.bundled.scss');
+        expect(existsSync(`${scssTheme.getMinifiedTargetFile()}.map`)).toBe(true);
+        await scssTheme.cleanup();
+        expect(existsSync(`${scssTheme.getCSSTargetFile()}.map`)).toBe(false);
+        jest.restoreAllMocks();
+    });
+
+    it('maps inlined imports back to the imported files', async () => {
+        const themeDir = path.join(outputDir, 'sourcemap-imports', 'imported');
+        mkdirSync(path.join(themeDir, 'vars'), { recursive: true });
+        writeFileSync(path.join(themeDir, 'imported.config.js'), "export default { includes: ['main'] };");
+        writeFileSync(path.join(themeDir, 'vars', 'colors.css'), ':root {\n    --color-text: #111;\n}\n.text {}');
+        writeFileSync(path.join(themeDir, 'main.css'), '@import "./vars/colors.css";\nbody { color: red; }');
+        const importedTheme = new ThemeBundler({ path: themeDir, sourceMap: true });
+        await importedTheme.promise;
+        await importedTheme.bundle();
+
+        const targetFile = importedTheme.getTargetFile();
+        const lines = readFileSync(targetFile, 'utf8').split('\n');
+        const map = readMap(`${targetFile}.map`);
+        const mappings = decodeMappings(map.mappings);
+        const getSource = (/** @type {string} */ start) => {
+            const [segment] = mappings[lines.findIndex(text => text.startsWith(start))];
+            return [map.sources[segment[1]], segment[2]];
+        };
+        expect(getSource('.text')).toEqual(['vars/colors.css', 3]);
+        expect(getSource('body')).toEqual(['main.css', 1]);
+        await importedTheme.cleanup();
+        rmSync(path.join(outputDir, 'sourcemap-imports'), { recursive: true, force: true });
+    });
+
+    it('does not write source maps by default', async () => {
+        const darkTheme = new ThemeBundler({ ...defaultConfig, path: path.join(themesDir, 'dark') });
+        await darkTheme.promise;
+        await darkTheme.bundle();
+        expect(existsSync(`${darkTheme.getTargetFile()}.map`)).toBe(false);
+        expect(readFileSync(darkTheme.getTargetFile(), 'utf8')).not.toContain('sourceMappingURL');
+        await darkTheme.cleanup();
+    });
+});
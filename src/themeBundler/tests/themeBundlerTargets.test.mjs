@@ -0,0 +1,136 @@
+/**
+ * @jest-environment node
+ */
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import ThemeBundler from '../themeBundler.mjs';
+import path from 'path';
+import { readSourceMap } from '../../sourceMap/sourceMap.mjs';
+import { defaultConfig, defaultThemeDir, initializeTest, outputDir } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+describe('Browser targets', () => {
+    beforeAll(async () => {
+        await initializeTest();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('leaves the unminified bundle untouched without targets', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig });
+        await theme.promise;
+        expect(theme.targets).toBeUndefined();
+        const { css } = await theme.bundleToString();
+        expect(css).toContain('&::before {');
+    });
+
+    it('lowers nesting in the bundled and minified files', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, targets: 'chrome 100' });
+        await theme.promise;
+        await theme.bundle(true);
+        const bundled = readFileSync(theme.getTargetFile(), 'utf8');
+        const minified = readFileSync(theme.getMinifiedTargetFile(), 'utf8');
+        expect(bundled).not.toContain('&::before');
+        expect(bundled).toContain('pre code:before {');
+        expect(minified).toContain('pre code:before{');
+        await theme.cleanup();
+    });
+
+    it('lowers nesting in memory', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, targets: ['chrome 100'] });
+        await theme.promise;
+        const { css, minified } = await theme.bundleToString();
+        expect(css).toContain('pre code:before {');
+        expect(minified).toContain('pre code:before{');
+    });
+
+    it('keeps the source map of the bundled file', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, targets: 'chrome 100', sourceMap: true });
+        await theme.promise;
+        await theme.bundle(true);
+        const targetFile = theme.getTargetFile();
+        expect(readFileSync(targetFile, 'utf8')).toContain('/*# sourceMappingURL=default.bundled.css.map */');
+        const map = readSourceMap(theme.getSourceMapFile(targetFile));
+        expect(map?.file).toBe('default.bundled.css');
+        expect(map?.sources).toContain(path.join(defaultThemeDir, 'components', 'code.css'));
+        expect(map?.sources).not.toContain(targetFile);
+        await theme.cleanup();
+    });
+
+    it('reports invalid styles and keeps watching', async () => {
+        const themeDir = path.join(outputDir, 'targets-broken');
+        const file = path.join(themeDir, 'main.css');
+        mkdirSync(themeDir, { recursive: true });
+        writeFileSync(
+            path.join(themeDir, 'targets-broken.config.js'),
+            "export default { includes: ['main'] };"
+        );
+        writeFileSync(file, '.main { color: red; } }');
+        const report = jest.fn();
+        const theme = new ThemeBundler({ path: themeDir, targets: 'chrome 100', reporter: { report } });
+        await theme.promise;
+        await theme.bundle();
+        expect(readFileSync(theme.getTargetFile(), 'utf8')).toContain('.main { color: red; } }');
+        expect(report).toHaveBeenCalledWith(
+            expect.objectContaining({
+                severity: 'error',
+                code: 'transform-failed',
+                file: theme.getTargetFile()
+            })
+        );
+
+        // Minifying fails as well, the bundle is rejected and reported.
+        await expect(theme.handleWatchEvent('change', file, true, true, true)).resolves.toBeUndefined();
+        expect(report).toHaveBeenCalledWith(
+            expect.objectContaining({
+                severity: 'error',
+                code: 'bundle-failed',
+                file: theme.getTargetFile(),
+                error: expect.objectContaining({ message: 'Unexpected end of input' })
+            })
+        );
+        theme.cleanup();
+        rmSync(themeDir, { recursive: true, force: true });
+    });
+
+    it('reports an invalid query', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const theme = new ThemeBundler({ ...defaultConfig, targets: 'not a browser' });
+        await theme.promise;
+        expect(theme.targets).toBeUndefined();
+        expect(consoleSpy).toHaveBeenCalledWith("🚫 Invalid targets for theme 'default':", expect.any(Error));
+        await expect(
+            new ThemeBundler({ ...defaultConfig, targets: 'not a browser', strict: true }).promise
+        ).rejects.toThrow();
+    });
+});
+
+describe('Syntax options', () => {
+    const commonThemeCSS = '@custom-media --small (max-width: 600px);';
+
+    beforeAll(async () => {
+        await initializeTest();
+    });
+
+    it('compiles the custom media queries of the common theme', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, drafts: { customMedia: true } });
+        await theme.promise;
+        const { css } = await theme.bundleToString({
+            commonThemeCSS: `${commonThemeCSS} .small { @media (--small) { display: none; } }`
+        });
+        expect(css).not.toContain('@custom-media');
+        expect(css).toMatch(/\.small {\s+@media \(width <= 600px\) {\s+display: none;/);
+    });
+
+    it('removes the unused symbols', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, unusedSymbols: ['unused', '--unused'] });
+        await theme.promise;
+        const { css, minified } = await theme.bundleToString({
+            commonThemeCSS: ':root { --unused: red; } .unused { color: red; } .used { color: blue; }'
+        });
+        expect(css).toContain('.used {');
+        expect(css).not.toContain('unused');
+        expect(minified).not.toContain('unused');
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import ThemeBundler from '../themeBundler.mjs';
+import { commonThemeFile, defaultConfig, initializeTest, outputDir } from './tests.util.mjs';
+import { jest } from '@jest/globals';
+
+const tokensDir = join(outputDir, 'tokens');
+const tokensFile = join(tokensDir, 'tokens.json');
+const brandDir = join(tokensDir, 'brand');
+const brandDarkDir = join(tokensDir, 'brand-dark');
+
+/**
+ * Writes a tokens file as JSON.
+ * @param {string} file
+ * @param {object} tokens
+ */
+function writeTokens(file, tokens) {
+    writeFileSync(file, JSON.stringify(tokens));
+}
+
+describe('Design tokens', () => {
+    beforeAll(async () => {
+        await initializeTest();
+        mkdirSync(brandDir, { recursive: true });
+        mkdirSync(brandDarkDir, { recursive: true });
+        writeFileSync(join(brandDir, 'brand.config.js'), "export default { tokens: 'tokens.json' };");
+        writeFileSync(join(brandDarkDir, 'brand-dark.config.js'), 'export default {};');
+        writeTokens(join(brandDir, 'tokens.json'), {
+            color: { $type: 'color', primary: { $value: '#06f' }, text: { $value: '#111' } }
+        });
+    });
+
+    beforeEach(() => {
+        writeTokens(tokensFile, { color: { brand: { $type: 'color', $value: '#06f' } } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        rmSync(tokensDir, { recursive: true, force: true });
+    });
+
+    it('prepends the custom properties of the tokens to the includes', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, tokens: tokensFile });
+        await theme.promise;
+        const [common, tokens, firstInclude] = theme.getFiles();
+        expect([common, tokens]).toEqual([commonThemeFile, theme.getTokensFile()]);
+        const { css, files } = await theme.bundleToString();
+        expect(files).toContain(theme.getTokensFile());
+        expect(css).toContain(':root {\n    --color-brand: #06f;\n}');
+        const includeCSS = readFileSync(firstInclude, 'utf8').trim();
+        expect(css.indexOf('--color-brand')).toBeLessThan(css.indexOf(includeCSS));
+    });
+
+    it('resolves aliases to the tokens of the base theme and overrides them', async () => {
+        writeTokens(join(brandDarkDir, 'tokens.json'), {
+            color: { primary: { $value: '#9cf' }, link: { $value: '{color.primary}' } }
+        });
+        const theme = new ThemeBundler({ path: brandDarkDir, baseTheme: brandDir, tokens: 'tokens.json' });
+        const { css } = await theme.bundleToString();
+        expect(css).toContain('--color-primary: #06f;\n    --color-text: #111;');
+        expect(css).toContain('--color-primary: #9cf;\n    --color-link: var(--color-primary);');
+        expect(css.match(/--color-text/g)).toHaveLength(1);
+        expect(theme.getTokens()).toEqual({
+            color: {
+                $type: 'color',
+                primary: { $value: '#9cf' },
+                text: { $value: '#111' },
+                link: { $value: '{color.primary}' }
+            }
+        });
+    });
+
+    it('reports invalid tokens and bundles the other styles', async () => {
+        const report = jest.fn();
+        writeTokens(tokensFile, { color: { link: { $value: '{color.primary}' } } });
+        const theme = new ThemeBundler({ ...defaultConfig, tokens: tokensFile, reporter: { report } });
+        await theme.promise;
+        const { css } = await theme.bundleToString();
+        expect(css).not.toContain('--color-link');
+        expect(css).toContain('blockquote');
+        expect(report).toHaveBeenCalledWith({
+            severity: 'error',
+            code: 'invalid-tokens',
+            themeName: 'default',
+            message: "Failed to compile the design tokens of theme 'default'",
+            error: new Error('Invalid design token "color.link": Unknown token alias: "{color.primary}"')
+        });
+        expect(report).not.toHaveBeenCalledWith(expect.objectContaining({ code: 'empty-file' }));
+    });
+
+    it('recompiles the tokens in watch mode', async () => {
+        const theme = new ThemeBundler({ ...defaultConfig, tokens: tokensFile });
+        await theme.watch();
+        await theme.bundle();
+        expect(readFileSync(theme.getTargetFile(), 'utf8')).toContain('--color-brand: #06f;');
+        const bundled = new Promise(resolve => theme.once('bundle:end', resolve));
+        writeTokens(tokensFile, { color: { brand: { $type: 'color', $value: '#f60' } } });
+        await bundled;
+        expect(readFileSync(theme.getTargetFile(), 'utf8')).toContain('--color-brand: #f60;');
+        await theme.cleanup();
+    });
+});
@@ -3,25 +3,112 @@
  * @typedef {import('./themeBundler.types.js').ThemeBundlerConfigType} ThemeBundlerConfigType
  * @typedef {import('../themesBundler/themesBundler.types.js').WriteStylesReturnType} WriteStylesReturnType
  * @typedef {import('../themesBundler/themesBundler.types.js').StyleUpdateCallbackType} StyleUpdateCallbackType
+ * @typedef {import('./themeBundler.types.js').ManifestEntryType} ManifestEntryType
+ * @typedef {import('./themeBundler.types.js').InMemoryBundleType} InMemoryBundleType
+ * @typedef {import('./themeBundler.types.js').BundleToStringOptionsType} BundleToStringOptionsType
+ * @typedef {import('../sourceMap/sourceMap.types.js').SourceMapType} SourceMapType
+ * @typedef {import('../sourceMap/sourceMap.types.js').SourceMapChunkType} SourceMapChunkType
+ * @typedef {import('../events/events.types.js').ThemeBundlerEventsType} ThemeBundlerEventsType
+ * @typedef {import('../events/events.types.js').ErrorEventType} ErrorEventType
+ * @typedef {import('../reporter/reporter.types.js').ReporterType} ReporterType
+ * @typedef {import('../reporter/reporter.types.js').ReportMessageType} ReportMessageType
+ * @typedef {import('../configSchema/configSchema.types.js').ConfigErrorType} ConfigErrorType
+ * @typedef {import('../targets/targets.types.js').TargetsType} TargetsType
+ * @typedef {import('lightningcss').TransformOptions<{}>} TransformOptionsType
+ * @typedef {import('../plugins/plugins.types.js').ThemeBundlerPluginType} ThemeBundlerPluginType
+ * @typedef {import('../budgets/budgets.types.js').BudgetsType} BudgetsType
+ * @typedef {import('../budgets/budgets.types.js').BudgetViolationType} BudgetViolationType
+ * @typedef {import('../compression/compression.types.js').CompressedSizesType} CompressedSizesType
+ * @typedef {import('../compression/compression.types.js').CompressionType} CompressionType
+ * @typedef {import('../critical/critical.types.js').ExtractCriticalOptionsType} ExtractCriticalOptionsType
+ * @typedef {import('../critical/critical.types.js').CriticalCSSType} CriticalCSSType
+ * @typedef {import('../tokens/tokens.types.js').DesignTokensType} DesignTokensType
+ * @typedef {import('../customProperties/customProperties.types.js').StyleLayerType} StyleLayerType
+ * @typedef {import('../assets/assets.types.js').InlinedAssetType} InlinedAssetType
+ * @typedef {import('../sass/sass.mjs').SassType} SassType
+ * @typedef {import('../sass/sass.mjs').SassOptionsType} SassOptionsType
  */
 import { glob } from 'glob';
 import PATH from 'path';
+import { pathToFileURL } from 'url';
 import fs, { copyFileSync, existsSync, mkdirSync, readdirSync, writeFileSync } from 'fs';
 
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import { transform } from 'lightningcss';
+import { Features, transform } from 'lightningcss';
 import chokidar from 'chokidar';
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import {
+    composeSourceMaps,
+    concatSourceMaps,
+    getSourceMapComment,
+    readSourceMap,
+    relativizeSources,
+    removeUnmappedSources,
+    resolveSources,
+    stripSourceMapComment,
+    writeSourceMap
+} from '../sourceMap/sourceMap.mjs';
+import {
+    THEME_CONFIG_SCHEMA,
+    omitInvalidKeys,
+    reportConfigErrors,
+    validateConfig
+} from '../configSchema/configSchema.mjs';
+import { emitError, emitWarning } from '../events/events.mjs';
+import { createReporter } from '../reporter/reporter.mjs';
+import { resolveTargets } from '../targets/targets.mjs';
+import { PluginError, runExportHook, runFileHook, runTransformHook } from '../plugins/plugins.mjs';
+import { loadPostCSS, processPostCSS } from '../postcss/postcss.mjs';
+import { getSassOptions, hasSass, loadSass } from '../sass/sass.mjs';
+import { checkBudgets, formatSize, parseBudgets } from '../budgets/budgets.mjs';
+import { extractCriticalCSS, inlineCriticalCSS } from '../critical/critical.mjs';
+import { compileTokens, mergeTokens, readTokens } from '../tokens/tokens.mjs';
+import { getImportChunks } from '../imports/imports.mjs';
+import { getAssetPath, getDataURI, getRelativeURL, replaceURLs, resolveURL } from '../assets/assets.mjs';
+import {
+    COMPRESSIONS,
+    COMPRESSION_EXTENSIONS,
+    compress,
+    getCompressedSizes
+} from '../compression/compression.mjs';
 
 /** @type {BundleThemeArgsType} */
-const argv = yargs(hideBin(process.argv)).argv;
+const argv = yargs(hideBin(process.argv)).help(false).version(false).argv;
 const cwd = process.cwd();
 const MODE = argv.mode === 'production' ? 'production' : 'development';
-const VERBOSE = argv.verbose;
+const VERBOSE = argv.verbose === true || argv.verbose === 'true';
+/** @type {string[]} */
+const WATCH_EVENTS = ['change', 'add', 'unlink', 'addDir', 'unlinkDir'];
 
-class ThemeBundler {
+/**
+ * @extends {EventEmitter<ThemeBundlerEventsType>}
+ */
+class ThemeBundler extends EventEmitter {
     /** @type {import('chokidar').FSWatcher[]} */
     watchers = [];
+    /** @type {Promise<void>[]} */
+    watcherPromises = [];
+    /** @type {Map<string, string>} */
+    fileCache = new Map();
+    /** @type {string[] | undefined} */
+    cachedFiles;
+    /** @type {string | undefined} */
+    cachedBaseThemeCSS;
+    cacheEnabled = false;
+    /** @type {Set<string>} */
+    assets = new Set();
+    /** @type {Map<string, string>} */
+    exportedAssets = new Map();
+    /** @type {Map<string, InlinedAssetType>} */
+    inlinedAssets = new Map();
+    /** @type {Map<string, SourceMapChunkType[]>} */
+    importChunks = new Map();
+    /** @type {Set<string>} */
+    missingAssets = new Set();
+    /** @type {import('chokidar').FSWatcher | undefined} */
+    importsWatcher;
 
     ///////////////////////////
     // #region Initialization
@@ -32,6 +119,7 @@ class ThemeBundler {
      * @param {ThemeBundlerConfigType} config
      */
     constructor(config) {
+        super();
         this.setConfig(config);
         /** @type {Promise<boolean>} */
         this.promise = this._initialize();
@@ -42,12 +130,19 @@ class ThemeBundler {
      * @returns {Promise<boolean>}
      */
     async _initialize() {
-        const { baseTheme, path } = this._config || {};
-        this.setPath(path);
-        /** @type {string} themeName */
-        this.themeName = this.path?.split(PATH.sep).pop() ?? '';
+        this.setPath(this._config?.path);
+        const config = this.getValidConfig(
+            this.userConfig ?? {},
+            `ThemeBundler config of theme '${this.themeName}'`
+        );
+        this._config = { ...this.getDefaultConfig(), ...config };
+        const { baseTheme } = this._config;
         await this._initializeConfig();
+        this.validateIncludes();
+        this._initializeTargets();
+        this._initializeBudgets();
         baseTheme && this.setBaseTheme(baseTheme);
+        this.emit('init', { themeName: this.themeName ?? '' });
         return true;
     }
 
@@ -59,22 +154,119 @@ class ThemeBundler {
         this._config && (this._config.extension = this.extension);
     }
 
+    /**
+     * Resolves the browser targets from the targets option or the browserslist config of the project.
+     * @throws {Error} - If the browserslist query is invalid in strict mode.
+     */
+    _initializeTargets() {
+        try {
+            /** @type {TargetsType | undefined} */
+            this.targets = resolveTargets(this._config?.targets, this.path ?? cwd);
+        } catch (error) {
+            if (this.isStrict()) throw error;
+            const message = `Invalid targets for theme '${this.themeName}'`;
+            this.report({ severity: 'error', code: 'invalid-targets', message, error });
+        }
+    }
+
+    /**
+     * Parses the size budgets of the minified file.
+     * @throws {Error} - If a budget is invalid in strict mode.
+     */
+    _initializeBudgets() {
+        try {
+            const { budgets } = this._config ?? {};
+            /** @type {BudgetsType | undefined} */
+            this.budgets = budgets && parseBudgets(budgets);
+        } catch (error) {
+            if (this.isStrict()) throw error;
+            const message = `Invalid budgets for theme '${this.themeName}'`;
+            this.report({ severity: 'error', code: 'invalid-budgets', message, error });
+        }
+    }
+
+    /**
+     * Loads and validates the theme config file.
+     * @returns {Promise<ThemeBundlerConfigType>}
+     * @throws {Error} - If the config file is missing, fails to load or is invalid in strict mode.
+     */
     async loadFileConfig() {
         const configFile = this.getConfigFile();
         if (configFile && !fs.existsSync(configFile)) {
-            console.error(`🚫 Config file not found for theme '${this.themeName}': ` + configFile);
+            const message = `Config file not found for theme '${this.themeName}': ` + configFile;
+            if (this.isStrict()) throw new Error(message);
+            this.report({ severity: 'error', code: 'config-not-found', message, file: configFile });
             return Promise.resolve({});
         }
+        /** @type {ThemeBundlerConfigType} */
+        let fileConfig;
         try {
             const configModule = await import(configFile);
-            return Promise.resolve(configModule.default || {});
+            fileConfig = configModule.default || {};
         } catch (error) {
-            console.error(
-                `🚫 Failed to load config file for theme '${this.themeName}': ${configFile}`,
+            if (this.isStrict()) throw error;
+            this.report({
+                severity: 'error',
+                code: 'config-load-failed',
+                message: `Failed to load config file for theme '${this.themeName}': ${configFile}`,
+                file: configFile,
                 error
-            );
+            });
             return Promise.resolve({});
         }
+        return this.getValidConfig(fileConfig, configFile);
+    }
+
+    /**
+     * Validates a theme config against the schema, reporting any errors.
+     * Values of the wrong type are left out so the defaults apply instead.
+     * @param {ThemeBundlerConfigType} config
+     * @param {string} source - The config file or a description of where the config was passed.
+     * @returns {ThemeBundlerConfigType}
+     * @throws {import('../configSchema/configSchema.mjs').ConfigValidationError} - If the config is invalid in strict mode.
+     */
+    getValidConfig(config, source) {
+        const errors = validateConfig(config, THEME_CONFIG_SCHEMA, source);
+        reportConfigErrors(errors, this.isStrict(), (message, error) =>
+            this.reportConfigError(message, error)
+        );
+        return omitInvalidKeys(config, errors);
+    }
+
+    /**
+     * Reports the includes that do not resolve to an existing file.
+     * @throws {import('../configSchema/configSchema.mjs').ConfigValidationError} - If an include is missing in strict mode.
+     */
+    validateIncludes() {
+        const source = this.fileConfig?.includes ? this.getConfigFile() : `theme '${this.themeName}'`;
+        const expected = `an existing .${this.extension} file`;
+        const errors = this.getIncludes().flatMap((file, index) => {
+            if (fs.existsSync(file)) return [];
+            const message = `must resolve to ${expected}: "${file}"`;
+            return [
+                {
+                    source,
+                    key: `includes[${index}]`,
+                    expected,
+                    reason: /** @type {const} */ ('path'),
+                    message
+                }
+            ];
+        });
+        reportConfigErrors(errors, this.isStrict(), (message, error) =>
+            this.reportConfigError(message, error)
+        );
+    }
+
+    /**
+     * Reports a config error, the source is reported as the file if it is one.
+     * @param {string} message
+     * @param {ConfigErrorType} error
+     */
+    reportConfigError(message, error) {
+        const code = error.key.startsWith('includes[') ? 'missing-include' : 'invalid-config';
+        const file = PATH.isAbsolute(error.source) ? error.source : undefined;
+        this.report({ severity: 'error', code, message, file });
     }
 
     // #endregion Initialization
@@ -87,6 +279,22 @@ class ThemeBundler {
         return this._config?.extension || 'css';
     }
 
+    /**
+     * Returns the build mode, it defaults to the --mode argument.
+     * @returns {'development' | 'production'}
+     */
+    getMode() {
+        return this._config?.mode ?? MODE;
+    }
+
+    /**
+     * Whether config errors are fatal.
+     * @returns {boolean}
+     */
+    isStrict() {
+        return this._config?.strict === true;
+    }
+
     /**
      * Returns default config.
      * @returns {ThemeBundlerConfigType}
@@ -96,7 +304,8 @@ class ThemeBundler {
             extension: 'css',
             patterns: [],
             includes: [],
-            verbose: VERBOSE
+            verbose: VERBOSE,
+            sourceMap: false
         };
     }
 
@@ -126,16 +335,25 @@ class ThemeBundler {
 
     /**
      * Returns all the theme files.
+     * @param {boolean} [withCommonThemeFile] - Whether to include the common theme file, it is only cached if included.
      * @returns {string[]}
      */
-    getFiles() {
-        const commonThemeFile = this.getCommonThemeFile();
+    getFiles(withCommonThemeFile = true) {
+        if (this.cacheEnabled && this.cachedFiles && withCommonThemeFile) {
+            return this.cachedFiles;
+        }
+        const commonThemeFile = withCommonThemeFile ? this.getCommonThemeFile() : undefined;
         const includes = this.getIncludes();
+        const tokensFile = this.getTokensFiles().length ? this.getTokensFile() : undefined;
 
         const patternFiles = this.getPatternFiles();
-        return [commonThemeFile, ...includes, ...patternFiles]
-            .filter(file => typeof file === 'string' && fs.existsSync(file))
+        const files = [commonThemeFile, tokensFile, ...includes, ...patternFiles]
+            .filter(file => typeof file === 'string' && (file === tokensFile || fs.existsSync(file)))
             .filter(item => typeof item !== 'undefined');
+        if (withCommonThemeFile) {
+            this.cachedFiles = this.cacheEnabled ? files : undefined;
+        }
+        return files;
     }
 
     /**
@@ -148,28 +366,208 @@ class ThemeBundler {
         );
     }
 
+    /**
+     * Returns the design tokens files defined in the theme config.
+     * @returns {string[]}
+     */
+    getTokensFiles() {
+        const { tokens = [] } = this._config ?? {};
+        return (Array.isArray(tokens) ? tokens : [tokens]).map(file => PATH.resolve(this.path || '', file));
+    }
+
+    /**
+     * Returns the file name of the custom properties compiled from the design tokens.
+     * The file is not written, it is compiled in memory and prepended to the includes.
+     * @returns {string}
+     */
+    getTokensFile() {
+        return PATH.normalize(`${this.path}/${this.themeName}.tokens.css`);
+    }
+
+    /**
+     * Returns the design tokens of the theme, merged with those of its base theme.
+     * @returns {DesignTokensType}
+     * @throws {Error} - If a tokens file can't be read or is not valid JSON.
+     */
+    getTokens() {
+        const baseTokens = this.baseTheme?.getTokens() ?? {};
+        return mergeTokens(baseTokens, readTokens(this.getTokensFiles()));
+    }
+
     /**
      * Returns the CSS content of a file.
      * @param {string} file
+     * @param {string} [content] - The contents of the file, it is read from disk if not given.
      * @returns {string | undefined}
      */
-    getCSS(file) {
+    getCSS(file, content) {
         let css = '';
         if (file !== this._config?.commonThemeFile && file.endsWith(`.bundled.${this.extension}`)) {
             return css;
         }
-        const fileContent = fs.readFileSync(file, 'utf8');
+        const fileContent = content ?? this.readFile(file);
+        if (file === this.getTokensFile() && !fileContent) {
+            return;
+        }
         if (!fileContent || !fileContent.length) {
-            console.warn('⚠️  No CSS found in file:', file);
+            this.report({
+                severity: 'warning',
+                code: 'empty-file',
+                message: `No CSS found in file: ${file}`,
+                file
+            });
             return;
         }
-        if (MODE === 'development') {
-            css += `\r\n/*\r\n File: ${file}  \r\n*/\r\n`;
+        if (this.getMode() === 'development') {
+            css += this.getFileComment(file);
         }
-        css += fileContent;
+        const source =
+            file === this._config?.commonThemeFile
+                ? this.rebaseURLs(file, stripSourceMapComment(fileContent))
+                : this.inlineImports(file, this.rebaseURLs(file, fileContent));
+        css += runFileHook(this.getPlugins(), source, file, this);
         return css;
     }
 
+    /**
+     * Replaces the `@import` statements of a CSS file with the contents of the imported files, refer to inlineImports.
+     * SCSS imports are left to the compiler, failing imports are reported and kept as they are.
+     * The chunks of each imported file are kept to map the file back to them, refer to getSourceMapChunks.
+     * @param {string} file
+     * @param {string} css
+     * @returns {string}
+     */
+    inlineImports(file, css) {
+        this.importChunks.delete(file);
+        if (!file.endsWith('.css') || !css.includes('@import')) return css;
+        try {
+            const sources = new Map([[file, css]]);
+            const readFile = (/** @type {string} */ importedFile) => {
+                const content = this.rebaseURLs(importedFile, this.readFile(importedFile));
+                sources.set(importedFile, content);
+                return content;
+            };
+            const chunks = getImportChunks(css, file, { readFile });
+            this.importChunks.set(
+                file,
+                chunks.map(({ content, file: source, line }) =>
+                    source ? { content, source, line, sourceContent: sources.get(source) } : { content }
+                )
+            );
+            return chunks.map(({ content }) => content).join('');
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            const importFile = /** @type {{ file?: string }} */ (error).file ?? file;
+            this.report({ severity: 'error', code: 'import-failed', message, file: importFile, error });
+            return css;
+        }
+    }
+
+    /**
+     * Rebases the local `url()` references of a file on the directory of the target file, where the file is bundled.
+     * The referenced assets are collected to be exported, or inlined if smaller than the inlineAssetLimit.
+     * Missing assets are kept as they are and reported once per bundle, those of the base theme are reported by the base theme.
+     * @param {string} file
+     * @param {string} css
+     * @returns {string}
+     */
+    rebaseURLs(file, css) {
+        if (!css.includes('url(')) return css;
+        const targetDir = PATH.dirname(this.getTargetFile());
+        const isBaseTheme = file === this.baseTheme?.getCSSTargetFile();
+        return replaceURLs(css, (url, { start }) => {
+            const { file: asset, suffix } = resolveURL(url, PATH.dirname(file));
+            const stats = fs.statSync(asset, { throwIfNoEntry: false });
+            if (!stats?.isFile()) {
+                const key = `${file}:${url}`;
+                if (isBaseTheme || this.missingAssets.has(key)) return undefined;
+                this.missingAssets.add(key);
+                const line = css.slice(0, start).split('\n').length;
+                const message = `Asset not found: "${url}" in ${file}:${line}`;
+                this.report({ severity: 'warning', code: 'missing-asset', message, file });
+                return undefined;
+            }
+            const dataURI = this.inlineAsset(asset, stats.size, suffix);
+            if (dataURI) return dataURI;
+            this.assets.add(asset);
+            return getRelativeURL(targetDir, asset) + suffix;
+        });
+    }
+
+    /**
+     * Returns the data URI of an asset smaller than the inlineAssetLimit, and records it in the inlined assets.
+     * Assets of an unknown media type and URLs with a fragment, e.g. 'icons.svg#star', are not inlined.
+     * @param {string} file
+     * @param {number} size
+     * @param {string} [suffix] - The query and fragment of the URL.
+     * @returns {string | undefined}
+     */
+    inlineAsset(file, size, suffix = '') {
+        const limit = this._config?.inlineAssetLimit ?? 0;
+        if (size >= limit || suffix.includes('#')) return undefined;
+        const dataURI = getDataURI(file);
+        if (!dataURI) return undefined;
+        const inlined = this.inlinedAssets.get(file);
+        this.inlinedAssets.set(file, { file, size, references: (inlined?.references ?? 0) + 1 });
+        return dataURI;
+    }
+
+    /**
+     * Returns the assets inlined as data URIs in the last bundle, refer to the inlineAssetLimit option.
+     * @returns {InlinedAssetType[]}
+     */
+    getInlinedAssets() {
+        return [...this.inlinedAssets.values()];
+    }
+
+    /**
+     * Returns the files inlined with `@import` in the last bundle.
+     * @returns {string[]}
+     */
+    getImportedFiles() {
+        /** @type {Set<string>} */
+        const files = new Set();
+        this.importChunks.forEach((chunks, file) =>
+            chunks.forEach(({ source }) => source && source !== file && files.add(PATH.resolve(source)))
+        );
+        return [...files];
+    }
+
+    /**
+     * Returns the contents of a file, from the cache while watching.
+     * The custom properties of the design tokens are compiled instead, refer to getTokensFile.
+     * @param {string} file
+     * @returns {string}
+     */
+    readFile(file) {
+        const key = PATH.resolve(file);
+        const cached = this.cacheEnabled ? this.fileCache.get(key) : undefined;
+        if (typeof cached === 'string') {
+            return cached;
+        }
+        const content =
+            file === this.getTokensFile() ? this.compileTokensCSS() : fs.readFileSync(file, 'utf8');
+        this.cacheEnabled && this.fileCache.set(key, content);
+        return content;
+    }
+
+    /**
+     * Returns the comment prepended to each file in development mode.
+     * @param {string} file
+     * @returns {string}
+     */
+    getFileComment(file) {
+        return `\r\n/*\r\n File: ${file}  \r\n*/\r\n`;
+    }
+
+    /**
+     * Returns the plugins of the theme.
+     * @returns {ThemeBundlerPluginType[]}
+     */
+    getPlugins() {
+        return this._config?.plugins ?? [];
+    }
+
     /**
      * Returns the common theme file path.
      * @returns {string | undefined}
@@ -180,7 +578,8 @@ class ThemeBundler {
         }
         const file = this._config?.commonThemeFile;
         if (file && !existsSync(file)) {
-            console.error(`🚫 common theme file does not exist: ${file}.`);
+            const message = `common theme file does not exist: ${file}.`;
+            this.report({ severity: 'error', code: 'common-theme-not-found', message, file });
             return undefined;
         }
         return file;
@@ -200,6 +599,41 @@ class ThemeBundler {
         return this.getTargetFile().replace(`.${this.extension}`, '.css');
     }
 
+    /**
+     * Returns the source map file of a stylesheet.
+     * @param {string} file
+     * @returns {string}
+     */
+    getSourceMapFile(file) {
+        return `${file}.map`;
+    }
+
+    /**
+     * Checks if source maps should be generated.
+     * @returns {boolean}
+     */
+    hasSourceMap() {
+        return Boolean(this._config?.sourceMap);
+    }
+
+    /**
+     * Returns the length of the content hash added to exported file names, 0 if hashing is disabled.
+     * @returns {number}
+     */
+    getHashLength() {
+        const { hash } = this._config || {};
+        if (typeof hash === 'number') return hash;
+        return hash ? 8 : 0;
+    }
+
+    /**
+     * Returns the exported files of the theme as listed in the manifest, available after the theme is exported.
+     * @returns {ManifestEntryType | undefined}
+     */
+    getManifestEntry() {
+        return this.manifestEntry;
+    }
+
     /**
      * Returns the target file where the minified styles will be saved.
      * @returns {string}
@@ -239,16 +673,20 @@ class ThemeBundler {
     }
 
     /**
-     * Checks if SCSS support is available.
+     * Checks if SCSS support is available, Sass is resolved from the working directory.
      * @returns {boolean}
      */
     hasSassSupport(packageName = 'sass') {
-        try {
-            require.resolve(packageName);
-            return true;
-        } catch {
-            return false;
-        }
+        return hasSass(cwd, packageName);
+    }
+
+    /**
+     * Returns the options of the Sass compiler from the sass config of the theme.
+     * @param {SassType} sass
+     * @returns {SassOptionsType}
+     */
+    getSassOptions(sass) {
+        return getSassOptions(sass, this._config?.sass, cwd);
     }
 
     // #endregion Get
@@ -264,19 +702,28 @@ class ThemeBundler {
     setBaseTheme(baseTheme) {
         const baseThemePath = baseTheme;
         if (!existsSync(baseThemePath)) {
-            console.error(`🚫 Base theme does not exist: ${baseThemePath}`);
+            const message = `Base theme does not exist: ${baseThemePath}`;
+            this.report({ severity: 'error', code: 'base-theme-not-found', message, file: baseThemePath });
         }
         this.baseTheme = new ThemeBundler({
             path: baseThemePath,
-            extension: this.extension
+            extension: this.extension,
+            sourceMap: this._config?.sourceMap,
+            strict: this._config?.strict,
+            targets: this._config?.targets,
+            nonStandard: this._config?.nonStandard,
+            sass: this._config?.sass,
+            reporter: this.getReporter()
         });
     }
 
     /**
-     * Sets the config.
+     * Sets the config, the config as passed is kept to be validated on initialization without the defaults.
      * @param {ThemeBundlerConfigType} config
      */
     setConfig(config = {}) {
+        /** @type {ThemeBundlerConfigType} */
+        this.userConfig = config;
         /** @type {ThemeBundlerConfigType} */
         this._config = Object.assign(this.getDefaultConfig(), config);
     }
@@ -287,12 +734,14 @@ class ThemeBundler {
      * @throws {Error} - If the path is not a string or the path is not a directory.
      */
     setPath(path = cwd) {
-        if (typeof path !== 'string' || !fs.existsSync(path) || !fs.lstatSync(path).isDirectory()) {
-            console.error(`🚫 Invalid path in theme config ${this.getName()}: "${path}"`);
-        }
-
         /** @type {string | undefined} path */
         this.path = path;
+        /** @type {string} themeName */
+        this.themeName = typeof path === 'string' ? (path.split(PATH.sep).pop() ?? '') : '';
+        if (typeof path !== 'string' || !fs.existsSync(path) || !fs.lstatSync(path).isDirectory()) {
+            const message = `Invalid path in theme config ${this.getName()}: "${path}"`;
+            this.report({ severity: 'error', code: 'invalid-theme-path', message, file: String(path) });
+        }
     }
 
     // #endregion Set
@@ -324,6 +773,48 @@ class ThemeBundler {
         return pattern;
     }
 
+    /**
+     * Returns the reporter set through the reporter config option, pretty by default.
+     * @returns {ReporterType}
+     */
+    getReporter() {
+        this.reporter = this.reporter ?? createReporter(this._config?.reporter);
+        return this.reporter;
+    }
+
+    /**
+     * Reports a diagnostic of the theme, errors and warnings are emitted as events as well.
+     * @param {Omit<ReportMessageType, 'themeName'>} entry
+     */
+    report(entry) {
+        const { severity, ...payload } = { ...entry, themeName: this.themeName };
+        this.getReporter().report({ severity, ...payload });
+        severity === 'error' && emitError(this, payload);
+        severity === 'warning' && emitWarning(this, payload);
+    }
+
+    /**
+     * Warns that the SCSS is not compiled, as the optional sass dependency is missing.
+     */
+    reportMissingSass() {
+        this.report({
+            severity: 'warning',
+            code: 'sass-not-installed',
+            message: "SCSS files detected but 'sass' is not installed. Run: npm install sass"
+        });
+    }
+
+    /**
+     * Reports that PostCSS plugins are configured but the postcss package is not installed.
+     */
+    reportMissingPostCSS() {
+        this.report({
+            severity: 'warning',
+            code: 'postcss-not-installed',
+            message: "PostCSS plugins configured but 'postcss' is not installed. Run: npm install postcss"
+        });
+    }
+
     // #endregion Helpers
 
     /////////////////////
@@ -336,22 +827,59 @@ class ThemeBundler {
         } else {
             this.bundlePromise = this._bundle(minify);
         }
-        return this.bundlePromise.then(response => {
+        return this.bundlePromise.finally(() => {
             this.bundlePromise = null;
-            return Promise.resolve(response);
         });
     }
 
     /**
      * Bundles the theme into a stylesheet.
+     * Failures are emitted as error events before they are thrown, so tooling listening to the events sees them.
      * @param {boolean} minify
      * @returns {Promise<boolean>}
      */
     async _bundle(minify = false) {
         await this.promise;
+        try {
+            return await this.bundleStyles(minify);
+        } catch (error) {
+            emitError(this, this.getBundleFailure(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Describes why a bundle failed, plugin failures are named after the plugin and the hook that threw.
+     * The file is taken from the error if it has one, e.g. the file a lightningcss or fs error relates to.
+     * @param {unknown} error
+     * @param {string} [file] - The file the failure relates to otherwise, defaults to the target file.
+     * @returns {ErrorEventType}
+     */
+    getBundleFailure(error, file = this.getTargetFile()) {
+        const isPluginError = error instanceof PluginError;
+        /** @type {Record<string, string | undefined>} */
+        const details = Object(error);
+        return {
+            themeName: this.themeName,
+            code: isPluginError ? 'plugin-failed' : 'bundle-failed',
+            message: isPluginError ? error.message : `Failed to bundle theme '${this.themeName}'`,
+            file: details.file ?? details.fileName ?? details.path ?? file,
+            error
+        };
+    }
+
+    /**
+     * Writes, compiles, minifies and exports the bundled styles, refer to _bundle.
+     * @param {boolean} minify
+     * @returns {Promise<boolean>}
+     */
+    async bundleStyles(minify = false) {
         const { verbose } = this._config || {};
+        const startTime = performance.now();
+        this.emit('bundle:start', { themeName: this.themeName ?? '' });
 
-        verbose && console.info('Compiling CSS theme:', this.themeName);
+        const message = `Compiling CSS theme: ${this.themeName}`;
+        verbose && this.report({ severity: 'info', code: 'bundle-start', message });
         const { styles, targetFile, result } = await this.writeStyles();
         this.targetFile = targetFile;
         let css = styles;
@@ -360,7 +888,7 @@ class ThemeBundler {
         let targetCSS = this.getTargetFile();
         if (targetFile && this.extension === 'scss') {
             if (!this.hasSassSupport()) {
-                console.warn("⚠️  SCSS files detected but 'sass' is not installed. Run: npm install sass");
+                this.reportMissingSass();
                 css = styles;
             } else {
                 targetCSS = targetFile.replace('.scss', '.css');
@@ -369,18 +897,388 @@ class ThemeBundler {
                 minifiedTargetFile = minifiedTargetFile.replace('.scss', '.css');
             }
         }
-        if (MODE === 'production' || minify === true) {
-            const { code } = transform({
-                code: Buffer.from(css || ''),
-                minify: true,
-                filename: targetCSS
-            });
-            fs.writeFileSync(minifiedTargetFile, code);
+        if (css && this._config?.postcss && targetCSS.endsWith('.css')) {
+            css = await this.applyPostCSS(css, targetCSS);
         }
+        if (css && this.getPlugins().length) {
+            css = await this.applyBundlePlugins(css, targetCSS);
+        }
+        if (css && this.hasTransform() && targetCSS.endsWith('.css')) {
+            css = this.applyTransform(css, targetCSS);
+        }
+        let minifiedSize;
+        /** @type {CompressedSizesType | undefined} */
+        this.sizes = undefined;
+        if (this.getMode() === 'production' || minify === true) {
+            await this.minify(css || '', targetCSS, minifiedTargetFile);
+            minifiedSize = fs.statSync(minifiedTargetFile).size;
+            this.sizes = getCompressedSizes(
+                stripSourceMapComment(fs.readFileSync(minifiedTargetFile, 'utf8'))
+            );
+        } else if (css && this.budgets && targetCSS.endsWith('.css')) {
+            this.sizes = this.measureStyles(css, targetCSS);
+        }
+        this.reportBudgets(this.sizes);
         await this.exportBundle();
+        this.emit('bundle:end', {
+            themeName: this.themeName ?? '',
+            duration: performance.now() - startTime,
+            size: Buffer.byteLength(css ?? ''),
+            minifiedSize,
+            sizes: this.sizes,
+            targetFile: targetFile && targetCSS
+        });
         return result;
     }
 
+    /**
+     * Reports the budgets exceeded by the minified styles, as errors in production mode and as warnings otherwise.
+     * Without a minified file, the bundled styles are minified in memory to be measured.
+     * @param {CompressedSizesType} [sizes]
+     * @returns {BudgetViolationType[]}
+     */
+    reportBudgets(sizes) {
+        const violations = sizes && this.budgets ? checkBudgets(sizes, this.budgets) : [];
+        const severity = this.getMode() === 'production' ? 'error' : 'warning';
+        const file = this.getMinifiedTargetFile();
+        violations.forEach(({ compression, size, limit }) => {
+            const message = `Theme '${this.themeName}' exceeds its ${compression} budget: ${formatSize(size)} > ${formatSize(limit)}`;
+            this.report({ severity, code: 'budget-exceeded', message, file });
+        });
+        this.budgetViolations = violations.map(violation => ({ ...violation, themeName: this.themeName }));
+        return this.budgetViolations;
+    }
+
+    /**
+     * Minifies the bundled styles in memory to measure them against the budgets.
+     * Styles that fail to minify, e.g. after saving a stray brace in watch mode, are not measured and a warning is reported.
+     * @param {string} css
+     * @param {string} targetCSS - The file the compiled styles were written to.
+     * @returns {CompressedSizesType | undefined}
+     */
+    measureStyles(css, targetCSS) {
+        try {
+            return getCompressedSizes(this.minifyCSS(css));
+        } catch (error) {
+            const message = `Skipped the budgets of theme '${this.themeName}', its styles fail to minify`;
+            this.report({ severity: 'warning', code: 'budget-skipped', message, file: targetCSS, error });
+            return undefined;
+        }
+    }
+
+    /**
+     * Returns the raw, gzip and brotli sizes of the minified styles of the last bundle.
+     * @returns {CompressedSizesType | undefined}
+     */
+    getSizes() {
+        return this.sizes;
+    }
+
+    /**
+     * Returns the budgets exceeded in the last bundle.
+     * @returns {BudgetViolationType[]}
+     */
+    getBudgetViolations() {
+        return this.budgetViolations ?? [];
+    }
+
+    /**
+     * Bundles the theme in memory, without writing any files.
+     * The base theme is bundled in memory too, the common theme file is read from disk unless its CSS is given.
+     * The assets, inlined assets and imports of the last bundle are left as they are.
+     * @param {BundleToStringOptionsType} [options]
+     * @returns {Promise<InMemoryBundleType>}
+     * @throws {Error} - If the SCSS fails to compile or a plugin fails.
+     */
+    async bundleToString(options = {}) {
+        await this.promise;
+        const { commonThemeCSS, ownFiles = false, commonTheme = !ownFiles } = options;
+        const commonThemeFile = this._config?.commonThemeFile;
+        const hasCommonThemeCSS = typeof commonThemeCSS === 'string' && Boolean(commonThemeFile);
+        const base = !ownFiles && this.baseTheme && (await this.baseTheme.bundleToString());
+        const files = this.getFiles(!hasCommonThemeCSS && commonTheme);
+        const plugins = this.getPlugins();
+        const baseThemeFile = this.baseTheme?.getCSSTargetFile() ?? '';
+
+        const { assets, inlinedAssets, importChunks } = this;
+        this.assets = new Set();
+        this.inlinedAssets = new Map();
+        this.importChunks = new Map();
+        let styles = '';
+        try {
+            styles = base
+                ? runFileHook(plugins, this.rebaseURLs(baseThemeFile, base.css), baseThemeFile, this)
+                : '';
+            if (hasCommonThemeCSS && commonTheme && commonThemeFile && this.getName() !== 'common') {
+                styles += this.getCSS(commonThemeFile, commonThemeCSS) ?? '';
+            }
+            files.forEach(file => (styles += this.getCSS(file) ?? ''));
+        } finally {
+            this.assets = assets;
+            this.inlinedAssets = inlinedAssets;
+            this.importChunks = importChunks;
+        }
+
+        let css = this.extension === 'scss' ? await this.compileSCSSString(styles) : styles;
+        css = await this.compilePostCSSString(css);
+        css = await runTransformHook(plugins, 'transformBundle', css, this);
+        css = this.hasTransform() && css ? this.transformCSS(css).code.toString() : css;
+        const minified = await runTransformHook(plugins, 'afterMinify', this.minifyCSS(css), this);
+        return { css, minified, files: [...(base ? base.files : []), ...files] };
+    }
+
+    /**
+     * Bundles the theme in memory by layer, from its base themes to the theme itself, without the common theme.
+     * @returns {Promise<StyleLayerType[]>}
+     * @throws {Error} - If the SCSS fails to compile or a plugin fails.
+     */
+    async getStyleLayers() {
+        await this.promise;
+        const baseLayers = this.baseTheme ? await this.baseTheme.getStyleLayers() : [];
+        const { css } = await this.bundleToString({ ownFiles: true });
+        return [...baseLayers, { name: this.getName(), css }];
+    }
+
+    /**
+     * Compiles the bundled SCSS in memory, relative imports are resolved from the target file location.
+     * @param {string} scss
+     * @returns {Promise<string>}
+     */
+    async compileSCSSString(scss) {
+        if (!this.hasSassSupport()) {
+            this.reportMissingSass();
+            return scss;
+        }
+        const sass = /** @type {SassType} */ (await loadSass());
+        const options = { ...this.getSassOptions(sass), url: pathToFileURL(this.getTargetFile()) };
+        return sass.compileString(scss, options).css;
+    }
+
+    /**
+     * Runs the PostCSS plugins on the styles in memory.
+     * @param {string} css
+     * @returns {Promise<string>}
+     * @throws {Error} - If PostCSS fails.
+     */
+    async compilePostCSSString(css) {
+        const config = this._config?.postcss;
+        if (!config || !css) return css;
+        const postcss = await loadPostCSS();
+        if (!postcss) {
+            this.reportMissingPostCSS();
+            return css;
+        }
+        return (await processPostCSS(postcss, css, config, this.getCSSTargetFile())).css;
+    }
+
+    /**
+     * Compiles the design tokens of the theme to custom properties, aliases may refer to the tokens of its base theme.
+     * @returns {string} - Empty if the tokens are invalid, the error is reported instead.
+     */
+    compileTokensCSS() {
+        try {
+            const tokens = readTokens(this.getTokensFiles());
+            return compileTokens(tokens, mergeTokens(this.baseTheme?.getTokens() ?? {}, tokens));
+        } catch (error) {
+            this.report({
+                severity: 'error',
+                code: 'invalid-tokens',
+                message: `Failed to compile the design tokens of theme '${this.themeName}'`,
+                error
+            });
+            return '';
+        }
+    }
+
+    /**
+     * Extracts the critical CSS of the theme for HTML pages, i.e. the rules matching their elements.
+     * It is written to [page].[themeName].critical.css, or inlined in the head of each page.
+     * The `url()` references are rebased on the directory the critical CSS is written to.
+     * @param {string[]} pages - The HTML files.
+     * @param {ExtractCriticalOptionsType} [options]
+     * @returns {Promise<CriticalCSSType[]>}
+     * @throws {Error} - If the theme fails to bundle or a page can't be read.
+     */
+    async extractCritical(pages, options = {}) {
+        const { inline = false, outDir, minify = false, commonThemeCSS } = options;
+        const { css } = await this.bundleToString({ commonThemeCSS });
+        const themeName = this.getName();
+        return pages.map(page => {
+            const html = fs.readFileSync(page, 'utf8');
+            const dir = inline ? PATH.dirname(page) : (outDir ?? PATH.dirname(page));
+            const critical = this.rebaseBundledURLs(extractCriticalCSS(css, html, { minify }), dir);
+            if (inline) {
+                writeFileSync(page, inlineCriticalCSS(html, critical, themeName));
+                return { themeName, page, css: critical, file: page };
+            }
+            const file = PATH.join(dir, `${PATH.parse(page).name}.${themeName}.critical.css`);
+            mkdirSync(dir, { recursive: true });
+            writeFileSync(file, critical);
+            return { themeName, page, css: critical, file };
+        });
+    }
+
+    /**
+     * Returns the minified styles.
+     * @param {string} css
+     * @returns {string}
+     */
+    minifyCSS(css) {
+        return this.transformCSS(css, { minify: true }).code.toString();
+    }
+
+    /**
+     * Whether the bundled styles are compiled by lightningcss, i.e. if there are browser targets or syntax options.
+     * @returns {boolean}
+     */
+    hasTransform() {
+        const { drafts, nonStandard, unusedSymbols } = this._config ?? {};
+        return Boolean(this.targets || drafts || nonStandard || unusedSymbols?.length);
+    }
+
+    /**
+     * Runs the styles through lightningcss with the browser targets and syntax options of the theme.
+     * Custom media queries are always compiled, as no browser supports them yet.
+     * @param {string} css
+     * @param {Partial<TransformOptionsType>} [options] - Overrides the default options, e.g. minify.
+     * @returns {import('lightningcss').TransformResult}
+     */
+    transformCSS(css, options = {}) {
+        const { drafts, nonStandard, unusedSymbols } = this._config ?? {};
+        return transform({
+            code: Buffer.from(css),
+            filename: this.getCSSTargetFile(),
+            targets: this.targets,
+            drafts,
+            nonStandard,
+            unusedSymbols,
+            ...(drafts?.customMedia && { include: Features.CustomMediaQueries }),
+            ...options
+        });
+    }
+
+    /**
+     * Lowers modern syntax and adds vendor prefixes for the browser targets, and applies the syntax options.
+     * The compiled styles are rewritten along with their source map.
+     * Failures, e.g. a stray brace while editing, are reported and the styles are kept as they are.
+     * @param {string} css
+     * @param {string} targetCSS - The file the compiled styles were written to.
+     * @returns {string}
+     */
+    applyTransform(css, targetCSS) {
+        const dir = PATH.dirname(targetCSS);
+        try {
+            const { code, map } = this.transformCSS(css, {
+                filename: targetCSS,
+                sourceMap: Boolean(this.cssSourceMap),
+                projectRoot: dir
+            });
+            const targetsMap = map ? resolveSources(JSON.parse(map.toString()), dir) : undefined;
+            return this.rewriteTargetCSS(code.toString(), targetCSS, targetsMap);
+        } catch (error) {
+            const message = 'Failed to transform the styles with lightningcss';
+            this.report({ severity: 'error', code: 'transform-failed', message, file: targetCSS, error });
+            return css;
+        }
+    }
+
+    /**
+     * Runs the PostCSS plugins on the compiled styles, the source map is chained to the one of the previous step.
+     * Failures are reported and the styles are kept as they are.
+     * @param {string} css
+     * @param {string} targetCSS - The file the compiled styles were written to.
+     * @returns {Promise<string>}
+     */
+    async applyPostCSS(css, targetCSS) {
+        const postcss = await loadPostCSS();
+        if (!postcss || !this._config?.postcss) {
+            this.reportMissingPostCSS();
+            return css;
+        }
+        try {
+            const styles = stripSourceMapComment(css);
+            const sourceMap = Boolean(this.cssSourceMap);
+            const result = await processPostCSS(postcss, styles, this._config.postcss, targetCSS, sourceMap);
+            return this.rewriteTargetCSS(result.css, targetCSS, result.map);
+        } catch (error) {
+            const message = 'Failed to run PostCSS';
+            this.report({ severity: 'error', code: 'postcss-failed', message, file: targetCSS, error });
+            return css;
+        }
+    }
+
+    /**
+     * Rewrites the compiled styles after a compilation step.
+     * The source map of the step is composed with the one of the previous step, so it maps to the original files.
+     * @param {string} css
+     * @param {string} targetCSS
+     * @param {SourceMapType} [map] - The source map of the step, with absolute sources.
+     * @returns {string}
+     */
+    rewriteTargetCSS(css, targetCSS, map) {
+        /** @type {SourceMapType | undefined} */
+        const inputMap = this.cssSourceMap;
+        let rv = css;
+        if (map && inputMap) {
+            const mapFile = this.getSourceMapFile(targetCSS);
+            const composedMap = composeSourceMaps(
+                { ...map, file: targetCSS },
+                inputMap,
+                PATH.resolve(targetCSS)
+            );
+            writeSourceMap(mapFile, composedMap);
+            this.cssSourceMap = composedMap;
+            rv += getSourceMapComment(mapFile);
+        }
+        fs.writeFileSync(targetCSS, rv);
+        return rv;
+    }
+
+    /**
+     * Runs the transformBundle hook of the plugins on the compiled styles and rewrites them if they changed.
+     * The source map comment is kept at the end of the file, the source map itself is not adjusted.
+     * @param {string} css
+     * @param {string} targetCSS - The file the compiled styles were written to.
+     * @returns {Promise<string>}
+     */
+    async applyBundlePlugins(css, targetCSS) {
+        const styles = stripSourceMapComment(css);
+        const transformed = await runTransformHook(this.getPlugins(), 'transformBundle', styles, this);
+        if (transformed === styles) return css;
+        const rv = transformed + css.slice(styles.length);
+        fs.writeFileSync(targetCSS, rv);
+        return rv;
+    }
+
+    /**
+     * Minifies the compiled styles and writes them to the minified target file, along with their source map.
+     * The afterMinify hook of the plugins runs on the minified styles.
+     * @param {string} css
+     * @param {string} targetCSS - The file the compiled styles were written to.
+     * @param {string} minifiedTargetFile
+     * @returns {Promise<void>}
+     */
+    async minify(css, targetCSS, minifiedTargetFile) {
+        const dir = PATH.dirname(targetCSS);
+        const inputMap = this.cssSourceMap && relativizeSources(this.cssSourceMap, dir);
+        const { code, map } = this.transformCSS(css, {
+            minify: true,
+            filename: targetCSS,
+            sourceMap: Boolean(inputMap),
+            projectRoot: dir,
+            inputSourceMap: inputMap ? JSON.stringify(inputMap) : undefined
+        });
+        const minified = await runTransformHook(this.getPlugins(), 'afterMinify', code.toString(), this);
+        if (!map) {
+            fs.writeFileSync(minifiedTargetFile, minified);
+            return;
+        }
+        const mapFile = this.getSourceMapFile(minifiedTargetFile);
+        const minifiedMap = removeUnmappedSources(resolveSources(JSON.parse(map.toString()), dir));
+        writeSourceMap(mapFile, { ...minifiedMap, file: minifiedTargetFile });
+        fs.writeFileSync(minifiedTargetFile, minified + getSourceMapComment(mapFile));
+    }
+
     /**
      * Writes the bundled styles to a file.
      * @param {string} [styles]
@@ -388,20 +1286,32 @@ class ThemeBundler {
      */
     async writeStyles(styles = undefined) {
         const { verbose } = this._config || {};
+        const isMerged = typeof styles === 'undefined';
         styles = styles ?? (await this.mergeFiles());
         if (!styles?.trim().length) {
-            const message = '⚠️  No CSS found in theme file';
-            verbose && console.warn(message, this.themeName);
+            const message = `No CSS found in theme file: ${this.themeName}`;
+            if (verbose) {
+                this.report({ severity: 'warning', code: 'empty-theme', message });
+            } else {
+                emitWarning(this, { code: 'empty-theme', message, themeName: this.themeName });
+            }
             return Promise.resolve({ message, styles });
         }
         const targetFile = this.getTargetFile();
+        this.cssSourceMap = undefined;
+        if (isMerged && this.sourceMap && this.extension === 'css') {
+            const mapFile = this.getSourceMapFile(targetFile);
+            writeSourceMap(mapFile, this.sourceMap);
+            this.cssSourceMap = this.sourceMap;
+            styles += getSourceMapComment(mapFile);
+        }
         const result = await fs.writeFileSync(targetFile, styles);
         return { result, styles, targetFile };
     }
 
     /**
      * Exports the bundled theme.
-     * Will create a directory with the theme name in the export path if it doesn't exist and save the minified bundle file and the fonts directory.
+     * Will create a directory with the theme name in the export path if it doesn't exist and save the bundle files, the referenced assets and the fonts and images directories.
      * @returns {Promise<boolean>}
      */
     async exportBundle() {
@@ -412,39 +1322,206 @@ class ThemeBundler {
             mkdirSync(exportDir, { recursive: true });
         }
 
-        const targetFile = this.getTargetFile();
-
-        if (existsSync(targetFile)) {
-            copyFileSync(targetFile, PATH.normalize(`${exportDir}/${this.themeName}.bundled.css`));
+        const assets = this.exportAssets(exportDir);
+        const cssTargetFile = this.getCSSTargetFile();
+        const targetFile = existsSync(cssTargetFile) ? cssTargetFile : this.getTargetFile();
+        const bundledFile = this.exportStylesheet(targetFile, exportDir, 'bundled.css');
+        const minifiedFile = this.exportStylesheet(this.getMinifiedTargetFile(), exportDir, 'min.css');
+        const compressedFiles = this.exportCompressed(minifiedFile);
+        if (this.getHashLength()) {
+            this.pruneHashedFiles(exportDir, [bundledFile, minifiedFile, ...assets]);
         }
 
-        const minifiedTargetFile = this.getMinifiedTargetFile();
-        if (existsSync(minifiedTargetFile)) {
-            copyFileSync(minifiedTargetFile, PATH.normalize(`${exportDir}/${this.themeName}.min.css`));
-        }
         const fontsDIR = PATH.normalize(`${this.path}/fonts`);
         const fontsExportDIR = PATH.normalize(`${exportDir}/fonts`);
         this.exportDir(fontsDIR, fontsExportDIR);
 
         const imagesDIR = PATH.normalize(`${this.path}/images`);
         const imagesExportDIR = PATH.normalize(`${exportDir}/images`);
-        return this.exportDir(imagesDIR, imagesExportDIR);
+        const rv = await this.exportDir(imagesDIR, imagesExportDIR);
+
+        const dirAssets = [fontsExportDIR, imagesExportDIR].flatMap(dir => this.listFiles(dir));
+        /**
+         * Returns a path relative to the export path, as used in the manifest.
+         * @param {string} file
+         * @returns {string}
+         */
+        const toManifestPath = file => PATH.relative(exportPath, file).split(PATH.sep).join('/');
+        /** @type {ManifestEntryType} */
+        this.manifestEntry = {
+            bundled: bundledFile && toManifestPath(bundledFile),
+            minified: minifiedFile && toManifestPath(minifiedFile),
+            assets: [...new Set([...dirAssets, ...assets])].map(toManifestPath),
+            ...(compressedFiles.length && { compressed: compressedFiles.map(toManifestPath) })
+        };
+        await runExportHook(this.getPlugins(), exportDir, this);
+        this.emit('export', { themeName: this.themeName ?? '', exportDir, files: this.manifestEntry });
+        return rv;
+    }
+
+    /**
+     * Exports a stylesheet along with its source map.
+     * When hashing is enabled, the content hash is added to the file name and its source map comment.
+     * @param {string} file - The stylesheet.
+     * @param {string} exportDir - The directory to export to.
+     * @param {string} suffix - The suffix of the exported file name, e.g. 'min.css'.
+     * @returns {string | undefined} - The exported file.
+     */
+    exportStylesheet(file, exportDir, suffix) {
+        if (!existsSync(file)) return undefined;
+        const hashLength = this.getHashLength();
+        if (!hashLength) {
+            const destination = PATH.normalize(`${exportDir}/${this.themeName}.${suffix}`);
+            fs.writeFileSync(destination, this.getExportedCSS(fs.readFileSync(file, 'utf8'), exportDir));
+            this.exportSourceMap(file, destination);
+            return destination;
+        }
+        const css = this.getExportedCSS(stripSourceMapComment(fs.readFileSync(file, 'utf8')), exportDir);
+        const hash = createHash('sha256').update(css).digest('hex').slice(0, hashLength);
+        const destination = PATH.normalize(`${exportDir}/${this.themeName}.${hash}.${suffix}`);
+        const map = readSourceMap(this.getSourceMapFile(file));
+        const mapFile = this.getSourceMapFile(destination);
+        map && writeSourceMap(mapFile, { ...map, file: destination });
+        fs.writeFileSync(destination, map ? css + getSourceMapComment(mapFile) : css);
+        return destination;
+    }
+
+    /**
+     * Copies the assets referenced by the last bundle to the export directory, refer to getAssetPath.
+     * @param {string} exportDir
+     * @returns {string[]} - The exported assets.
+     */
+    exportAssets(exportDir) {
+        this.exportedAssets = new Map();
+        this.assets.forEach(asset => {
+            const destination = PATH.join(
+                exportDir,
+                getAssetPath(asset, this.path ?? '', this.getHashLength())
+            );
+            mkdirSync(PATH.dirname(destination), { recursive: true });
+            copyFileSync(asset, destination);
+            this.exportedAssets.set(asset, destination);
+        });
+        return [...this.exportedAssets.values()];
+    }
+
+    /**
+     * Points the `url()` references of the bundled styles to the exported assets.
+     * @param {string} css - Styles bundled to the target file, e.g. by bundle or bundleToString.
+     * @param {string} dir - The directory of the exported stylesheet.
+     * @returns {string}
+     */
+    getExportedCSS(css, dir) {
+        if (!this.exportedAssets.size) return css;
+        const targetDir = PATH.dirname(this.getTargetFile());
+        return replaceURLs(css, url => {
+            const { file, suffix } = resolveURL(url, targetDir);
+            const asset = this.exportedAssets.get(file);
+            return asset && getRelativeURL(dir, asset) + suffix;
+        });
+    }
+
+    /**
+     * Rebases the `url()` references of the bundled styles on another directory, e.g. of a page.
+     * The exported copies of the assets are referenced if the theme was exported, the source files otherwise.
+     * @param {string} css - Styles bundled to the target file, e.g. by bundle or bundleToString.
+     * @param {string} dir
+     * @returns {string}
+     */
+    rebaseBundledURLs(css, dir) {
+        const targetDir = PATH.dirname(this.getTargetFile());
+        return replaceURLs(css, url => {
+            const { file, suffix } = resolveURL(url, targetDir);
+            return getRelativeURL(dir, this.exportedAssets.get(file) ?? file) + suffix;
+        });
+    }
+
+    /**
+     * Writes the compressed copies of an exported stylesheet next to it, e.g. default.min.css.gz and default.min.css.br.
+     * @param {string} [file] - The exported stylesheet.
+     * @returns {string[]} - The compressed files.
+     */
+    exportCompressed(file) {
+        const compressions = this.getCompressions();
+        if (!file || !compressions.length) return [];
+        const css = fs.readFileSync(file);
+        return compressions.map(compression => {
+            const destination = file + COMPRESSION_EXTENSIONS[compression];
+            fs.writeFileSync(destination, compress(css, compression));
+            return destination;
+        });
+    }
+
+    /**
+     * Returns the compressions of the exported minified file, set through the compress option.
+     * @returns {CompressionType[]}
+     */
+    getCompressions() {
+        const { compress } = this._config ?? {};
+        if (compress === true) return COMPRESSIONS;
+        return Array.isArray(compress) ? compress : [];
+    }
+
+    /**
+     * Removes previously exported hashed files of the theme from the export directory, i.e. its stylesheets and assets.
+     * Files which exist at the same path in the theme directory, e.g. copied with the fonts and images directories, are kept.
+     * @param {string} exportDir
+     * @param {(string | undefined)[]} [keep] - Exported files to keep, along with their source maps.
+     */
+    pruneHashedFiles(exportDir, keep = []) {
+        if (!existsSync(exportDir)) return;
+        const hashLength = this.getHashLength() || 8;
+        const name = this.themeName?.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const hashedFile = new RegExp(`^${name}\\.[0-9a-f]{${hashLength}}\\.`);
+        const hashedAsset = new RegExp(`\\.[0-9a-f]{${hashLength}}(\\.[^.]*)?$`);
+        /**
+         * Whether a file is a hashed stylesheet or asset of the theme.
+         * @param {string} file
+         * @returns {boolean}
+         */
+        const isHashed = file => {
+            const path = PATH.relative(exportDir, file);
+            if (hashedFile.test(path)) return true;
+            return hashedAsset.test(PATH.basename(file)) && !existsSync(PATH.join(this.path ?? '', path));
+        };
+        this.listFiles(exportDir)
+            .filter(isHashed)
+            .filter(file => !keep.some(keptFile => keptFile && file.startsWith(keptFile)))
+            .forEach(file => fs.unlinkSync(file));
+    }
+
+    /**
+     * Returns all files in a directory and its subdirectories.
+     * @param {string} dir
+     * @returns {string[]}
+     */
+    listFiles(dir) {
+        if (!existsSync(dir)) return [];
+        return readdirSync(dir, { recursive: true, withFileTypes: true })
+            .filter(entry => entry.isFile())
+            .map(entry => PATH.join(entry.parentPath, entry.name));
     }
 
     /**
-     * Exports a directory.
+     * Exports the source map of a stylesheet, making its sources relative to the exported stylesheet.
+     * @param {string} file - The stylesheet.
+     * @param {string} destination - The exported stylesheet.
+     */
+    exportSourceMap(file, destination) {
+        const map = readSourceMap(this.getSourceMapFile(file));
+        map && writeSourceMap(this.getSourceMapFile(destination), map);
+    }
+
+    /**
+     * Exports a directory and its subdirectories, leaving out the assets exported by exportAssets.
      * @param {string} origin
      * @param {string} destination
      * @returns {Promise<boolean>}
      */
     async exportDir(origin, destination) {
         if (existsSync(origin)) {
-            if (!existsSync(destination)) {
-                mkdirSync(destination, { recursive: true });
-            }
-            readdirSync(origin).forEach(file => {
-                copyFileSync(`${origin}/${file}`, `${destination}/${file}`);
-            });
+            const filter = (/** @type {string} */ file) => !this.exportedAssets.has(PATH.resolve(file));
+            fs.cpSync(origin, destination, { recursive: true, filter });
         }
         return true;
     }
@@ -456,30 +1533,76 @@ class ThemeBundler {
     async mergeFiles() {
         this.css = '';
         this.files = this.getFiles();
+        this.assets.clear();
+        this.inlinedAssets.clear();
+        this.importChunks.clear();
+        this.missingAssets.clear();
+        /** @type {SourceMapChunkType[]} */
+        const chunks = [];
         if (this.baseTheme) {
-            this.css += await this.bundleBaseTheme();
+            const baseThemeFile = this.baseTheme.getCSSTargetFile();
+            const baseThemeCSS = this.rebaseURLs(baseThemeFile, await this.bundleBaseTheme());
+            const css = runFileHook(this.getPlugins(), baseThemeCSS, baseThemeFile, this);
+            this.css += css;
+            const mapFile = this.getSourceMapFile(baseThemeFile);
+            chunks.push({ content: css, map: this.hasSourceMap() ? readSourceMap(mapFile) : undefined });
         }
         this.files?.forEach(file => {
             const css = this.getCSS(file);
             if (typeof css === 'string') {
                 this.css += css;
+                chunks.push(...this.getSourceMapChunks(file, css));
             }
         });
+        /** @type {SourceMapType | undefined} */
+        this.sourceMap = this.hasSourceMap() ? concatSourceMaps(chunks, this.getTargetFile()) : undefined;
         return this.css;
     }
 
+    /**
+     * Returns the source map chunks of a file's CSS as returned by getCSS.
+     * Bundled files such as the common theme file are mapped through their own source map if they have one.
+     * Files with inlined imports are mapped to each imported file, unless a plugin changed their contents.
+     * @param {string} file
+     * @param {string} css
+     * @returns {SourceMapChunkType[]}
+     */
+    getSourceMapChunks(file, css) {
+        if (!this.hasSourceMap()) {
+            return [{ content: css }];
+        }
+        const comment = this.getFileComment(file);
+        const offset = css.startsWith(comment) ? comment.split('\n').length - 1 : 0;
+        const sourceContent = css.slice(offset ? comment.length : 0);
+        const importChunks = this.importChunks.get(file);
+        if (importChunks?.map(({ content }) => content).join('') === sourceContent) {
+            return [...(offset ? [{ content: comment }] : []), ...importChunks];
+        }
+        const map = readSourceMap(this.getSourceMapFile(file));
+        return [{ content: css, offset, map, source: file, sourceContent }];
+    }
+
     /**
      * Bundles and returns the base theme contents.
      * @returns {Promise<string>}
      */
     async bundleBaseTheme() {
+        if (this.cacheEnabled && typeof this.cachedBaseThemeCSS === 'string') {
+            return this.cachedBaseThemeCSS;
+        }
         await this.baseTheme?.bundle();
         const targetFile = this.baseTheme?.getCSSTargetFile();
         if (!targetFile) {
-            console.error('🚫 No target file found for base theme');
+            this.report({
+                severity: 'error',
+                code: 'base-theme-target-missing',
+                message: 'No target file found for base theme'
+            });
             return '';
         }
-        return await fs.readFileSync(targetFile).toString();
+        const css = stripSourceMapComment(await fs.readFileSync(targetFile).toString());
+        this.cachedBaseThemeCSS = this.cacheEnabled ? css : undefined;
+        return css;
     }
 
     /**
@@ -490,12 +1613,30 @@ class ThemeBundler {
      */
     async scssToCss(scssFile, cssFile) {
         try {
-            const sass = await import('sass');
-            const result = sass.compile(scssFile);
-            await writeFileSync(cssFile, result.css);
-            return result.css;
+            const sass = await loadSass();
+            if (!sass) throw new Error("Cannot load 'sass'");
+            const sourceMap = Boolean(this.sourceMap);
+            const options = { ...this.getSassOptions(sass), sourceMap, sourceMapIncludeSources: sourceMap };
+            const result = sass.compile(scssFile, options);
+            let css = result.css;
+            if (this.sourceMap && result.sourceMap) {
+                const rawMap = { ...result.sourceMap, version: 3, file: cssFile };
+                const map = resolveSources(rawMap, PATH.dirname(scssFile));
+                const mapFile = this.getSourceMapFile(cssFile);
+                this.cssSourceMap = composeSourceMaps(map, this.sourceMap, PATH.resolve(scssFile));
+                writeSourceMap(mapFile, this.cssSourceMap);
+                css += getSourceMapComment(mapFile);
+            }
+            await writeFileSync(cssFile, css);
+            return css;
         } catch (error) {
-            console.error('Failed to compile SCSS', error);
+            this.report({
+                severity: 'error',
+                code: 'scss-compile-failed',
+                message: 'Failed to compile SCSS',
+                file: scssFile,
+                error
+            });
             return undefined;
         }
     }
@@ -506,7 +1647,14 @@ class ThemeBundler {
     cleanup() {
         const name = this.themeName;
         const ext = this.extension;
-        const files = [`${name}.bundled.${ext}`, `${name}.min.css`, `${name}.bundled.css.map`];
+        const exportPath = this._config?.exportPath;
+        const files = [
+            `${name}.bundled.${ext}`,
+            `${name}.min.css`,
+            `${name}.bundled.css.map`,
+            `${name}.min.css.map`,
+            ...COMPRESSIONS.map(compression => `${name}.min.css${COMPRESSION_EXTENSIONS[compression]}`)
+        ];
         if (this.extension === 'scss') {
             files.push(`${this.themeName}.bundled.css`);
         }
@@ -515,13 +1663,17 @@ class ThemeBundler {
             if (fs.existsSync(filePath)) {
                 fs.unlinkSync(filePath);
             }
-            const exportPath = this._config?.exportPath;
             const exportedFilePath = PATH.normalize(`${exportPath}/${name}/${file}`);
             if (exportPath && fs.existsSync(exportedFilePath)) {
                 fs.unlinkSync(exportedFilePath);
             }
         });
 
+        if (exportPath && this.getHashLength()) {
+            this.pruneHashedFiles(PATH.normalize(`${exportPath}/${name}`));
+        }
+        this.manifestEntry = undefined;
+
         this.clearWatchers();
         if (this.baseTheme) {
             this.baseTheme.cleanup();
@@ -533,6 +1685,10 @@ class ThemeBundler {
             watcher?.close();
         });
         this.watchers = [];
+        this.watcherPromises = [];
+        this.importsWatcher = undefined;
+        this.cacheEnabled = false;
+        this.invalidateCache();
     }
 
     // #endregion Bundling
@@ -542,19 +1698,39 @@ class ThemeBundler {
     ////////////////////
 
     /**
-     * Watches the theme files for changes.
+     * Watches the theme files for changes, resolves once all watchers are ready.
      * @param {StyleUpdateCallbackType} [callback]
      * @param {boolean} [bundle]
      * @param {boolean} [minify]
      */
     async watch(callback, bundle = true, minify = false) {
         await this.promise;
+        this.cacheEnabled = true;
         if (this.baseTheme) {
             await this.baseTheme.promise;
-            this.baseTheme.watch(() => this.bundle(minify), false);
+            await this.baseTheme.watch(() => {
+                this.cachedBaseThemeCSS = undefined;
+                this.invalidateCache(this.getTokensFile());
+                return this.bundle(minify);
+            }, false);
         }
         this.watchPatterns(bundle, minify, callback);
+        this.watchTokens(bundle, minify, callback);
+        this.watchImports(bundle, minify, callback);
         this.path && this.watchPath(this.path, bundle, minify, callback);
+        await Promise.all(this.watcherPromises);
+    }
+
+    /**
+     * Creates a watcher for the given path, initial files are not reported as added.
+     * @param {string | string[]} path
+     * @returns {import('chokidar').FSWatcher}
+     */
+    createWatcher(path) {
+        const watcher = chokidar.watch(path, { persistent: true, ignoreInitial: true });
+        this.watchers.push(watcher);
+        this.watcherPromises.push(new Promise(resolve => watcher.once('ready', () => resolve())));
+        return watcher;
     }
 
     /**
@@ -565,20 +1741,17 @@ class ThemeBundler {
      * @param {StyleUpdateCallbackType} [callback] - The callback to execute after a change.
      */
     watchPath(path, bundle = true, minify = false, callback) {
-        this.watcher = chokidar.watch(path, { persistent: true });
-        this.watchers.push(this.watcher);
-        this.watcher.on('change', async filePath => {
+        this.watcher = this.createWatcher(path);
+        this.watcher.on('all', async (eventName, filePath) => {
             const bundledFile = `${this.themeName}.bundled.${this.extension}`;
             const fileName = PATH.basename(filePath);
-            if (
-                !filePath.endsWith('.min.css') &&
-                fileName &&
-                ![bundledFile].includes(fileName) &&
-                PATH.extname(filePath) === `.${this.extension}`
-            ) {
-                bundle && (await this.bundle(minify));
-                this.callWatchCallback(callback, 'change', filePath);
-            }
+            const isThemeFile =
+                (!filePath.endsWith('.min.css') &&
+                    fileName &&
+                    ![bundledFile].includes(fileName) &&
+                    PATH.extname(filePath) === `.${this.extension}`) ||
+                this.isImportedFile(filePath);
+            await this.handleWatchEvent(eventName, filePath, Boolean(isThemeFile), bundle, minify, callback);
         });
     }
 
@@ -595,6 +1768,22 @@ class ThemeBundler {
         }
     }
 
+    /**
+     * Watches the design tokens files and re-bundles the theme with the recompiled custom properties.
+     * @param {boolean} bundle - Whether to bundle the theme after a change.
+     * @param {boolean} [minify] - Whether to minify the theme after a change.
+     * @param {StyleUpdateCallbackType} [callback] - The callback to execute after a change.
+     */
+    watchTokens(bundle = true, minify = false, callback) {
+        const files = this.getTokensFiles();
+        if (!files.length) return;
+        const watcher = this.createWatcher(files);
+        watcher.on('all', async (eventName, filePath) => {
+            this.invalidateCache(this.getTokensFile());
+            await this.handleWatchEvent(eventName, filePath, true, bundle, minify, callback);
+        });
+    }
+
     /**
      * Watches the given pattern path for changes and bundles the theme.
      * @param {string} pattern
@@ -603,25 +1792,136 @@ class ThemeBundler {
      * @param {boolean} [minify]
      */
     watchPattern(pattern, callback, bundle = true, minify = false) {
-        const path = pattern.replace('/**/*', '').replace('/*', '');
+        const path = this.getPatternDir(pattern);
         if (!fs.existsSync(path)) return;
-        const watcher = chokidar.watch(path, { persistent: true });
-        this.watchers.push(watcher);
-        watcher.on('change', async filePath => {
+        const watcher = this.createWatcher(path);
+        watcher.on('all', async (eventName, filePath) => {
             const ext = PATH.extname(filePath).slice(1);
             const subExt = PATH.basename(filePath).split('.')[1];
-            if (this.extension === ext && subExt === this.themeName) {
-                bundle && (await this.bundle(minify));
-                this.callWatchCallback(callback, 'change', filePath);
-            }
+            const isThemeFile =
+                (this.extension === ext && subExt === this.themeName) || this.isImportedFile(filePath);
+            await this.handleWatchEvent(eventName, filePath, isThemeFile, bundle, minify, callback);
+        });
+    }
+
+    /**
+     * Returns the directory watched for a pattern.
+     * @param {string} pattern
+     * @returns {string}
+     */
+    getPatternDir(pattern) {
+        return pattern.replace('/**/*', '').replace('/*', '');
+    }
+
+    /**
+     * Watches the files imported with `@import` from outside the theme path and the pattern directories, e.g. packages.
+     * The imported files are known once the theme is bundled, so the watcher is updated after each bundle while watching.
+     * @param {boolean} bundle - Whether to bundle the theme after a change.
+     * @param {boolean} [minify] - Whether to minify the theme after a change.
+     * @param {StyleUpdateCallbackType} [callback] - The callback to execute after a change.
+     */
+    watchImports(bundle = true, minify = false, callback) {
+        const dirs = [this.path ?? '', ...this.getPatterns(false).map(pattern => this.getPatternDir(pattern))]
+            .filter(Boolean)
+            .map(dir => PATH.resolve(dir) + PATH.sep);
+        const files = this.getImportedFiles().filter(file => !dirs.some(dir => file.startsWith(dir)));
+        if (this.importsWatcher) {
+            files.length && this.importsWatcher.add(files);
+            return;
+        }
+        // chokidar is not ready until it watches a path
+        if (!files.length) return;
+        this.importsWatcher = this.createWatcher(files);
+        this.importsWatcher.on('all', async (eventName, filePath) => {
+            await this.handleWatchEvent(
+                eventName,
+                filePath,
+                this.isImportedFile(filePath),
+                bundle,
+                minify,
+                callback
+            );
         });
     }
 
+    /**
+     * Checks if a file was inlined with `@import` in the last bundle.
+     * @param {string} file
+     * @returns {boolean}
+     */
+    isImportedFile(file) {
+        return this.getImportedFiles().includes(PATH.resolve(file));
+    }
+
+    /**
+     * Re-bundles the theme after a watch event, failures are reported so the watcher keeps running.
+     * A failing callback is reported on its own, with the watch-callback-failed code.
+     * Files are only handled if they belong to the theme, while added or removed directories may contain theme files.
+     * Added and removed files re-resolve the includes and pattern files on the next bundle.
+     * @param {string} eventName - The chokidar event name, e.g. 'change', 'add', 'unlink', 'addDir' or 'unlinkDir'.
+     * @param {string} filePath - The path of the file or directory.
+     * @param {boolean} isThemeFile - Whether the file belongs to the theme.
+     * @param {boolean} [bundle] - Whether to bundle the theme.
+     * @param {boolean} [minify] - Whether to minify the theme.
+     * @param {StyleUpdateCallbackType} [callback] - The callback to execute after bundling.
+     */
+    async handleWatchEvent(eventName, filePath, isThemeFile, bundle = true, minify = false, callback) {
+        const isDir = eventName === 'addDir' || eventName === 'unlinkDir';
+        if (!WATCH_EVENTS.includes(eventName) || (!isDir && !isThemeFile)) return;
+        this.emit('file:change', { themeName: this.themeName ?? '', eventName, filePath });
+        this.invalidateCache(filePath);
+        if (eventName !== 'change') {
+            this.cachedFiles = undefined;
+        }
+        try {
+            bundle && (await this.bundle(minify));
+        } catch (error) {
+            // The error event is emitted by _bundle, the watcher keeps running until the next change.
+            this.getReporter().report({ severity: 'error', ...this.getBundleFailure(error, filePath) });
+            return;
+        }
+        this.watchImports(bundle, minify, callback);
+        try {
+            await this.callWatchCallback(callback, eventName, filePath);
+        } catch (error) {
+            this.report({
+                severity: 'error',
+                code: 'watch-callback-failed',
+                message: `The watch callback of theme '${this.themeName}' failed`,
+                file: filePath,
+                error
+            });
+        }
+    }
+
+    /**
+     * Drops a file from the cache so it is read again on the next bundle, or the whole cache if no file is given.
+     * The file list is dropped as well if the file is neither part of it nor imported, so new files are picked up.
+     * @param {string} [file]
+     */
+    invalidateCache(file) {
+        if (!file) {
+            this.fileCache.clear();
+            this.cachedFiles = undefined;
+            this.cachedBaseThemeCSS = undefined;
+            return;
+        }
+        const key = PATH.resolve(file);
+        this.fileCache.delete(key);
+        if (
+            !this.cachedFiles?.some(cachedFile => PATH.resolve(cachedFile) === key) &&
+            !this.isImportedFile(key)
+        ) {
+            this.cachedFiles = undefined;
+        }
+    }
+
     /**
      * Calls the watch callback defined in the config with the given payload.
      * @param {StyleUpdateCallbackType | undefined} callback - The callback to execute.
      * @param {string} eventName - The name of the event that triggered the callback.
      * @param {string} filePath - The path of the file that triggered the callback.
+     * @returns {void | Promise<unknown>} - The result of the callback, e.g. a bundle started by it.
      */
     callWatchCallback(callback, eventName, filePath) {
         if (typeof callback !== 'function') return;
@@ -632,7 +1932,7 @@ class ThemeBundler {
             themeName: this.themeName,
             targetFile: this.targetFile
         };
-        callback(payload, this);
+        return callback(payload, this);
     }
 
     // #endregion Watch
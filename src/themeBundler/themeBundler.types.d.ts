@@ -1,3 +1,13 @@
+import { Drafts, NonStandard } from 'lightningcss';
+import { ReporterConfigType } from '../reporter/reporter.types.js';
+import { TargetsConfigType } from '../targets/targets.types.js';
+import { ThemeBundlerPluginType } from '../plugins/plugins.types.js';
+import { PostCSSConfigType } from '../postcss/postcss.types.js';
+import { SassConfigType } from '../sass/sass.types.js';
+import { BudgetsConfigType } from '../budgets/budgets.types.js';
+import { CompressionType } from '../compression/compression.types.js';
+import { TokensConfigType } from '../tokens/tokens.types.js';
+
 export type ThemeBundlerConfigType = {
     /**
      * @property {string} path - The absolute path to the theme directory containing all stylesheets.
@@ -62,5 +72,152 @@ export type ThemeBundlerConfigType = {
      * @property {boolean} verbose - If set to true it logs the output of the compilation process.
      */
     verbose?: boolean;
+
+    /**
+     * @property {'development' | 'production'} mode - The production mode minifies the theme and reports exceeded budgets as errors.
+     * Defaults to the --mode argument of the process.
+     */
+    mode?: 'development' | 'production';
+
+    /**
+     * @property {boolean} sourceMap - If set to true, source maps are written next to the bundled and minified files.
+     * They map every rule back to the original include or pattern file, including SCSS partials.
+     */
+    sourceMap?: boolean;
     exportPath?: string;
+
+    /**
+     * @property {boolean | number} hash - Adds a content hash to the exported file names, e.g. 'dark.3f9a1c2b.min.css'.
+     * Set it to a number to change the length of the hash, the default is 8.
+     * Previously exported hashed files of the theme are removed from the export path.
+     */
+    hash?: boolean | number;
+
+    /**
+     * @property {boolean} strict - Makes config errors fatal, e.g. unknown keys, values of the wrong type or missing includes.
+     * By default they are logged and invalid values are replaced by the defaults.
+     */
+    strict?: boolean;
+
+    /**
+     * @property {ReporterConfigType} reporter - Receives the errors, warnings and info messages of the theme.
+     * Either 'pretty' (default), 'silent', 'json' or a custom reporter, refer to ReporterType.
+     */
+    reporter?: ReporterConfigType;
+
+    /**
+     * @property {TargetsConfigType} targets - The browsers to compile the bundled and minified styles for, refer to TargetsConfigType.
+     * Modern syntax such as nesting, color-mix() and logical properties is lowered and vendor prefixes are added.
+     */
+    targets?: TargetsConfigType;
+
+    /**
+     * @property {Drafts} drafts - The draft CSS features to compile, e.g. { customMedia: true } for @custom-media rules.
+     */
+    drafts?: Drafts;
+
+    /**
+     * @property {NonStandard} nonStandard - The non-standard syntax to accept, e.g. { deepSelectorCombinator: true } for >>> and /deep/.
+     */
+    nonStandard?: NonStandard;
+
+    /**
+     * @property {string[]} unusedSymbols - The class names, ids, keyframes, custom properties and @custom-media names to remove.
+     */
+    unusedSymbols?: string[];
+
+    /**
+     * @property {ThemeBundlerPluginType[]} plugins - Hook into the bundling of the theme, refer to ThemeBundlerPluginType.
+     */
+    plugins?: ThemeBundlerPluginType[];
+
+    /**
+     * @property {PostCSSConfigType} postcss - PostCSS plugins to run after SCSS compilation and before lightningcss.
+     * Note: PostCSS support requires the 'postcss' package to be installed separately.
+     */
+    postcss?: PostCSSConfigType;
+
+    /**
+     * @property {SassConfigType} sass - The options of the Sass compiler for SCSS themes, e.g. loadPaths, importers and deprecation controls.
+     */
+    sass?: SassConfigType;
+
+    /**
+     * @property {BudgetsConfigType} budgets - The maximum raw, gzip and brotli sizes of the minified file.
+     * Exceeding a budget is reported as an error in production mode and as a warning otherwise.
+     */
+    budgets?: BudgetsConfigType;
+
+    /**
+     * @property {boolean | CompressionType[]} compress - Writes compressed copies of the exported minified file for static hosting,
+     * e.g. [themeName].min.css.gz and [themeName].min.css.br. True writes both, or an array selects the compressions.
+     */
+    compress?: boolean | CompressionType[];
+
+    /**
+     * @property {number} inlineAssetLimit - Inlines the assets referenced with url() which are smaller than this size in bytes as data URIs,
+     * URL-encoded for SVGs and base64-encoded otherwise. The inlined assets are listed by getInlinedAssets.
+     */
+    inlineAssetLimit?: number;
+
+    /**
+     * @property {TokensConfigType} tokens - Design Tokens Community Group (DTCG) JSON files, relative to the theme directory.
+     * The tokens are compiled to custom properties of :root, which are prepended to the includes. Later files override earlier ones.
+     */
+    tokens?: TokensConfigType;
+
+    /**
+     * @property {string} selector - Scopes the rules of the theme in the combined stylesheet, e.g. '.theme-dark'.
+     */
+    selector?: string;
+
+    /**
+     * @property {string} media - Wraps the rules of the theme in a media query in the combined stylesheet,
+     * e.g. '(prefers-color-scheme: dark)' or 'screen and (max-width: 700px)'. They are not scoped by a selector, unless the theme sets one.
+     */
+    media?: string;
+};
+
+/**
+ * The result of bundling a theme in memory.
+ */
+export type InMemoryBundleType = {
+    css: string;
+    minified: string;
+
+    /**
+     * @property {string[]} files - The source files of the theme and its base theme, in the order they were merged.
+     */
+    files: string[];
+};
+
+export type BundleToStringOptionsType = {
+    /**
+     * @property {string} commonThemeCSS - The bundled CSS of the common theme, used instead of reading the common theme file from disk.
+     */
+    commonThemeCSS?: string;
+
+    /**
+     * @property {boolean} ownFiles - Only bundles the files of the theme, without the common theme and the base theme.
+     */
+    ownFiles?: boolean;
+
+    /**
+     * @property {boolean} commonTheme - Set to false to leave out the common theme, e.g. when another stylesheet includes it.
+     */
+    commonTheme?: boolean;
+};
+
+/**
+ * The exported files of a theme, relative to the export path.
+ */
+export type ManifestEntryType = {
+    bundled?: string;
+    minified?: string;
+    assets: string[];
+
+    /**
+     * @property {string[]} compressed - The compressed copies of the minified file, if the compress option is set.
+     */
+    compressed?: string[];
 };
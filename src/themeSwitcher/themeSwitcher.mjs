@@ -0,0 +1,63 @@
+/**
+ * @typedef {import('./themeSwitcher.types.js').ThemeSwitcherConfigType} ThemeSwitcherConfigType
+ * @typedef {import('./themeSwitcher.types.js').ThemeSwitcherOptionsType} ThemeSwitcherOptionsType
+ */
+import { themeSwitcherClient } from './themeSwitcherClient.mjs';
+
+export const DEFAULT_FILE_NAME = 'theme-switcher';
+export const DEFAULT_STORAGE_KEY = 'style-bun-theme';
+
+/**
+ * Returns the options of the browser runtime.
+ * @param {ThemeSwitcherConfigType} config
+ * @param {Record<string, string>} stylesheets - The stylesheet URL of each exported theme, relative to the generated files.
+ * @returns {ThemeSwitcherOptionsType}
+ * @throws {Error} - If the config refers to a theme without a stylesheet.
+ */
+export function getThemeSwitcherOptions(config, stylesheets) {
+    const {
+        themes: names = Object.keys(stylesheets),
+        colorSchemes,
+        storageKey = DEFAULT_STORAGE_KEY
+    } = config;
+    const missing = names.filter(name => !stylesheets[name]);
+    if (missing.length) {
+        throw new Error(`Theme switcher themes without an exported stylesheet: ${missing.join(', ')}`);
+    }
+    /** @type {Record<string, string>} */
+    const themes = Object.fromEntries(names.map(name => [name, stylesheets[name]]));
+    const defaultTheme = config.defaultTheme ?? (colorSchemes ? 'auto' : names[0]);
+    if (!names.length) throw new Error('The theme switcher has no themes to switch between.');
+    const unknown = [
+        ...(defaultTheme === 'auto' && colorSchemes ? [] : [defaultTheme]),
+        ...Object.values(colorSchemes ?? {})
+    ].filter(name => !names.includes(name));
+    if (unknown.length) throw new Error(`Unknown theme switcher themes: ${unknown.join(', ')}`);
+    return { themes, defaultTheme, storageKey, ...(colorSchemes && { colorSchemes }) };
+}
+
+/**
+ * Returns the ES module exporting the theme switcher, the stylesheets are resolved against the URL of the module.
+ * @param {ThemeSwitcherOptionsType} options
+ * @returns {string}
+ */
+export function getThemeSwitcherModule(options) {
+    const call = `(${themeSwitcherClient.toString()})({ ...${JSON.stringify(options)}, baseURL: import.meta.url })`;
+    return [
+        `const switcher = ${call};`,
+        'export const { themes, stylesheets, getTheme, getActiveTheme, setTheme, onThemeChange } = switcher;',
+        'export default switcher;',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Returns the classic script which applies the theme before the page renders, when included in the head.
+ * The module returns the instance the script created.
+ * @param {ThemeSwitcherOptionsType} options
+ * @returns {string}
+ */
+export function getThemeSwitcherScript(options) {
+    const baseURL = 'document.currentScript.src';
+    return `(${themeSwitcherClient.toString()})({ ...${JSON.stringify(options)}, baseURL: ${baseURL} });\n`;
+}
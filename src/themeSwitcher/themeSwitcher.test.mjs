@@ -0,0 +1,170 @@
+/**
+ * @jest-environment node
+ * @typedef {import('./themeSwitcher.types.js').ThemeSwitcherOptionsType} ThemeSwitcherOptionsType
+ * @typedef {import('./themeSwitcher.types.js').ThemeSwitcherType} ThemeSwitcherType
+ */
+import vm from 'vm';
+import { jest } from '@jest/globals';
+import {
+    DEFAULT_STORAGE_KEY,
+    getThemeSwitcherModule,
+    getThemeSwitcherOptions,
+    getThemeSwitcherScript
+} from './themeSwitcher.mjs';
+
+const stylesheets = { light: './light/light.min.css', dark: './dark/dark.min.css' };
+
+/**
+ * Creates the globals of a page for the switcher to run in, with just enough of the DOM.
+ * @param {{ prefersDark?: boolean, stored?: string, links?: string[] }} [options] - The links are the hrefs of the stylesheets in the page.
+ */
+function createPage({ prefersDark = false, stored, links = [] } = {}) {
+    /** @type {Map<string, string>} */
+    const storage = new Map(stored ? [[DEFAULT_STORAGE_KEY, stored]] : []);
+    /** @type {Record<string, string>} */
+    const rootAttributes = {};
+    /** @type {Record<string, Function>} */
+    const listeners = {};
+    const createLink = (href = '') => {
+        /** @type {Record<string, string>} */
+        const attributes = {};
+        return {
+            rel: 'stylesheet',
+            href,
+            disabled: false,
+            getAttribute: (/** @type {string} */ name) => attributes[name] ?? null,
+            setAttribute: (/** @type {string} */ name, /** @type {string} */ value) =>
+                (attributes[name] = value)
+        };
+    };
+    const head = links.map(href => createLink(href));
+    const darkScheme = {
+        matches: prefersDark,
+        addEventListener: (/** @type {string} */ _type, /** @type {Function} */ callback) =>
+            (listeners.colorScheme = callback)
+    };
+    const context = vm.createContext({
+        URL,
+        location: { href: 'http://localhost/index.html' },
+        localStorage: {
+            getItem: (/** @type {string} */ key) => storage.get(key) ?? null,
+            setItem: (/** @type {string} */ key, /** @type {string} */ value) => storage.set(key, value)
+        },
+        window: {
+            matchMedia: () => darkScheme,
+            addEventListener: (/** @type {string} */ type, /** @type {Function} */ callback) =>
+                (listeners[type] = callback)
+        },
+        document: {
+            readyState: 'loading',
+            currentScript: { src: 'http://localhost/themes/theme-switcher.js' },
+            head: { append: (/** @type {any} */ link) => head.push(link) },
+            documentElement: {
+                setAttribute: (/** @type {string} */ name, /** @type {string} */ value) =>
+                    (rootAttributes[name] = value)
+            },
+            createElement: () => createLink(),
+            querySelectorAll: () => head
+        }
+    });
+    /**
+     * Runs the script of the switcher in the page.
+     * @param {ThemeSwitcherOptionsType} options
+     * @returns {ThemeSwitcherType}
+     */
+    const run = options => vm.runInContext(getThemeSwitcherScript(options), context);
+    return { run, head, storage, rootAttributes, listeners, darkScheme };
+}
+
+describe('Theme switcher', () => {
+    it('defaults to the first theme, or to auto with color schemes', () => {
+        expect(getThemeSwitcherOptions({}, stylesheets)).toEqual({
+            themes: stylesheets,
+            defaultTheme: 'light',
+            storageKey: DEFAULT_STORAGE_KEY
+        });
+        const colorSchemes = { light: 'light', dark: 'dark' };
+        const options = getThemeSwitcherOptions({ colorSchemes, themes: ['dark', 'light'] }, stylesheets);
+        expect(options.defaultTheme).toBe('auto');
+        expect(Object.keys(options.themes)).toEqual(['dark', 'light']);
+    });
+
+    it('throws for themes without a stylesheet', () => {
+        expect(() => getThemeSwitcherOptions({ themes: ['light', 'blue'] }, stylesheets)).toThrow(
+            'Theme switcher themes without an exported stylesheet: blue'
+        );
+        expect(() => getThemeSwitcherOptions({ defaultTheme: 'auto' }, stylesheets)).toThrow(
+            'Unknown theme switcher themes: auto'
+        );
+        expect(() =>
+            getThemeSwitcherOptions({ colorSchemes: { light: 'light', dark: 'dim' } }, stylesheets)
+        ).toThrow('Unknown theme switcher themes: dim');
+        expect(() => getThemeSwitcherOptions({}, {})).toThrow(
+            'The theme switcher has no themes to switch between.'
+        );
+    });
+
+    it('generates an ES module resolving the stylesheets against its URL', () => {
+        const module = getThemeSwitcherModule(getThemeSwitcherOptions({}, stylesheets));
+        expect(module).toContain('baseURL: import.meta.url');
+        expect(module).toContain(JSON.stringify(stylesheets));
+        expect(module).toContain(
+            'export const { themes, stylesheets, getTheme, getActiveTheme, setTheme, onThemeChange } = switcher;'
+        );
+    });
+
+    it('adds the stylesheet of the default theme before the page renders', () => {
+        const page = createPage();
+        const switcher = page.run(getThemeSwitcherOptions({}, stylesheets));
+        expect(switcher.getTheme()).toBe('light');
+        expect(page.head).toHaveLength(1);
+        expect(page.head[0].href).toBe('http://localhost/themes/light/light.min.css');
+        expect(page.head[0].getAttribute('blocking')).toBe('render');
+        expect(page.rootAttributes['data-theme']).toBe('light');
+    });
+
+    it('switches and persists the theme, notifying the listeners', () => {
+        const page = createPage({
+            links: ['/themes/light/light.min.css', '/themes/dark/dark.0123abcd.min.css']
+        });
+        const switcher = page.run(getThemeSwitcherOptions({}, stylesheets));
+        const callback = jest.fn();
+        const removeCallback = switcher.onThemeChange(callback);
+        switcher.setTheme('dark');
+        expect(page.head.map(link => link.disabled)).toEqual([true, false]);
+        expect(page.storage.get(DEFAULT_STORAGE_KEY)).toBe('dark');
+        expect(callback).toHaveBeenCalledWith('dark', 'dark');
+        removeCallback();
+        switcher.setTheme('light');
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(() => switcher.setTheme('blue')).toThrow('Unknown theme: "blue"');
+    });
+
+    it('restores the persisted theme and returns the same instance', () => {
+        const page = createPage({ stored: 'dark' });
+        const options = getThemeSwitcherOptions({}, stylesheets);
+        const switcher = page.run(options);
+        expect(switcher.getActiveTheme()).toBe('dark');
+        expect(page.run(options)).toBe(switcher);
+        expect(page.head).toHaveLength(1);
+    });
+
+    it('follows the color scheme in auto mode', () => {
+        const page = createPage({ prefersDark: true });
+        const colorSchemes = { light: 'light', dark: 'dark' };
+        const switcher = page.run(getThemeSwitcherOptions({ colorSchemes }, stylesheets));
+        expect(switcher.themes).toEqual(['light', 'dark', 'auto']);
+        expect(switcher.getTheme()).toBe('auto');
+        expect(switcher.getActiveTheme()).toBe('dark');
+
+        const callback = jest.fn();
+        switcher.onThemeChange(callback);
+        page.darkScheme.matches = false;
+        page.listeners.colorScheme();
+        expect(callback).toHaveBeenCalledWith('auto', 'light');
+        expect(page.head.map(link => [link.getAttribute('data-style-bun-theme'), link.disabled])).toEqual([
+            ['dark', true],
+            ['light', false]
+        ]);
+    });
+});
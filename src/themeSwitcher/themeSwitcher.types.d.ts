@@ -0,0 +1,95 @@
+/**
+ * Options of the theme switcher written to the export path.
+ */
+export type ThemeSwitcherConfigType = {
+    /**
+     * @property {string} fileName - The name of the files written to the export path, the default is 'theme-switcher'.
+     * The ES module is written to [fileName].mjs, and the script which applies the theme before the page renders to [fileName].js.
+     */
+    fileName?: string;
+
+    /**
+     * @property {string[]} themes - The themes to switch between, defaults to all themes.
+     * Only one of them is enabled at a time, so each should include the styles it needs, e.g. through a baseTheme.
+     */
+    themes?: string[];
+
+    /**
+     * @property {string} defaultTheme - The theme applied until one is set, defaults to 'auto' if colorSchemes is set or the first theme.
+     */
+    defaultTheme?: string;
+
+    /**
+     * @property {string} storageKey - The localStorage key where the selected theme is persisted, the default is 'style-bun-theme'.
+     */
+    storageKey?: string;
+
+    /**
+     * @property {ColorSchemesType} colorSchemes - The themes of the light and dark color schemes.
+     * If set, the 'auto' theme follows the prefers-color-scheme media query of the browser.
+     */
+    colorSchemes?: ColorSchemesType;
+};
+
+export type ColorSchemesType = {
+    light: string;
+    dark: string;
+};
+
+/**
+ * The options the browser runtime is called with.
+ */
+export type ThemeSwitcherOptionsType = {
+    /**
+     * @property {Record<string, string>} themes - The stylesheet URL of each theme, relative to the base URL.
+     */
+    themes: Record<string, string>;
+    defaultTheme: string;
+    storageKey: string;
+    colorSchemes?: ColorSchemesType;
+
+    /**
+     * @property {string} baseURL - The URL the stylesheets are resolved against, i.e. the URL of the generated file.
+     */
+    baseURL?: string;
+};
+
+/**
+ * Called with the selected theme, e.g. 'auto', and the theme it resolves to.
+ */
+export type ThemeChangeCallbackType = (theme: string, activeTheme: string) => void;
+
+/**
+ * The API of the generated theme switcher module.
+ */
+export type ThemeSwitcherType = {
+    /**
+     * @property {string[]} themes - The available themes, including 'auto' if colorSchemes is set.
+     */
+    themes: string[];
+
+    /**
+     * @property {Record<string, string>} stylesheets - The absolute stylesheet URL of each theme.
+     */
+    stylesheets: Record<string, string>;
+
+    /**
+     * @property {() => string} getTheme - Returns the selected theme, e.g. 'auto'.
+     */
+    getTheme: () => string;
+
+    /**
+     * @property {() => string} getActiveTheme - Returns the theme whose stylesheet is enabled.
+     */
+    getActiveTheme: () => string;
+
+    /**
+     * @property {(theme: string) => void} setTheme - Enables the stylesheet of a theme and persists the selection.
+     */
+    setTheme: (theme: string) => void;
+
+    /**
+     * @property {(callback: ThemeChangeCallbackType) => () => void} onThemeChange - Returns a function removing the callback.
+     */
+    onThemeChange: (callback: ThemeChangeCallbackType) => () => void;
+};
@@ -0,0 +1,160 @@
+/* global window, document, location */
+
+/**
+ * @typedef {import('./themeSwitcher.types.js').ThemeSwitcherOptionsType} ThemeSwitcherOptionsType
+ * @typedef {import('./themeSwitcher.types.js').ThemeSwitcherType} ThemeSwitcherType
+ * @typedef {import('./themeSwitcher.types.js').ThemeChangeCallbackType} ThemeChangeCallbackType
+ */
+
+/**
+ * Browser runtime of the theme switcher.
+ * It enables the stylesheet of the selected theme, disables those of the other themes and persists the selection.
+ * It is serialized with toString() into the generated files, so it must not reference anything outside its body.
+ * The first call applies the theme, later calls with the same storage key return the same instance.
+ * @param {ThemeSwitcherOptionsType} options
+ * @returns {ThemeSwitcherType}
+ */
+export function themeSwitcherClient(options) {
+    const { themes, defaultTheme, storageKey, colorSchemes, baseURL = location.href } = options;
+    /** @type {{ __styleBunThemeSwitchers?: Record<string, ThemeSwitcherType> }} */
+    const registry = /** @type {any} */ (window);
+    const instances = (registry.__styleBunThemeSwitchers ??= {});
+    if (instances[storageKey]) return instances[storageKey];
+
+    const ATTRIBUTE = 'data-style-bun-theme';
+    const AUTO = 'auto';
+    const themeNames = Object.keys(themes);
+    /** @type {Record<string, string>} */
+    const stylesheets = {};
+    themeNames.forEach(name => (stylesheets[name] = new URL(themes[name], baseURL).href));
+    /** @type {Set<ThemeChangeCallbackType>} */
+    const listeners = new Set();
+    const darkScheme = colorSchemes && window.matchMedia?.('(prefers-color-scheme: dark)');
+
+    /**
+     * Whether a theme can be selected.
+     * @param {unknown} theme
+     * @returns {theme is string}
+     */
+    const isTheme = theme =>
+        typeof theme === 'string' &&
+        (themeNames.includes(theme) || (theme === AUTO && Boolean(colorSchemes)));
+
+    /**
+     * Returns the persisted theme, if any and storage is available.
+     * @returns {string | null}
+     */
+    const readStorage = () => {
+        try {
+            return localStorage.getItem(storageKey);
+        } catch {
+            return null;
+        }
+    };
+
+    const getTheme = () => {
+        const theme = readStorage();
+        return isTheme(theme) ? theme : defaultTheme;
+    };
+
+    const getActiveTheme = () => {
+        const theme = getTheme();
+        if (theme !== AUTO || !colorSchemes) return theme;
+        return darkScheme && darkScheme.matches ? colorSchemes.dark : colorSchemes.light;
+    };
+
+    /**
+     * Returns the stylesheet link of a theme, created by the switcher or already in the document.
+     * Links in the document are matched by their URL, with or without a content hash.
+     * @param {string} name
+     * @returns {HTMLLinkElement | undefined}
+     */
+    const findLink = name => {
+        const fileName = new RegExp(`/${name}\\.([0-9a-f]+\\.)?(bundled|min)\\.css$`);
+        /** @type {HTMLLinkElement[]} */
+        const links = Array.from(document.querySelectorAll('link[rel="stylesheet"]'));
+        return (
+            links.find(link => link.getAttribute(ATTRIBUTE) === name) ??
+            links.find(link => fileName.test(new URL(link.href, location.href).pathname))
+        );
+    };
+
+    /**
+     * Creates the stylesheet link of a theme, it blocks rendering while the document is loading.
+     * @param {string} name
+     * @returns {HTMLLinkElement}
+     */
+    const createLink = name => {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = stylesheets[name];
+        link.setAttribute(ATTRIBUTE, name);
+        document.readyState === 'loading' && link.setAttribute('blocking', 'render');
+        document.head.append(link);
+        return link;
+    };
+
+    const applyTheme = () => {
+        const activeTheme = getActiveTheme();
+        themeNames.forEach(name => {
+            const link = findLink(name) ?? (name === activeTheme ? createLink(name) : undefined);
+            if (!link) return;
+            link.disabled = name !== activeTheme;
+        });
+        document.documentElement.setAttribute('data-theme', activeTheme);
+    };
+
+    const notify = () => {
+        const theme = getTheme();
+        const activeTheme = getActiveTheme();
+        listeners.forEach(callback => callback(theme, activeTheme));
+    };
+
+    /**
+     * Enables the stylesheet of a theme and persists the selection.
+     * @param {string} theme
+     * @throws {Error} - If the theme is not available.
+     */
+    const setTheme = theme => {
+        if (!isTheme(theme)) throw new Error(`Unknown theme: "${theme}"`);
+        try {
+            localStorage.setItem(storageKey, theme);
+        } catch {
+            // The selection is not persisted, e.g. in private browsing.
+        }
+        applyTheme();
+        notify();
+    };
+
+    /**
+     * Adds a callback called with the selected theme and the theme it resolves to, whenever either changes.
+     * @param {ThemeChangeCallbackType} callback
+     * @returns {() => void} - Removes the callback.
+     */
+    const onThemeChange = callback => {
+        listeners.add(callback);
+        return () => listeners.delete(callback);
+    };
+
+    darkScheme?.addEventListener?.('change', () => {
+        if (getTheme() !== AUTO) return;
+        applyTheme();
+        notify();
+    });
+    window.addEventListener('storage', event => {
+        if (event.key !== storageKey) return;
+        applyTheme();
+        notify();
+    });
+    applyTheme();
+
+    const available = colorSchemes ? [...themeNames, AUTO] : themeNames;
+    return (instances[storageKey] = {
+        themes: available,
+        stylesheets,
+        getTheme,
+        getActiveTheme,
+        setTheme,
+        onThemeChange
+    });
+}
@@ -3,18 +3,53 @@
  * @typedef {import('../themeBundler/themeBundler.types.js').ThemeBundlerConfigType} ThemeBundlerConfigType
  * @typedef {import('../common.types.js').BundleThemeArgsType} BundleThemeArgsType
  * @typedef {import('./themesBundler.types.js').StyleUpdateCallbackPayloadType} StyleUpdateCallbackPayloadType
+ * @typedef {import('./themesBundler.types.js').ManifestType} ManifestType
+ * @typedef {import('../themeBundler/themeBundler.types.js').InMemoryBundleType} InMemoryBundleType
+ * @typedef {import('../devServer/devServer.types.js').DevServerConfigType} DevServerConfigType
+ * @typedef {import('../events/events.types.js').ThemesBundlerEventsType} ThemesBundlerEventsType
+ * @typedef {import('../reporter/reporter.types.js').ReporterType} ReporterType
+ * @typedef {import('../reporter/reporter.types.js').ReportMessageType} ReportMessageType
+ * @typedef {import('../budgets/budgets.types.js').BudgetViolationType} BudgetViolationType
+ * @typedef {import('../critical/critical.types.js').ExtractThemesCriticalOptionsType} ExtractThemesCriticalOptionsType
+ * @typedef {import('../critical/critical.types.js').CriticalCSSType} CriticalCSSType
+ * @typedef {import('../customProperties/customProperties.types.js').CoverageReportType} CoverageReportType
+ * @typedef {import('../customProperties/customProperties.types.js').StyleLayerType} StyleLayerType
+ * @typedef {import('../themeSwitcher/themeSwitcher.types.js').ThemeSwitcherConfigType} ThemeSwitcherConfigType
+ * @typedef {import('../combined/combined.types.js').CombinedConfigType} CombinedConfigType
  */
 
 import PATH from 'path';
 import fs from 'fs';
+import { EventEmitter } from 'events';
 import { hideBin } from 'yargs/helpers';
 import yargs from 'yargs';
 import ThemeBundler from '../themeBundler/themeBundler.mjs';
+import DevServer from '../devServer/devServer.mjs';
+import {
+    THEMES_BUNDLER_CONFIG_SCHEMA,
+    omitInvalidKeys,
+    reportConfigErrors,
+    validateConfig
+} from '../configSchema/configSchema.mjs';
+import { FORWARDED_EVENTS, emitError, emitWarning } from '../events/events.mjs';
+import { createReporter } from '../reporter/reporter.mjs';
+import { buildCoverage } from '../customProperties/customProperties.mjs';
+import {
+    DEFAULT_FILE_NAME,
+    getThemeSwitcherModule,
+    getThemeSwitcherOptions,
+    getThemeSwitcherScript
+} from '../themeSwitcher/themeSwitcher.mjs';
+import { DEFAULT_SELECTOR, getThemeSelector, scopeCSS, wrapInMedia } from '../combined/combined.mjs';
 
 /** @type {BundleThemeArgsType} */
-const argv = yargs(hideBin(process.argv)).argv;
+const argv = yargs(hideBin(process.argv)).help(false).version(false).argv;
 const WATCH = argv?.watch;
-class ThemesBundler {
+
+/**
+ * @extends {EventEmitter<ThemesBundlerEventsType>}
+ */
+class ThemesBundler extends EventEmitter {
     //////////////////////////////
     // #region Initialization
     //////////////////////////////
@@ -29,6 +64,7 @@ class ThemesBundler {
      * @param {ThemesBundlerConfigType} config
      */
     constructor(config) {
+        super();
         this.setConfig(config);
         this._initializeThemes();
     }
@@ -50,39 +86,66 @@ class ThemesBundler {
         }
         /** @type {Promise<{ themes: ThemeBundler[], value: PromiseSettledResult<boolean>[] }>} */
         this.promise = Promise.allSettled(this.promises).then(response => {
+            this.emit('init', { themes: this.getThemeNames() });
             return Promise.resolve({ themes: this.themes, value: response });
         });
     }
 
     /**
-     * Instantiates ThemeBundler for a specific theme defined in the config.
+     * Instantiates ThemeBundler for a specific theme defined in the config, the theme config is copied and left as passed.
      * @param {ThemeBundlerConfigType} themeConfig
      */
     _initializeTheme(themeConfig) {
         if (themeConfig?.path && fs.existsSync(themeConfig?.path)) {
-            this._initializeThemeConfig(themeConfig);
-            const theme = new ThemeBundler(themeConfig);
+            const config = { ...themeConfig };
+            this._initializeThemeConfig(config);
+            const theme = new ThemeBundler(config);
+            this.forwardEvents(theme);
             this.promises?.push(theme.promise);
             this.themesByName[theme.getName()] = theme;
             this.themes.push(theme);
         } else {
-            console.log(`Theme path ${themeConfig.path} does not exist.`);
+            const message = `Theme path ${themeConfig.path} does not exist.`;
+            this.report({ severity: 'warning', code: 'theme-not-found', message, file: themeConfig.path });
         }
     }
 
     /**
      * Instantiates ThemeBundler for the common theme defined through commonThemeFile in the config.
+     * The drafts are not passed on, so the @custom-media rules of the common theme are kept for the themes to compile.
      */
     _initializeCommonTheme() {
-        const { patterns, commonThemePath } = this._config || {};
+        const { patterns, commonThemePath, sourceMap, strict, mode, targets, nonStandard, unusedSymbols } =
+            this._config || {};
         if (commonThemePath && fs.existsSync(commonThemePath)) {
             this.commonTheme = new ThemeBundler({
                 path: commonThemePath,
-                patterns
+                patterns,
+                sourceMap,
+                strict,
+                mode,
+                targets,
+                nonStandard,
+                unusedSymbols,
+                reporter: this.getReporter()
             });
+            this.forwardEvents(this.commonTheme);
         }
     }
 
+    /**
+     * Re-emits the events of a theme, errors are only forwarded if there are listeners.
+     * @param {ThemeBundler} theme
+     */
+    forwardEvents(theme) {
+        FORWARDED_EVENTS.forEach(eventName => {
+            theme.on(eventName, (/** @type {any} */ payload) => {
+                if (eventName === 'error' && !this.listenerCount('error')) return;
+                this.emit(eventName, payload);
+            });
+        });
+    }
+
     /**
      * Initializes the configuration of each ThemeBundler defined in the config.
      * @param {ThemeBundlerConfigType} config
@@ -90,6 +153,24 @@ class ThemesBundler {
     _initializeThemeConfig(config = {}) {
         config.patterns = this._config?.patterns ?? config.patterns;
         config.exportPath = this._config?.exportPath ?? config.exportPath;
+        config.sourceMap = config.sourceMap ?? this._config?.sourceMap;
+        config.hash = config.hash ?? this._config?.hash;
+        config.strict = config.strict ?? this._config?.strict;
+        config.mode = config.mode ?? this._config?.mode;
+        config.targets = config.targets ?? this._config?.targets;
+        config.drafts = config.drafts ?? this._config?.drafts;
+        config.nonStandard = config.nonStandard ?? this._config?.nonStandard;
+        config.unusedSymbols = config.unusedSymbols ?? this._config?.unusedSymbols;
+        config.plugins = config.plugins ?? this._config?.plugins;
+        config.postcss = config.postcss ?? this._config?.postcss;
+        config.sass = config.sass ?? this._config?.sass;
+        config.budgets = config.budgets ?? this._config?.budgets;
+        config.compress = config.compress ?? this._config?.compress;
+        config.inlineAssetLimit = config.inlineAssetLimit ?? this._config?.inlineAssetLimit;
+        config.reporter = config.reporter ?? this.getReporter();
+        if (typeof this._config?.verbose === 'boolean') {
+            config.verbose = this._config.verbose;
+        }
         if (this.commonTheme) {
             const themeName = this.commonTheme.getName();
             const path = this.commonTheme.getPath();
@@ -125,6 +206,109 @@ class ThemesBundler {
         return this.themesByName[name];
     }
 
+    /**
+     * Returns the names of all themes, excluding the common theme.
+     * @returns {string[]}
+     */
+    getThemeNames() {
+        return this.themes.map(theme => theme.getName());
+    }
+
+    /**
+     * Returns the budgets exceeded by all themes in the last bundle.
+     * @returns {BudgetViolationType[]}
+     */
+    getBudgetViolations() {
+        return this.themes.flatMap(theme => theme.getBudgetViolations());
+    }
+
+    /**
+     * Returns the reporter set through the reporter config option, it is shared with all themes.
+     * @returns {ReporterType}
+     */
+    getReporter() {
+        this.reporter = this.reporter ?? createReporter(this._config?.reporter);
+        return this.reporter;
+    }
+
+    /**
+     * Reports a diagnostic of the bundler, errors and warnings are emitted as events as well.
+     * @param {ReportMessageType} entry
+     */
+    report(entry) {
+        const { severity, ...payload } = entry;
+        this.getReporter().report(entry);
+        severity === 'error' && emitError(this, payload);
+        severity === 'warning' && emitWarning(this, payload);
+    }
+
+    /**
+     * Returns the path to the manifest file.
+     * @returns {string | undefined}
+     */
+    getManifestFile() {
+        const { exportPath } = this._config || {};
+        return exportPath ? PATH.join(exportPath, 'manifest.json') : undefined;
+    }
+
+    /**
+     * Returns the manifest mapping each exported theme to its files.
+     * @returns {ManifestType}
+     */
+    getManifest() {
+        /** @type {ManifestType} */
+        const manifest = {};
+        this.themes.forEach(theme => {
+            const entry = theme.getManifestEntry();
+            entry && (manifest[theme.getName()] = entry);
+        });
+        return manifest;
+    }
+
+    /**
+     * Returns the theme switcher config, if enabled.
+     * @returns {ThemeSwitcherConfigType | undefined}
+     */
+    getThemeSwitcherConfig() {
+        const { themeSwitcher } = this._config || {};
+        if (!themeSwitcher) return undefined;
+        return themeSwitcher === true ? {} : themeSwitcher;
+    }
+
+    /**
+     * Returns the paths of the theme switcher module and script, written to the export path.
+     * @returns {{ module: string, script: string } | undefined}
+     */
+    getThemeSwitcherFiles() {
+        const { exportPath } = this._config || {};
+        const config = this.getThemeSwitcherConfig();
+        if (!exportPath || !config) return undefined;
+        const file = PATH.join(exportPath, config.fileName ?? DEFAULT_FILE_NAME);
+        return { module: `${file}.mjs`, script: `${file}.js` };
+    }
+
+    /**
+     * Returns the combined stylesheet config, if enabled.
+     * @returns {CombinedConfigType | undefined}
+     */
+    getCombinedConfig() {
+        const { combined } = this._config || {};
+        if (!combined) return undefined;
+        return combined === true ? {} : combined;
+    }
+
+    /**
+     * Returns the paths of the combined stylesheets, written to the export path.
+     * @returns {{ bundled: string, minified: string } | undefined}
+     */
+    getCombinedFiles() {
+        const { exportPath } = this._config || {};
+        const config = this.getCombinedConfig();
+        if (!exportPath || !config) return undefined;
+        const file = PATH.join(exportPath, config.fileName ?? 'themes');
+        return { bundled: `${file}.bundled.css`, minified: `${file}.min.css` };
+    }
+
     getThemesFromThemePath() {
         const themesPath = this._config?.themesPath;
         if (typeof themesPath === 'string' && fs.existsSync(themesPath)) {
@@ -138,12 +322,33 @@ class ThemesBundler {
     }
 
     /**
-     * Sets the config for ThemeBundler.
+     * Validates and sets the config for ThemeBundler, values of the wrong type are replaced by the defaults.
      * @param {ThemesBundlerConfigType} config
+     * @throws {import('../configSchema/configSchema.mjs').ConfigValidationError} - If the config is invalid in strict mode.
      */
     setConfig(config = {}) {
+        /** @type {ReporterType} */
+        this.reporter = createReporter(config?.reporter);
+        const errors = validateConfig(config ?? {}, THEMES_BUNDLER_CONFIG_SCHEMA, 'ThemesBundler config');
+        reportConfigErrors(errors, config?.strict === true, message => {
+            this.report({ severity: 'error', code: 'invalid-config', message });
+        });
         /** @type {ThemesBundlerConfigType} */
-        this._config = Object.assign(this.getDefaultConfig(), config);
+        this._config = Object.assign(this.getDefaultConfig(), omitInvalidKeys(config ?? {}, errors));
+    }
+
+    /**
+     * Narrows down the themes to bundle and watch to the given theme names.
+     * The common theme is always kept, as every other theme depends on it.
+     * @param {string[]} names
+     * @returns {string[]} - The names that did not match any theme.
+     */
+    selectThemes(names = []) {
+        if (!names.length) return [];
+        const themeNames = this.getThemeNames();
+        this.themes = this.themes.filter(theme => names.includes(theme.getName()));
+        this.themesByName = Object.fromEntries(this.themes.map(theme => [theme.getName(), theme]));
+        return names.filter(name => !themeNames.includes(name));
     }
 
     // #endregion Set
@@ -161,7 +366,7 @@ class ThemesBundler {
         await this.promise;
         this.cleanup();
         const rv = await this.bundle();
-        watch && this.watch();
+        watch && (await this.watch());
         return rv;
     }
 
@@ -181,33 +386,296 @@ class ThemesBundler {
      * Bundles all themes except the common theme.
      * @returns {Promise<boolean[]>}
      */
-    bundleThemes() {
-        return Promise.all(this.themes.map(theme => theme.bundle(this._config?.minify)));
+    async bundleThemes() {
+        const rv = await Promise.all(this.themes.map(theme => theme.bundle(this._config?.minify)));
+        this.writeManifest();
+        this.writeThemeSwitcher();
+        await this.writeCombined();
+        return rv;
+    }
+
+    /**
+     * Re-bundles all themes except the common theme after a change of the common theme while watching.
+     * Each failure is reported for its own theme, so the other themes are still bundled and the watchers keep running.
+     * @param {string} [filePath] - The changed file of the common theme.
+     * @returns {Promise<void>}
+     */
+    async rebundleThemes(filePath) {
+        const minify = this._config?.minify;
+        const results = await Promise.allSettled(this.themes.map(theme => theme.bundle(minify)));
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') return;
+            const theme = this.themes[index];
+            theme
+                .getReporter()
+                .report({ severity: 'error', ...theme.getBundleFailure(result.reason, filePath) });
+        });
     }
 
     /**
-     * Watches all configured themes for changes.
+     * Bundles all themes in memory, without writing any files.
+     * The common theme is bundled in memory first and prepended to every theme.
+     * @returns {Promise<Record<string, InMemoryBundleType>>} - The bundle of each theme, keyed by theme name.
      */
-    watch() {
+    async bundleToMemory() {
+        await this.promise;
+        const commonThemeCSS = this.commonTheme && (await this.commonTheme.bundleToString()).css;
+        const bundles = await Promise.all(this.themes.map(theme => theme.bundleToString({ commonThemeCSS })));
+        return Object.fromEntries(this.themes.map((theme, index) => [theme.getName(), bundles[index]]));
+    }
+
+    /**
+     * Returns the themes of the combined stylesheet, starting with the default theme.
+     * @returns {ThemeBundler[]}
+     * @throws {Error} - If the config refers to unknown themes.
+     */
+    getCombinedThemes() {
+        const { themes: names = this.getThemeNames(), defaultTheme = names[0] } =
+            this.getCombinedConfig() ?? {};
+        if (!names.length) throw new Error('The combined stylesheet has no themes to merge.');
+        const unknown = [...new Set([defaultTheme, ...names])].filter(name => !this.themesByName[name]);
+        if (unknown.length) {
+            throw new Error(`Unknown themes in the combined stylesheet: ${unknown.join(', ')}`);
+        }
+        return [defaultTheme, ...names.filter(name => name !== defaultTheme)].map(
+            name => this.themesByName[name]
+        );
+    }
+
+    /**
+     * Bundles the themes in memory into a single stylesheet.
+     * The default theme comes first with the common theme, the rules of the other themes are scoped by a selector,
+     * or wrapped in the media query of the theme. Assets point to the copies exported with each theme.
+     * @returns {Promise<string>}
+     * @throws {Error} - If the config refers to unknown themes, or a theme fails to bundle.
+     */
+    async bundleCombined() {
+        await this.promise;
+        const [defaultTheme, ...themes] = this.getCombinedThemes();
+        const { selector = DEFAULT_SELECTOR } = this.getCombinedConfig() ?? {};
+        const commonThemeCSS = this.commonTheme && (await this.commonTheme.bundleToString()).css;
+        const files = this.getCombinedFiles();
+        /**
+         * Points the assets of a theme to its exported copies, relative to the combined stylesheet.
+         * @param {ThemeBundler} theme
+         * @param {string} css
+         * @returns {string}
+         */
+        const exportURLs = (theme, css) =>
+            files ? theme.getExportedCSS(css, PATH.dirname(files.bundled)) : css;
+        const styles = await Promise.all(
+            themes.map(async theme => {
+                // SCSS themes keep the common theme, which may hold the variables and mixins they compile with.
+                const commonTheme = theme.extension === 'scss';
+                const bundle = await theme.bundleToString({ commonThemeCSS, commonTheme });
+                const css = exportURLs(theme, bundle.css);
+                const { media, selector: themeSelector } = theme._config ?? {};
+                const scope =
+                    themeSelector ?? (media ? undefined : getThemeSelector(selector, theme.getName()));
+                const scoped = scope ? scopeCSS(css, scope) : css;
+                return media ? wrapInMedia(scoped, media) : scoped;
+            })
+        );
+        const { css } = await defaultTheme.bundleToString({ commonThemeCSS });
+        return [exportURLs(defaultTheme, css), ...styles].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Writes the combined stylesheet to the export path, and its minified copy when minifying.
+     * @returns {Promise<boolean>}
+     */
+    async writeCombined() {
+        const files = this.getCombinedFiles();
+        if (!files) return false;
+        try {
+            const css = await this.bundleCombined();
+            fs.mkdirSync(PATH.dirname(files.bundled), { recursive: true });
+            fs.writeFileSync(files.bundled, css);
+            this._config?.minify &&
+                fs.writeFileSync(files.minified, this.getCombinedThemes()[0].minifyCSS(css));
+            return true;
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            this.report({ severity: 'error', code: 'combined-failed', message, error });
+            return false;
+        }
+    }
+
+    /**
+     * Extracts the critical CSS of all themes for HTML pages, the common theme is bundled once.
+     * When inlining, only the inlineTheme is inlined so the themes don't override each other, the others are written to files.
+     * @param {string[]} pages - The HTML files.
+     * @param {ExtractThemesCriticalOptionsType} [options]
+     * @returns {Promise<CriticalCSSType[]>}
+     * @throws {Error} - If the inlineTheme does not exist.
+     */
+    async extractCritical(pages, options = {}) {
+        await this.promise;
+        const { inline = false, inlineTheme = this.getThemeNames()[0], ...themeOptions } = options;
+        if (inline && inlineTheme && !this.themesByName[inlineTheme]) {
+            throw new Error(`Unknown theme to inline: ${inlineTheme}`);
+        }
+        const commonThemeCSS = this.commonTheme && (await this.commonTheme.bundleToString()).css;
+        /** @type {CriticalCSSType[]} */
+        const rv = [];
+        for (const theme of this.themes) {
+            const themeInline = inline && theme.getName() === inlineTheme;
+            rv.push(
+                ...(await theme.extractCritical(pages, {
+                    ...themeOptions,
+                    inline: themeInline,
+                    commonThemeCSS
+                }))
+            );
+        }
+        return rv;
+    }
+
+    /**
+     * Analyzes the custom properties of all themes in memory.
+     * Returns where each property is defined, overridden or inherited, and the properties never read or read without a definition.
+     * @returns {Promise<CoverageReportType>}
+     */
+    async getCustomPropertyCoverage() {
+        await this.promise;
+        const commonTheme = this.commonTheme;
+        /** @type {StyleLayerType[]} */
+        const commonLayers = commonTheme
+            ? [{ name: commonTheme.getName(), css: (await commonTheme.bundleToString()).css }]
+            : [];
+        const themes = await Promise.all(
+            this.themes.map(async theme => ({
+                themeName: theme.getName(),
+                layers: [...commonLayers, ...(await theme.getStyleLayers())]
+            }))
+        );
+        return buildCoverage(themes);
+    }
+
+    /**
+     * Writes the manifest file to the export path when hashing is enabled.
+     * @returns {boolean}
+     */
+    writeManifest() {
+        const manifestFile = this.getManifestFile();
+        if (!manifestFile || !this._config?.hash) return false;
+        fs.mkdirSync(PATH.dirname(manifestFile), { recursive: true });
+        fs.writeFileSync(manifestFile, JSON.stringify(this.getManifest(), null, 4));
+        return true;
+    }
+
+    /**
+     * Writes the theme switcher module and script to the export path, listing the exported stylesheet of each theme.
+     * The minified stylesheets are used when minifying.
+     * @returns {boolean}
+     */
+    writeThemeSwitcher() {
+        const files = this.getThemeSwitcherFiles();
+        const config = this.getThemeSwitcherConfig();
+        if (!files || !config) return false;
+        /** @type {Record<string, string>} */
+        const stylesheets = {};
+        Object.entries(this.getManifest()).forEach(([themeName, { bundled, minified }]) => {
+            const file = this._config?.minify ? (minified ?? bundled) : (bundled ?? minified);
+            file && (stylesheets[themeName] = `./${file}`);
+        });
+        try {
+            const options = getThemeSwitcherOptions(config, stylesheets);
+            fs.mkdirSync(PATH.dirname(files.module), { recursive: true });
+            fs.writeFileSync(files.module, getThemeSwitcherModule(options));
+            fs.writeFileSync(files.script, getThemeSwitcherScript(options));
+            return true;
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            this.report({ severity: 'error', code: 'invalid-theme-switcher', message, error });
+            return false;
+        }
+    }
+
+    /**
+     * Watches all configured themes for changes, resolves once all watchers are ready.
+     * @returns {Promise<void>}
+     */
+    async watch() {
         const { watchCallback } = this._config || {};
 
         /**
          * Callback function to execute when a theme file changes.
+         * The dev server is notified once the combined stylesheet is written, its failures are reported by writeCombined.
          * @param {StyleUpdateCallbackPayloadType} payload
          * @param {ThemeBundler} theme
+         * @returns {Promise<void>}
          */
-        function cb(payload, theme) {
-            typeof watchCallback === 'function' && watchCallback(payload, theme);
-        }
+        const cb = async (payload, theme) => {
+            this.writeManifest();
+            this.writeThemeSwitcher();
+            await this.writeCombined();
+            const updatedThemes = theme === this.commonTheme ? this.themes : [theme];
+            updatedThemes.forEach(updatedTheme => this.notifyDevServer(updatedTheme));
+            typeof watchCallback === 'function' && (await watchCallback(payload, theme));
+        };
 
-        if (this.commonTheme) {
-            this.commonTheme.watch((payload, theme) => {
-                this.bundleThemes();
-                cb(payload, theme);
+        const commonWatch = this.commonTheme?.watch(async (payload, theme) => {
+            this.themes.forEach(item => item.invalidateCache(item.getCommonThemeFile()));
+            await this.rebundleThemes(payload.filePath);
+            await cb(payload, theme);
+        });
+
+        await Promise.all([commonWatch, ...this.themes.map(theme => theme.watch(cb))]);
+        this._config?.devServer && (await this.startDevServer());
+    }
+
+    /**
+     * Starts the dev server defined in the config, serving the export path or the working directory.
+     * @returns {Promise<DevServer | undefined>}
+     */
+    async startDevServer() {
+        const { devServer, exportPath } = this._config || {};
+        if (!devServer || this.devServer) return this.devServer;
+        /** @type {DevServerConfigType} */
+        const config = typeof devServer === 'object' ? devServer : {};
+        this.devServer = new DevServer({ root: exportPath || process.cwd(), ...config });
+        try {
+            const url = await this.devServer.start();
+            this.report({
+                severity: 'info',
+                code: 'dev-server-start',
+                message: `🌐 Dev server running at ${url}`
             });
+        } catch (error) {
+            this.report({
+                severity: 'error',
+                code: 'dev-server-failed',
+                message: 'Failed to start the dev server',
+                error
+            });
+            this.devServer = undefined;
         }
+        return this.devServer;
+    }
 
-        this.themes.forEach(theme => theme.watch(cb));
+    /**
+     * Stops the dev server.
+     * @returns {Promise<void>}
+     */
+    async stopDevServer() {
+        await this.devServer?.stop();
+        this.devServer = undefined;
+    }
+
+    /**
+     * Notifies the dev server clients that a theme has been updated.
+     * @param {ThemeBundler} theme
+     */
+    notifyDevServer(theme) {
+        if (!this.devServer) return;
+        const { exportPath = '' } = this._config || {};
+        const { bundled, minified } = theme.getManifestEntry() ?? {};
+        const exportedFiles = [bundled, minified].flatMap(file =>
+            file ? [PATH.join(exportPath, file)] : []
+        );
+        const files = [theme.getCSSTargetFile(), theme.getMinifiedTargetFile(), ...exportedFiles];
+        this.devServer.notify(theme.getName(), files);
     }
 
     /**
@@ -218,6 +686,16 @@ class ThemesBundler {
         for (const theme of this.themes) {
             await theme.cleanup();
         }
+        const manifestFile = this.getManifestFile();
+        if (manifestFile && fs.existsSync(manifestFile)) {
+            fs.unlinkSync(manifestFile);
+        }
+        const { module, script } = this.getThemeSwitcherFiles() ?? {};
+        const { bundled, minified } = this.getCombinedFiles() ?? {};
+        [module, script, bundled, minified].forEach(
+            file => file && fs.existsSync(file) && fs.unlinkSync(file)
+        );
+        await this.stopDevServer();
     }
 
     // #endregion API
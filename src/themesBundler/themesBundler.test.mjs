@@ -1,10 +1,13 @@
 /**
  * @jest-environment node
  */
+/**
+ * @typedef {import('./themesBundler.types.js').StyleUpdateCallbackType} StyleUpdateCallbackType
+ */
 import path from 'path';
 import ThemesBundler from './themesBundler.mjs';
 
-import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from 'fs';
 import { clearFileChanges, fileChanges } from '../themeBundler/tests/tests.util.mjs';
 
 const testDir = path.join(process.cwd(), 'test');
@@ -77,7 +80,7 @@ describe('ThemesBundler', () => {
         expect(bundler.themes.find(t => t.getName() === 'dark')).toBeDefined();
         const mobileConfig = bundler.themes.find(t => t.getName() === 'mobile')?.fileConfig;
         expect(mobileConfig).toBeDefined();
-        expect(mobileConfig.extension).toBe('css');
+        expect(mobileConfig?.extension).toBe('css');
     });
 
     describe('Minification', () => {
@@ -133,6 +136,303 @@ describe('ThemesBundler', () => {
         });
     });
 
+    describe('In-memory bundling', () => {
+        it('bundles all themes in memory without writing any files', async () => {
+            const memoryBundler = new ThemesBundler({
+                exportPath: path.join(outputDir, 'test-memory'),
+                themes: [{ path: path.join(basePath, 'default') }, { path: path.join(basePath, 'dark') }],
+                patterns: [path.join(cwd, 'demo', 'components', '**', '*')],
+                commonThemePath: path.join(basePath, 'common')
+            });
+            await memoryBundler.promise;
+            await memoryBundler.cleanup();
+            const bundles = await memoryBundler.bundleToMemory();
+
+            expect(Object.keys(bundles)).toEqual(['default', 'dark']);
+            const commonCSS = readFileSync(path.join(basePath, 'common', 'vars.css'), 'utf8').trim();
+            expect(bundles.dark.css).toContain(commonCSS);
+            expect(bundles.dark.minified.length).toBeGreaterThan(0);
+            expect(existsSync(memoryBundler.commonTheme?.getTargetFile() ?? '')).toBe(false);
+            memoryBundler.themes.forEach(theme => expect(existsSync(theme.getTargetFile())).toBe(false));
+            expect(existsSync(path.join(outputDir, 'test-memory'))).toBe(false);
+        });
+    });
+
+    describe('Critical CSS', () => {
+        it('extracts the critical CSS of all themes with the common theme', async () => {
+            const criticalBundler = new ThemesBundler({
+                exportPath: path.join(outputDir, 'test-critical'),
+                themes: [{ path: path.join(basePath, 'default') }, { path: path.join(basePath, 'dark') }],
+                commonThemePath: path.join(basePath, 'common')
+            });
+            const pagesDir = path.join(outputDir, 'test-critical-pages');
+            const page = path.join(pagesDir, 'index.html');
+            mkdirSync(pagesDir, { recursive: true });
+            writeFileSync(page, '<html><head></head><body><blockquote></blockquote></body></html>');
+            const results = await criticalBundler.extractCritical([page], { inline: true });
+
+            expect(results.map(result => result.themeName)).toEqual(['default', 'dark']);
+            expect(results.map(result => result.file)).toEqual([
+                page,
+                path.join(pagesDir, 'index.dark.critical.css')
+            ]);
+            const html = readFileSync(page, 'utf8');
+            expect(html).toContain('<style data-critical="default">');
+            expect(html).not.toContain('<style data-critical="dark">');
+            results.forEach(result => expect(result.css).toContain('--common-var: yellowgreen'));
+
+            await criticalBundler.extractCritical([page], { inline: true, inlineTheme: 'dark' });
+            expect(readFileSync(page, 'utf8')).toContain('<style data-critical="dark">');
+            await expect(
+                criticalBundler.extractCritical([page], { inline: true, inlineTheme: 'nope' })
+            ).rejects.toThrow('Unknown theme to inline: nope');
+        });
+    });
+
+    describe('Custom property coverage', () => {
+        it('reports where the custom properties of the themes are defined and used', async () => {
+            const coverageBundler = new ThemesBundler({
+                themes: [{ path: path.join(basePath, 'default') }, { path: path.join(basePath, 'dark') }],
+                commonThemePath: path.join(basePath, 'common')
+            });
+            const report = await coverageBundler.getCustomPropertyCoverage();
+            expect(report.themes).toEqual(['default', 'dark']);
+            expect(report.properties['--common-var']).toEqual({
+                default: { status: 'inherited', definedIn: ['common'], used: false },
+                dark: { status: 'inherited', definedIn: ['common'], used: false }
+            });
+            expect(report.properties['--color-background'].default.status).toBe('undefined');
+            expect(report.properties['--color-background'].dark.status).toBe('defined');
+            expect(report.unused).toContain('--common-var');
+            expect(report.undefined).toContain('--color-background');
+        });
+    });
+
+    describe('Events', () => {
+        it('emits init and forwards the theme events', async () => {
+            const eventBundler = new ThemesBundler({
+                exportPath: path.join(outputDir, 'test-events'),
+                themes: [{ path: path.join(basePath, 'default') }, { path: path.join(basePath, 'dark') }],
+                commonThemePath: path.join(basePath, 'common')
+            });
+            const initSpy = jest.fn();
+            const endSpy = jest.fn();
+            eventBundler.on('init', initSpy);
+            eventBundler.on('bundle:end', endSpy);
+            await eventBundler.promise;
+            expect(initSpy).toHaveBeenCalledWith({ themes: ['default', 'dark'] });
+
+            await eventBundler.bundle();
+            const themeNames = endSpy.mock.calls.map(([payload]) => /** @type {any} */ (payload).themeName);
+            expect(themeNames).toEqual(expect.arrayContaining(['common', 'default', 'dark']));
+            await eventBundler.cleanup();
+        });
+
+        it('forwards theme errors to its listeners', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const errorBundler = new ThemesBundler({
+                themes: [{ path: path.join(basePath, 'default') }],
+                commonThemePath: path.join(cwd, 'demo')
+            });
+            const errorSpy = jest.fn();
+            errorBundler.on('error', errorSpy);
+            await errorBundler.promise;
+            await new Promise(resolve => process.nextTick(resolve));
+            expect(errorSpy).toHaveBeenCalledWith(expect.objectContaining({ themeName: 'demo' }));
+            jest.restoreAllMocks();
+        });
+    });
+
+    describe('Hashing', () => {
+        const exportPath = path.join(outputDir, 'test-hash');
+        /** @type {ThemesBundler} */
+        let hashBundler;
+        beforeAll(async () => {
+            hashBundler = new ThemesBundler({
+                exportPath,
+                themes: [{ path: basePath + '/default' }, { path: basePath + '/dark' }],
+                patterns: ['{cwd}/demo/components'],
+                minify: true,
+                hash: true
+            });
+            await hashBundler.promise;
+        });
+
+        afterAll(async () => {
+            await hashBundler.cleanup();
+        });
+
+        it('exports hashed files and writes the manifest', async () => {
+            const staleFile = path.join(exportPath, 'dark', 'dark.0123abcd.min.css');
+            mkdirSync(path.dirname(staleFile), { recursive: true });
+            writeFileSync(staleFile, '.stale{}');
+            await hashBundler.bundle();
+
+            const manifestFile = path.join(exportPath, 'manifest.json');
+            expect(existsSync(manifestFile)).toBe(true);
+            const manifest = JSON.parse(readFileSync(manifestFile, 'utf8'));
+            expect(Object.keys(manifest)).toEqual(['default', 'dark']);
+            expect(manifest.dark.minified).toMatch(/^dark\/dark\.[0-9a-f]{8}\.min\.css$/);
+            expect(manifest.dark.bundled).toMatch(/^dark\/dark\.[0-9a-f]{8}\.bundled\.css$/);
+            expect(manifest.dark.assets).toEqual([]);
+            expect(existsSync(path.join(exportPath, manifest.dark.minified))).toBe(true);
+            expect(existsSync(path.join(exportPath, 'dark', 'dark.min.css'))).toBe(false);
+            expect(existsSync(staleFile)).toBe(false);
+        });
+
+        it('keeps the same file names when the content does not change', async () => {
+            const manifest = hashBundler.getManifest();
+            await hashBundler.bundle();
+            expect(hashBundler.getManifest()).toEqual(manifest);
+            expect(readdirSync(path.join(exportPath, 'default')).length).toBe(2);
+        });
+
+        it('removes the hashed files and the manifest on cleanup', async () => {
+            await hashBundler.cleanup();
+            expect(existsSync(path.join(exportPath, 'manifest.json'))).toBe(false);
+            expect(readdirSync(path.join(exportPath, 'default')).length).toBe(0);
+        });
+
+        it('does not write a manifest without hashing', async () => {
+            const plainBundler = new ThemesBundler({
+                exportPath: path.join(outputDir, 'test-no-hash'),
+                themes: [{ path: basePath + '/dark' }]
+            });
+            await plainBundler.promise;
+            await plainBundler.bundle();
+            expect(plainBundler.writeManifest()).toBe(false);
+            expect(existsSync(path.join(outputDir, 'test-no-hash', 'manifest.json'))).toBe(false);
+            await plainBundler.cleanup();
+        });
+    });
+
+    describe('Theme switcher', () => {
+        const exportPath = path.join(outputDir, 'test-theme-switcher');
+
+        it('writes the theme switcher with the exported stylesheets and removes it on cleanup', async () => {
+            const switcherBundler = new ThemesBundler({
+                exportPath,
+                themes: [{ path: basePath + '/default' }, { path: basePath + '/dark' }],
+                minify: true,
+                hash: true,
+                themeSwitcher: { colorSchemes: { light: 'default', dark: 'dark' } }
+            });
+            await switcherBundler.promise;
+            await switcherBundler.bundle();
+            const moduleFile = path.join(exportPath, 'theme-switcher.mjs');
+            const module = readFileSync(moduleFile, 'utf8');
+            expect(module).toContain(`"dark":"./${switcherBundler.getManifest().dark.minified}"`);
+            expect(module).toContain('"defaultTheme":"auto"');
+            expect(readFileSync(path.join(exportPath, 'theme-switcher.js'), 'utf8')).toContain(
+                'document.currentScript.src'
+            );
+            await switcherBundler.cleanup();
+            expect(existsSync(moduleFile)).toBe(false);
+            expect(existsSync(path.join(exportPath, 'theme-switcher.js'))).toBe(false);
+        });
+
+        it('reports theme switcher themes which are not exported', async () => {
+            const switcherBundler = new ThemesBundler({
+                exportPath,
+                themes: [{ path: basePath + '/dark' }],
+                reporter: 'silent',
+                themeSwitcher: { themes: ['dark', 'blue'], fileName: 'themes' }
+            });
+            const errorSpy = jest.fn();
+            switcherBundler.on('error', errorSpy);
+            await switcherBundler.promise;
+            await switcherBundler.bundle();
+            await new Promise(resolve => process.nextTick(resolve));
+            expect(errorSpy).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    code: 'invalid-theme-switcher',
+                    message: 'Theme switcher themes without an exported stylesheet: blue'
+                })
+            );
+            expect(existsSync(path.join(exportPath, 'themes.mjs'))).toBe(false);
+            await switcherBundler.cleanup();
+        });
+    });
+
+    describe('Combined stylesheet', () => {
+        const exportPath = path.join(outputDir, 'test-combined');
+
+        it('merges the themes, scoped by selector or by the media query of the theme', async () => {
+            const compactPath = path.join(outputDir, 'test-combined-themes', 'compact');
+            mkdirSync(compactPath, { recursive: true });
+            writeFileSync(path.join(compactPath, 'compact.css'), '.card { padding: 0; }');
+            writeFileSync(
+                path.join(compactPath, 'compact.config.js'),
+                "export default { includes: ['compact'], media: 'screen and (max-width: 700px)' };"
+            );
+            const combinedBundler = new ThemesBundler({
+                exportPath,
+                themes: [
+                    { path: path.join(basePath, 'dark') },
+                    { path: path.join(basePath, 'default') },
+                    { path: compactPath }
+                ],
+                commonThemePath: path.join(basePath, 'common'),
+                minify: true,
+                combined: { defaultTheme: 'default' }
+            });
+            await combinedBundler.promise;
+            await combinedBundler.bundle();
+            const css = readFileSync(path.join(exportPath, 'themes.bundled.css'), 'utf8');
+            expect(css.match(/--common-var/g)).toHaveLength(1);
+            expect(css).toContain(':root[data-theme="dark"] {');
+            expect(css.indexOf('--common-var')).toBeLessThan(css.indexOf('[data-theme="dark"]'));
+            expect(css).toMatch(/@media screen and \(max-width: 700px\) {\s*\.card {\s*padding: 0;\s*}/);
+            expect(css).not.toContain('[data-theme="compact"]');
+            expect(existsSync(path.join(exportPath, 'themes.min.css'))).toBe(true);
+
+            await combinedBundler.cleanup();
+            expect(existsSync(path.join(exportPath, 'themes.bundled.css'))).toBe(false);
+            expect(existsSync(path.join(exportPath, 'themes.min.css'))).toBe(false);
+        });
+
+        it('reports unknown themes', async () => {
+            const combinedBundler = new ThemesBundler({
+                exportPath,
+                themes: [{ path: path.join(basePath, 'dark') }],
+                reporter: 'silent',
+                combined: { themes: ['dark', 'blue'] }
+            });
+            await expect(combinedBundler.bundleCombined()).rejects.toThrow(
+                'Unknown themes in the combined stylesheet: blue'
+            );
+            expect(await combinedBundler.writeCombined()).toBe(false);
+        });
+
+        it('notifies the dev server once the combined stylesheet is written while watching', async () => {
+            const combinedBundler = new ThemesBundler({
+                exportPath,
+                themes: [{ path: path.join(basePath, 'dark') }],
+                combined: true
+            });
+            await combinedBundler.promise;
+            const [theme] = combinedBundler.themes;
+            /** @type {string[]} */
+            const calls = [];
+            /** @type {StyleUpdateCallbackType | undefined} */
+            let callback;
+            jest.spyOn(theme, 'watch').mockImplementation(async cb => {
+                callback = cb;
+            });
+            jest.spyOn(combinedBundler, 'writeCombined').mockImplementation(async () => {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                calls.push('writeCombined');
+                return true;
+            });
+            jest.spyOn(combinedBundler, 'notifyDevServer').mockImplementation(() => {
+                calls.push('notifyDevServer');
+            });
+            await combinedBundler.watch();
+            await callback?.({ themeName: 'dark' }, theme);
+            expect(calls).toEqual(['writeCombined', 'notifyDevServer']);
+        });
+    });
+
     describe('Error Handling', () => {
         it('handles empty themes and invalid patterns gracefully', async () => {
             const emptyBundler = new ThemesBundler({ themes: [], patterns: [] });
@@ -151,6 +451,31 @@ describe('ThemesBundler', () => {
             await invalidBundler.cleanup();
         });
 
+        it('reports the themes that fail to re-bundle after a change of the common theme', async () => {
+            const report = jest.fn();
+            const watchBundler = new ThemesBundler({
+                themes: [{ path: path.join(basePath, 'default') }, { path: path.join(basePath, 'dark') }],
+                commonThemePath: path.join(basePath, 'common'),
+                reporter: { report }
+            });
+            await watchBundler.promise;
+            const [defaultTheme, darkTheme] = watchBundler.themes;
+            const error = new Error('Disk full');
+            jest.spyOn(defaultTheme, 'bundle').mockResolvedValue(true);
+            jest.spyOn(darkTheme, 'bundle').mockRejectedValue(error);
+            const file = path.join(basePath, 'common', 'vars.css');
+            await watchBundler.rebundleThemes(file);
+            expect(defaultTheme.bundle).toHaveBeenCalled();
+            expect(report).toHaveBeenCalledWith({
+                severity: 'error',
+                code: 'bundle-failed',
+                message: "Failed to bundle theme 'dark'",
+                themeName: 'dark',
+                file,
+                error
+            });
+        });
+
         it('handles undefined config', () => {
             // @ts-expect-error
             const bundler = new ThemesBundler(undefined);
@@ -184,6 +509,22 @@ describe('ThemesBundler', () => {
             expect(bundler.themes.length).toBe(1);
         });
 
+        it('reports invalid config values and throws them in strict mode', () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            // @ts-expect-error
+            const bundler = new ThemesBundler({ themes: [], minify: 'yes' });
+            expect(consoleSpy).toHaveBeenCalledWith(
+                '🚫 Invalid config in ThemesBundler config: "minify" must be of type boolean, received "yes"'
+            );
+            expect(bundler._config?.minify).toBe(false);
+            consoleSpy.mockRestore();
+
+            // @ts-expect-error
+            expect(() => new ThemesBundler({ themes: [], minify: 'yes', strict: true })).toThrow(
+                '"minify" must be of type boolean'
+            );
+        });
+
         it('handles common theme path that does not exist', () => {
             const bundler = new ThemesBundler({
                 themes: [{ path: basePath + '/default' }],
@@ -273,8 +614,36 @@ describe('ThemesBundler', () => {
             await watchBundler.cleanup();
         });
 
+        it('passes the browser targets to all themes', async () => {
+            const targetsBundler = new ThemesBundler({
+                themes: [
+                    { path: basePath + '/default' },
+                    { path: basePath + '/dark', targets: 'chrome 110' }
+                ],
+                commonThemePath: basePath + '/common',
+                targets: 'chrome 100'
+            });
+            await targetsBundler.promise;
+            expect(targetsBundler.getTheme('default')?.targets).toEqual({ chrome: 100 << 16 });
+            expect(targetsBundler.getTheme('dark')?.targets).toEqual({ chrome: 110 << 16 });
+            expect(targetsBundler.commonTheme?.targets).toEqual({ chrome: 100 << 16 });
+        });
+
+        it('keeps the custom media rules of the common theme for the themes to compile', async () => {
+            const draftsBundler = new ThemesBundler({
+                themes: [{ path: basePath + '/default' }],
+                commonThemePath: basePath + '/common',
+                drafts: { customMedia: true },
+                unusedSymbols: ['unused']
+            });
+            await draftsBundler.promise;
+            expect(draftsBundler.getTheme('default')?._config?.drafts).toEqual({ customMedia: true });
+            expect(draftsBundler.commonTheme?._config?.drafts).toBeUndefined();
+            expect(draftsBundler.commonTheme?._config?.unusedSymbols).toEqual(['unused']);
+        });
+
         it('skips invalid theme paths during initialization', () => {
-            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+            const consoleSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
 
             const invalidBundler = new ThemesBundler({
                 themes: [{ path: basePath + '/default' }, { path: '/non/existent/theme/path' }]
@@ -325,6 +694,19 @@ describe('ThemesBundler', () => {
             expect(hasWatchers).toBe(false);
         });
 
+        it('starts the dev server when watching and stops it on cleanup', async () => {
+            jest.spyOn(console, 'info').mockImplementation(() => {});
+            bundler.setConfig({ ...bundler._config, devServer: { port: 0, host: '127.0.0.1' } });
+            await bundler.bundle();
+            const server = await bundler.startDevServer();
+            expect(server?.server.listening).toBe(true);
+            expect(console.info).toHaveBeenCalledWith(expect.stringContaining('🌐 Dev server running at'));
+            await bundler.cleanup();
+            expect(server?.server.listening).toBe(false);
+            expect(bundler.devServer).toBeUndefined();
+            jest.restoreAllMocks();
+        });
+
         it('triggers re-bundle when common theme changes', async () => {
             await bundler.bundle();
             await bundler.watch();
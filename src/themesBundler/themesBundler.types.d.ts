@@ -1,5 +1,16 @@
 import ThemeBundler from '../themeBundler/themeBundler.mjs';
-import { ThemeBundlerConfigType } from '../themeBundler/themeBundler.types.js';
+import { DevServerConfigType } from '../devServer/devServer.types.js';
+import { ReporterConfigType } from '../reporter/reporter.types.js';
+import { TargetsConfigType } from '../targets/targets.types.js';
+import { Drafts, NonStandard } from 'lightningcss';
+import { ThemeBundlerPluginType } from '../plugins/plugins.types.js';
+import { PostCSSConfigType } from '../postcss/postcss.types.js';
+import { SassConfigType } from '../sass/sass.types.js';
+import { BudgetsConfigType } from '../budgets/budgets.types.js';
+import { CompressionType } from '../compression/compression.types.js';
+import { ManifestEntryType, ThemeBundlerConfigType } from '../themeBundler/themeBundler.types.js';
+import { ThemeSwitcherConfigType } from '../themeSwitcher/themeSwitcher.types.js';
+import { CombinedConfigType } from '../combined/combined.types.js';
 
 /**
  * Options and configuration for the ThemesBundler.
@@ -48,10 +59,115 @@ export interface ThemesBundlerConfigType {
      * @property {string} watchPaths - Paths to be monitored for changes in external theme files, if not specified the script will use the working directory by default.
      */
     watchPaths?: string[];
+
+    /**
+     * @property {boolean} verbose - If set, it overrides the verbose setting of every theme.
+     */
+    verbose?: boolean;
+
+    /**
+     * @property {'development' | 'production'} mode - Sets the mode of every theme, refer to ThemeBundlerConfigType.
+     */
+    mode?: 'development' | 'production';
+
+    /**
+     * @property {boolean} sourceMap - Generates source maps for all themes, refer to ThemeBundlerConfigType.
+     */
+    sourceMap?: boolean;
     exportPath?: string;
+
+    /**
+     * @property {boolean | number} hash - Adds a content hash to the exported file names of all themes.
+     * When enabled, a manifest.json mapping each theme name to its exported files is written to the export path.
+     */
+    hash?: boolean | number;
+
+    /**
+     * @property {boolean | DevServerConfigType} devServer - Starts a local HTTP server when watching.
+     * It serves the export path (or the working directory) and hot-swaps the stylesheets of updated themes in the browser.
+     */
+    devServer?: boolean | DevServerConfigType;
     watchCallback?: StyleUpdateCallbackType;
+
+    /**
+     * @property {boolean} strict - Makes errors in this config and every theme config fatal, refer to ThemeBundlerConfigType.
+     */
+    strict?: boolean;
+
+    /**
+     * @property {ReporterConfigType} reporter - Receives the messages of the bundler and all themes, refer to ThemeBundlerConfigType.
+     */
+    reporter?: ReporterConfigType;
+
+    /**
+     * @property {TargetsConfigType} targets - The browsers to compile all themes for, unless a theme sets its own targets.
+     */
+    targets?: TargetsConfigType;
+
+    /**
+     * @property {Drafts} drafts - The draft CSS features to compile in all themes, refer to ThemeBundlerConfigType.
+     */
+    drafts?: Drafts;
+
+    /**
+     * @property {NonStandard} nonStandard - The non-standard syntax to accept in all themes, refer to ThemeBundlerConfigType.
+     */
+    nonStandard?: NonStandard;
+
+    /**
+     * @property {string[]} unusedSymbols - The symbols to remove from all themes, refer to ThemeBundlerConfigType.
+     */
+    unusedSymbols?: string[];
+
+    /**
+     * @property {ThemeBundlerPluginType[]} plugins - Hook into the bundling of every theme, unless a theme sets its own plugins.
+     * They do not run on the common theme, whose bundle is passed to the transformFile hook of each theme instead.
+     */
+    plugins?: ThemeBundlerPluginType[];
+
+    /**
+     * @property {PostCSSConfigType} postcss - PostCSS plugins to run on every theme, unless a theme sets its own postcss config.
+     */
+    postcss?: PostCSSConfigType;
+
+    /**
+     * @property {SassConfigType} sass - The options of the Sass compiler for every SCSS theme, unless a theme sets its own sass config.
+     */
+    sass?: SassConfigType;
+
+    /**
+     * @property {BudgetsConfigType} budgets - The size budgets of every theme, unless a theme sets its own budgets.
+     */
+    budgets?: BudgetsConfigType;
+
+    /**
+     * @property {boolean | CompressionType[]} compress - Writes compressed copies of the exported minified files, refer to ThemeBundlerConfigType.
+     */
+    compress?: boolean | CompressionType[];
+
+    /**
+     * @property {number} inlineAssetLimit - Inlines smaller assets as data URIs, refer to ThemeBundlerConfigType.
+     */
+    inlineAssetLimit?: number;
+
+    /**
+     * @property {boolean | ThemeSwitcherConfigType} themeSwitcher - Writes an ES module to switch between the exported themes in the browser.
+     * It requires the exportPath, and is rewritten whenever the themes are exported.
+     */
+    themeSwitcher?: boolean | ThemeSwitcherConfigType;
+
+    /**
+     * @property {boolean | CombinedConfigType} combined - Also writes a stylesheet merging the themes to the export path.
+     * The rules of each theme but the default are scoped by a selector or wrapped in the media query of the theme.
+     */
+    combined?: boolean | CombinedConfigType;
 }
 
+/**
+ * The contents of the manifest.json file written to the export path, keyed by theme name.
+ */
+export type ManifestType = Record<string, ManifestEntryType>;
+
 export type WriteStylesReturnType = {
     result?: any;
     styles?: string;
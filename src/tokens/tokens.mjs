@@ -0,0 +1,245 @@
+/**
+ * @typedef {import('./tokens.types.js').DesignTokensType} DesignTokensType
+ * @typedef {import('./tokens.types.js').DesignTokenType} DesignTokenType
+ * @typedef {Map<string, DesignTokenType>} TokenMapType
+ * @typedef {(value: any, tokens: TokenMapType) => string | undefined} TokenFormatterType
+ */
+import fs from 'fs';
+
+const ALIAS = /\{([^{}]+)\}/g;
+
+/**
+ * The color spaces with a CSS function of their own, other color spaces use color().
+ */
+const COLOR_FUNCTIONS = ['hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch'];
+
+/**
+ * The fields of typography tokens, which are compiled to a custom property each, and their types.
+ * @type {Record<string, string>}
+ */
+const TYPOGRAPHY_FIELDS = {
+    fontFamily: 'fontFamily',
+    fontSize: 'dimension',
+    fontWeight: 'fontWeight',
+    letterSpacing: 'dimension',
+    lineHeight: 'number'
+};
+
+/**
+ * Whether a value is a plain object, i.e. a group, a token or a composite value.
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Converts a camel case name to kebab case, e.g. fontFamily to font-family.
+ * @param {string} name
+ * @returns {string}
+ */
+function toKebabCase(name) {
+    return name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+}
+
+/**
+ * Returns the custom property name of a token, e.g. --color-primary for color.primary.
+ * @param {string[]} path
+ * @returns {string}
+ */
+export function getTokenName(path) {
+    return `--${path.map(key => key.replace(/[^\w-]/g, '-')).join('-')}`;
+}
+
+/**
+ * Replaces the aliases of a value, e.g. {color.primary}, with the custom property of the token.
+ * @param {string} value
+ * @param {TokenMapType} tokens
+ * @returns {string}
+ * @throws {Error} - If an alias does not refer to a token.
+ */
+function resolveAliases(value, tokens) {
+    return value.replace(ALIAS, (_match, path) => {
+        if (!tokens.has(path)) throw new Error(`Unknown token alias: "{${path}}"`);
+        return `var(${getTokenName(path.split('.'))})`;
+    });
+}
+
+/**
+ * Formats the composite shadow value of a token.
+ * @param {Record<string, any>} shadow
+ * @param {TokenMapType} tokens
+ * @returns {string}
+ */
+function formatShadow(shadow, tokens) {
+    const { color, offsetX, offsetY, blur, spread, inset } = shadow;
+    const lengths = [offsetX, offsetY, blur, spread].filter(value => typeof value !== 'undefined');
+    return [
+        inset ? 'inset' : '',
+        ...lengths.map(value => formatValue(value, 'dimension', tokens)),
+        formatValue(color, 'color', tokens)
+    ]
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Formats the values of each $type which are not strings or numbers.
+ * @type {Record<string, TokenFormatterType>}
+ */
+const FORMATTERS = {
+    color: value => {
+        const { colorSpace, components, alpha = 1, hex } = value;
+        if (hex && alpha === 1) return hex;
+        if (!Array.isArray(components)) return undefined;
+        const isHue = colorSpace === 'hsl' || colorSpace === 'hwb';
+        const values = isHue
+            ? components.map((component, index) => (index ? `${component}%` : component))
+            : components;
+        const rv = `${values.join(' ')}${alpha === 1 ? '' : ` / ${alpha}`}`;
+        return COLOR_FUNCTIONS.includes(colorSpace) ? `${colorSpace}(${rv})` : `color(${colorSpace} ${rv})`;
+    },
+    dimension: value => (typeof value.value === 'number' ? `${value.value}${value.unit ?? ''}` : undefined),
+    duration: value => (typeof value.value === 'number' ? `${value.value}${value.unit ?? 'ms'}` : undefined),
+    fontFamily: value =>
+        Array.isArray(value)
+            ? value.map(name => (/\s/.test(name) ? `"${name}"` : name)).join(', ')
+            : undefined,
+    cubicBezier: value => (Array.isArray(value) ? `cubic-bezier(${value.join(', ')})` : undefined),
+    shadow: (value, tokens) => {
+        const shadows = Array.isArray(value) ? value : [value];
+        return shadows.map(shadow => formatShadow(shadow, tokens)).join(', ');
+    },
+    border: ({ width, style, color }, tokens) =>
+        [
+            formatValue(width, 'dimension', tokens),
+            formatValue(style, 'strokeStyle', tokens),
+            formatValue(color, 'color', tokens)
+        ].join(' '),
+    transition: ({ duration, delay, timingFunction }, tokens) =>
+        [
+            formatValue(duration, 'duration', tokens),
+            formatValue(timingFunction, 'cubicBezier', tokens),
+            formatValue(delay, 'duration', tokens)
+        ].join(' '),
+    gradient: (value, tokens) => {
+        if (!Array.isArray(value)) return undefined;
+        return value
+            .map(stop => `${formatValue(stop.color, 'color', tokens)} ${stop.position * 100}%`)
+            .join(', ');
+    }
+};
+
+/**
+ * Formats the value of a token as a CSS value.
+ * @param {unknown} value
+ * @param {string | undefined} type
+ * @param {TokenMapType} tokens - The tokens aliases are resolved from.
+ * @returns {string}
+ * @throws {Error} - If the value is not supported by its type or an alias is unknown.
+ */
+export function formatValue(value, type, tokens) {
+    if (typeof value === 'string') return resolveAliases(value, tokens);
+    if (typeof value === 'number') return String(value);
+    const rv = type && value && typeof value === 'object' ? FORMATTERS[type]?.(value, tokens) : undefined;
+    if (typeof rv === 'undefined') {
+        throw new Error(`Unsupported ${type ?? 'untyped'} value: ${JSON.stringify(value)}`);
+    }
+    return rv;
+}
+
+/**
+ * Deep merges tokens files, the tokens of the source replace those of the target.
+ * @param {DesignTokensType} target
+ * @param {DesignTokensType} source
+ * @returns {DesignTokensType}
+ */
+export function mergeTokens(target, source) {
+    if ('$value' in source) return source;
+    /** @type {DesignTokensType} */
+    const rv = { ...target };
+    Object.entries(source).forEach(([key, value]) => {
+        const current = rv[key];
+        rv[key] = isObject(current) && isObject(value) ? mergeTokens(current, value) : value;
+    });
+    return rv;
+}
+
+/**
+ * Reads and merges tokens files, later files override the tokens of earlier ones.
+ * @param {string[]} files
+ * @returns {DesignTokensType}
+ * @throws {Error} - If a file can't be read or is not valid JSON.
+ */
+export function readTokens(files) {
+    return files.reduce((tokens, file) => {
+        try {
+            return mergeTokens(tokens, JSON.parse(fs.readFileSync(file, 'utf8')));
+        } catch (error) {
+            throw new Error(`Failed to read design tokens: ${file}`, { cause: error });
+        }
+    }, /** @type {DesignTokensType} */ ({}));
+}
+
+/**
+ * Returns the tokens of a tokens tree, with the $type inherited from their groups.
+ * @param {DesignTokensType} tokens
+ * @param {string[]} [path]
+ * @param {string} [type]
+ * @returns {DesignTokenType[]}
+ */
+export function flattenTokens(tokens, path = [], type) {
+    const tokenType = tokens.$type ?? type;
+    if ('$value' in tokens) return [{ path, type: tokenType, value: tokens.$value }];
+    return Object.entries(tokens).flatMap(([key, value]) => {
+        if (key.startsWith('$') || !isObject(value)) return [];
+        return flattenTokens(value, [...path, key], tokenType);
+    });
+}
+
+/**
+ * Returns the declarations of a token, typography tokens are compiled to a custom property per field.
+ * @param {DesignTokenType} token
+ * @param {TokenMapType} tokens
+ * @returns {[string, string][]}
+ */
+function getDeclarations(token, tokens) {
+    const name = getTokenName(token.path);
+    const alias = typeof token.value === 'string' ? token.value.match(/^\{([^{}]+)\}$/)?.[1] : undefined;
+    const target = alias ? tokens.get(alias) : token;
+    if (target?.type !== 'typography' || !isObject(target.value)) {
+        return [[name, formatValue(token.value, token.type, tokens)]];
+    }
+    const { value } = target;
+    return Object.keys(TYPOGRAPHY_FIELDS)
+        .filter(field => typeof value[field] !== 'undefined')
+        .map(field => {
+            const suffix = toKebabCase(field);
+            if (alias) return [`${name}-${suffix}`, `var(${getTokenName(alias.split('.'))}-${suffix})`];
+            return [`${name}-${suffix}`, formatValue(value[field], TYPOGRAPHY_FIELDS[field], tokens)];
+        });
+}
+
+/**
+ * Compiles design tokens to custom properties of the :root selector.
+ * Aliases are compiled to var() references, so overriding a token in another theme applies to its aliases too.
+ * @param {DesignTokensType} tokens
+ * @param {DesignTokensType} [context] - The tokens aliases are resolved from, e.g. including those of the base theme.
+ * @returns {string}
+ * @throws {Error} - If a value is not supported or an alias is unknown.
+ */
+export function compileTokens(tokens, context = tokens) {
+    /** @type {TokenMapType} */
+    const tokenMap = new Map(flattenTokens(context).map(token => [token.path.join('.'), token]));
+    const declarations = flattenTokens(tokens).flatMap(token => {
+        try {
+            return getDeclarations(token, tokenMap);
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            throw new Error(`Invalid design token "${token.path.join('.')}": ${message}`, { cause: error });
+        }
+    });
+    if (!declarations.length) return '';
+    return `:root {\n${declarations.map(([name, value]) => `    ${name}: ${value};`).join('\n')}\n}\n`;
+}
@@ -0,0 +1,128 @@
+/**
+ * @jest-environment node
+ */
+import { compileTokens, flattenTokens, getTokenName, mergeTokens } from './tokens.mjs';
+
+const dimension = (/** @type {number} */ value, unit = 'px') => ({ value, unit });
+
+describe('Design tokens', () => {
+    it('flattens the tokens with the type of their groups', () => {
+        const tokens = {
+            color: { $type: 'color', primary: { $value: '#06f' }, $description: 'Colors' },
+            spacing: { small: { $type: 'dimension', $value: '4px' } }
+        };
+        expect(flattenTokens(tokens)).toEqual([
+            { path: ['color', 'primary'], type: 'color', value: '#06f' },
+            { path: ['spacing', 'small'], type: 'dimension', value: '4px' }
+        ]);
+        expect(getTokenName(['grey', '50'])).toBe('--grey-50');
+        expect(getTokenName(['space', '1.5'])).toBe('--space-1-5');
+    });
+
+    it('merges tokens files, replacing tokens and merging groups', () => {
+        const base = { color: { $type: 'color', primary: { $value: '#06f' }, text: { $value: '#111' } } };
+        const override = { color: { primary: { $value: { colorSpace: 'srgb', components: [1, 0, 0] } } } };
+        expect(mergeTokens(base, override)).toEqual({
+            color: {
+                $type: 'color',
+                primary: { $value: { colorSpace: 'srgb', components: [1, 0, 0] } },
+                text: { $value: '#111' }
+            }
+        });
+    });
+
+    it('compiles the tokens to custom properties', () => {
+        const tokens = {
+            color: {
+                $type: 'color',
+                primary: { $value: { colorSpace: 'srgb', components: [0, 0.4, 1], hex: '#0066ff' } },
+                overlay: { $value: { colorSpace: 'oklch', components: [0.2, 0.05, 260], alpha: 0.5 } },
+                muted: { $value: { colorSpace: 'hsl', components: [210, 20, 50] } },
+                link: { $value: '{color.primary}' }
+            },
+            spacing: {
+                $type: 'dimension',
+                small: { $value: dimension(4) },
+                large: { $value: 'calc({spacing.small} * 4)' }
+            },
+            font: {
+                weight: { $type: 'fontWeight', $value: 700 },
+                family: { $type: 'fontFamily', $value: ['Inter', 'Helvetica Neue', 'sans-serif'] }
+            },
+            easing: { $type: 'cubicBezier', $value: [0.4, 0, 0.2, 1] },
+            shadow: {
+                $type: 'shadow',
+                $value: {
+                    color: '{color.overlay}',
+                    offsetX: dimension(0),
+                    offsetY: dimension(2),
+                    blur: dimension(4)
+                }
+            },
+            border: {
+                $type: 'border',
+                $value: { width: dimension(1), style: 'solid', color: '{color.primary}' }
+            },
+            transition: {
+                $type: 'transition',
+                $value: {
+                    duration: dimension(200, 'ms'),
+                    delay: dimension(0, 'ms'),
+                    timingFunction: '{easing}'
+                }
+            }
+        };
+        expect(compileTokens(tokens)).toBe(`:root {
+    --color-primary: #0066ff;
+    --color-overlay: oklch(0.2 0.05 260 / 0.5);
+    --color-muted: hsl(210 20% 50%);
+    --color-link: var(--color-primary);
+    --spacing-small: 4px;
+    --spacing-large: calc(var(--spacing-small) * 4);
+    --font-weight: 700;
+    --font-family: Inter, "Helvetica Neue", sans-serif;
+    --easing: cubic-bezier(0.4, 0, 0.2, 1);
+    --shadow: 0px 2px 4px var(--color-overlay);
+    --border: 1px solid var(--color-primary);
+    --transition: 200ms var(--easing) 0ms;
+}
+`);
+    });
+
+    it('compiles typography tokens to a custom property per field', () => {
+        const tokens = {
+            typography: {
+                $type: 'typography',
+                body: { $value: { fontFamily: 'Inter', fontSize: dimension(1, 'rem'), lineHeight: 1.5 } },
+                paragraph: { $value: '{typography.body}' }
+            }
+        };
+        expect(compileTokens(tokens)).toBe(`:root {
+    --typography-body-font-family: Inter;
+    --typography-body-font-size: 1rem;
+    --typography-body-line-height: 1.5;
+    --typography-paragraph-font-family: var(--typography-body-font-family);
+    --typography-paragraph-font-size: var(--typography-body-font-size);
+    --typography-paragraph-line-height: var(--typography-body-line-height);
+}
+`);
+    });
+
+    it('resolves aliases from the context tokens', () => {
+        const base = { color: { primary: { $type: 'color', $value: '#06f' } } };
+        const tokens = { color: { link: { $value: '{color.primary}' } } };
+        expect(compileTokens(tokens, mergeTokens(base, tokens))).toBe(
+            ':root {\n    --color-link: var(--color-primary);\n}\n'
+        );
+        expect(compileTokens({})).toBe('');
+    });
+
+    it('throws on unknown aliases and unsupported values', () => {
+        expect(() => compileTokens({ link: { $value: '{color.primary}' } })).toThrow(
+            'Invalid design token "link": Unknown token alias: "{color.primary}"'
+        );
+        expect(() => compileTokens({ size: { $value: { value: 4 } } })).toThrow(
+            'Invalid design token "size": Unsupported untyped value: {"value":4}'
+        );
+    });
+});
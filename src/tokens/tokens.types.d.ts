@@ -0,0 +1,24 @@
+/**
+ * A group or token of a Design Tokens Community Group (DTCG) file.
+ * Tokens have a $value, groups contain tokens and groups, and the $type is inherited from the groups.
+ */
+export type DesignTokensType = {
+    $value?: unknown;
+    $type?: string;
+    $description?: string;
+    [key: string]: unknown;
+};
+
+/**
+ * A token with its path in the tokens file and the $type inherited from its groups.
+ */
+export type DesignTokenType = {
+    path: string[];
+    type?: string;
+    value: unknown;
+};
+
+/**
+ * The tokens config option, one or more DTCG JSON files relative to the theme directory.
+ */
+export type TokensConfigType = string | string[];
@@ -1,8 +1,61 @@
 export { BundleThemeArgsType } from './common.types.js';
 export {
     ThemesBundlerConfigType,
+    ManifestType,
     WriteStylesReturnType,
     StyleUpdateCallbackPayloadType,
     StyleUpdateCallbackType
 } from './themesBundler/themesBundler.types.js';
-export { ThemeBundlerConfigType } from './themeBundler/themeBundler.types.js';
+export {
+    ThemeBundlerConfigType,
+    ManifestEntryType,
+    InMemoryBundleType,
+    BundleToStringOptionsType
+} from './themeBundler/themeBundler.types.js';
+export { ThemeBundlerPluginType, PluginResultType, PluginHookType } from './plugins/plugins.types.js';
+export { PostCSSConfigType } from './postcss/postcss.types.js';
+export { SassConfigType } from './sass/sass.types.js';
+export { BudgetsConfigType, BudgetViolationType, SizeType } from './budgets/budgets.types.js';
+export { CompressedSizesType, CompressionType } from './compression/compression.types.js';
+export {
+    CriticalCSSOptionsType,
+    ExtractCriticalOptionsType,
+    CriticalCSSType
+} from './critical/critical.types.js';
+export { DesignTokensType, DesignTokenType, TokensConfigType } from './tokens/tokens.types.js';
+export {
+    CoverageReportType,
+    CustomPropertyCellType,
+    CustomPropertyStatusType,
+    StyleLayerType
+} from './customProperties/customProperties.types.js';
+export {
+    ThemeSwitcherConfigType,
+    ThemeSwitcherOptionsType,
+    ThemeSwitcherType,
+    ThemeChangeCallbackType,
+    ColorSchemesType
+} from './themeSwitcher/themeSwitcher.types.js';
+export { CombinedConfigType } from './combined/combined.types.js';
+export { CSSImportType, InlineImportsOptionsType } from './imports/imports.types.js';
+export { CSSURLType, InlinedAssetType, URLReplacerType } from './assets/assets.types.js';
+export { CliArgsType, CliCommandType, StyleBunConfigType } from './cli/cli.types.js';
+export { DevServerConfigType, StyleUpdateEventType } from './devServer/devServer.types.js';
+export {
+    ConfigSchemaType,
+    ConfigErrorType,
+    SchemaPropertyType,
+    SchemaValueType
+} from './configSchema/configSchema.types.js';
+export {
+    ThemeBundlerEventsType,
+    ThemesBundlerEventsType,
+    ThemeInitEventType,
+    ThemesInitEventType,
+    BundleStartEventType,
+    BundleEndEventType,
+    FileChangeEventType,
+    WarningEventType,
+    ErrorEventType,
+    ExportEventType
+} from './events/events.types.js';